@@ -109,6 +109,7 @@ var forbiddenTerms = {
   'sessionStorage': {
     message: requiresReviewPrivacy,
     whitelist: [
+      'src/session-storage.js',
     ],
   },
   'indexedDB': {
@@ -17,26 +17,61 @@
 
 import {ActivityHosts} from './src/activity-hosts';
 import {
+  ActivityAcceptPolicyDef,
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
   ActivityHostDef,
+  ActivityHostOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityMode,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivitySchemaDef,
+  ActivitySizeHintsDef,
+  ActivityTransportDef,
 } from './src/activity-types';
 import {ActivityIframeHost} from './src/activity-iframe-host';
 import {
   ActivityWindowPopupHost,
   ActivityWindowRedirectHost,
 } from './src/activity-window-host';
+import {
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
+} from './src/transports';
+import {isPolicyViolationError, isValidationError} from './src/utils';
 
 module.exports = {
+  ActivityAcceptPolicyDef,
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
   ActivityHosts,
   ActivityHostDef,
+  ActivityHostOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityIframeHost,
   ActivityMode,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivitySchemaDef,
+  ActivitySizeHintsDef,
+  ActivityTransportDef,
   ActivityWindowPopupHost,
   ActivityWindowRedirectHost,
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
+  isPolicyViolationError,
+  isValidationError,
 };
@@ -17,32 +17,74 @@
 
 import {ActivityPorts} from './src/activity-ports';
 import {
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
+  ActivityIframeOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityMessagingPortDef,
   ActivityMode,
   ActivityOpenOptionsDef,
   ActivityPortDef,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivityResultPolicyDef,
+  ActivitySchemaDef,
+  ActivityTransportDef,
+  ActivityVerificationLevel,
 } from './src/activity-types';
 import {ActivityIframePort} from './src/activity-iframe-port';
 import {ActivityWindowPort} from './src/activity-window-port';
+import {
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
+} from './src/transports';
 import {
   createAbortError,
   isAbortError,
+  isHostLostError,
+  isPolicyViolationError,
+  isProtocolError,
+  isTimeoutError,
+  isValidationError,
 } from './src/utils';
 
 module.exports = {
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
   ActivityPorts,
   ActivityIframePort,
+  ActivityIframeOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityMessagingPortDef,
   ActivityMode,
   ActivityOpenOptionsDef,
   ActivityPortDef,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivityResultPolicyDef,
+  ActivitySchemaDef,
+  ActivityTransportDef,
+  ActivityVerificationLevel,
   ActivityWindowPort,
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
   createAbortError,
   isAbortError,
+  isHostLostError,
+  isPolicyViolationError,
+  isProtocolError,
+  isTimeoutError,
+  isValidationError,
 };
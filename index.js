@@ -18,14 +18,28 @@
 import {ActivityHosts} from './src/activity-hosts';
 import {ActivityPorts} from './src/activity-ports';
 import {
+  ActivityAcceptPolicyDef,
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
   ActivityHostDef,
+  ActivityHostOptionsDef,
+  ActivityIframeOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityMessagingPortDef,
   ActivityMode,
   ActivityOpenOptionsDef,
   ActivityPortDef,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivityResultPolicyDef,
+  ActivitySchemaDef,
+  ActivitySizeHintsDef,
+  ActivityTransportDef,
+  ActivityVerificationLevel,
 } from './src/activity-types';
 import {ActivityIframeHost} from './src/activity-iframe-host';
 import {ActivityIframePort} from './src/activity-iframe-port';
@@ -34,27 +48,61 @@ import {
   ActivityWindowRedirectHost,
 } from './src/activity-window-host';
 import {ActivityWindowPort} from './src/activity-window-port';
+import {
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
+} from './src/transports';
 import {
   createAbortError,
   isAbortError,
+  isHostLostError,
+  isPolicyViolationError,
+  isProtocolError,
+  isTimeoutError,
+  isValidationError,
 } from './src/utils';
 
 module.exports = {
+  ActivityAcceptPolicyDef,
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityErrorDef,
   ActivityHosts,
   ActivityPorts,
   ActivityHostDef,
+  ActivityHostOptionsDef,
+  ActivityIframeOptionsDef,
+  ActivityLogEntryDef,
+  ActivityLoggerDef,
   ActivityIframeHost,
   ActivityIframePort,
   ActivityMessagingPortDef,
   ActivityMode,
   ActivityOpenOptionsDef,
   ActivityPortDef,
+  ActivityQueueOverflow,
   ActivityRequestDef,
   ActivityResult,
   ActivityResultCode,
+  ActivityResultPolicyDef,
+  ActivitySchemaDef,
+  ActivitySizeHintsDef,
+  ActivityTransportDef,
+  ActivityVerificationLevel,
   ActivityWindowPopupHost,
   ActivityWindowPort,
   ActivityWindowRedirectHost,
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
   createAbortError,
   isAbortError,
+  isHostLostError,
+  isPolicyViolationError,
+  isProtocolError,
+  isTimeoutError,
+  isValidationError,
 };
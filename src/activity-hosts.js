@@ -15,12 +15,20 @@
  * limitations under the License.
  */
 
-import {ActivityHostDef, ActivityRequestDef} from './activity-types';
+import {
+  ActivityAcceptPolicyDef,
+  ActivityHostDef,
+  ActivityHostOptionsDef,
+  ActivityLoggerDef,
+  ActivityRequestDef,
+  ActivityResultCode,
+} from './activity-types';
 import {ActivityIframeHost} from './activity-iframe-host';
 import {
   ActivityWindowPopupHost,
   ActivityWindowRedirectHost,
 } from './activity-window-host';
+import {checkAcceptPolicy, createPolicyViolationError} from './utils';
 
 
 /**
@@ -39,26 +47,139 @@ export class ActivityHosts {
 
     /** @private @const {!Window} */
     this.win_ = win;
+
+    /** @private {?ActivityLoggerDef} */
+    this.logger_ = null;
+
+    /** @private {?function(string, *):*} */
+    this.logRedactor_ = null;
+  }
+
+  /**
+   * Sets the logger that receives every protocol command sent and received
+   * by the hosts connected after this call, unless the host's options specify
+   * their own logger. See `ActivityLogEntryDef` for the logged fields. By
+   * default, payloads are never logged. The optional redactor returns the
+   * payload to be included in the log entry for the specified command.
+   * @param {?ActivityLoggerDef} logger
+   * @param {?function(string, *):*=} opt_redactor
+   */
+  setLogger(logger, opt_redactor) {
+    this.logger_ = logger;
+    this.logRedactor_ = opt_redactor || null;
   }
 
   /**
    * Start activity implementation handler (host).
+   *
+   * When the accept policy is specified, the client is checked against it
+   * once the host is connected. The matching client is accepted via
+   * `ActivityHostDef.accept()`. Otherwise, the activity fails with the
+   * `PolicyViolationError`, or is canceled, and the returned promise is
+   * rejected with the same error. For instance:
+   * ```
+   * hosts.connectHost(null, null, {
+   *   allowedOrigins: ['https://*.example.com'],
+   *   requireSecureChannel: true,
+   * }).then(host => {
+   *   // The host has already been accepted.
+   *   host.ready();
+   * });
+   * ```
+   *
    * @param {(?ActivityRequestDef|?string)=} opt_request
+   * @param {?ActivityHostOptionsDef=} opt_options
+   * @param {?ActivityAcceptPolicyDef=} opt_policy
    * @return {!Promise<!ActivityHostDef>}
    */
-  connectHost(opt_request) {
+  connectHost(opt_request, opt_options, opt_policy) {
+    const options = this.withLogger_(opt_options);
     let host;
     if (this.win_.top != this.win_) {
       // Iframe host.
-      host = new ActivityIframeHost(this.win_);
+      host = new ActivityIframeHost(this.win_, options);
     } else if (this.win_.opener && this.win_.opener != this.win_ &&
           !this.win_.opener.closed) {
       // Window host: popup.
-      host = new ActivityWindowPopupHost(this.win_);
+      host = new ActivityWindowPopupHost(this.win_, options);
     } else {
       // Window host: redirect.
-      host = new ActivityWindowRedirectHost(this.win_);
+      host = new ActivityWindowRedirectHost(this.win_, options);
+    }
+    const promise = host.connect(opt_request);
+    if (!opt_policy) {
+      return promise;
+    }
+    const policy = opt_policy;
+    return promise.then(host => applyAcceptPolicy(host, policy));
+  }
+
+  /**
+   * @param {?ActivityHostOptionsDef=} opt_options
+   * @return {?ActivityHostOptionsDef|undefined}
+   * @private
+   */
+  withLogger_(opt_options) {
+    if (!this.logger_ || (opt_options && opt_options.logger)) {
+      return opt_options;
+    }
+    const options = /** @type {!ActivityHostOptionsDef} */ ({});
+    for (const k in opt_options) {
+      options[k] = opt_options[k];
     }
-    return host.connect(opt_request);
+    options.logger = this.logger_;
+    options.logRedactor = this.logRedactor_ || undefined;
+    return options;
+  }
+}
+
+
+/**
+ * Accepts the client that satisfies the policy. Otherwise, fails or cancels
+ * the activity and rejects the returned promise.
+ * @param {!ActivityHostDef} host
+ * @param {!ActivityAcceptPolicyDef} policy
+ * @return {!Promise<!ActivityHostDef>}
+ */
+function applyAcceptPolicy(host, policy) {
+  const violation = checkAcceptPolicy(host, policy);
+  let promise;
+  if (violation || !policy.verifier) {
+    promise = Promise.resolve(violation);
+  } else {
+    const verifier = policy.verifier;
+    promise = Promise.resolve().then(() => verifier(host)).then(
+        accepted => accepted ? null : 'client is rejected by the verifier',
+        reason => {
+          // The verifier's error is only reported locally: it may disclose
+          // the host's internals to the client.
+          rejectClient(host, policy, 'client verification failed');
+          throw reason;
+        });
+  }
+  return promise.then(violation => {
+    if (!violation) {
+      host.accept();
+      return host;
+    }
+    throw rejectClient(host, policy, violation);
+  });
+}
+
+
+/**
+ * Fails or cancels the activity per the policy's `rejectionCode`.
+ * @param {!ActivityHostDef} host
+ * @param {!ActivityAcceptPolicyDef} policy
+ * @param {string} violation
+ * @return {!Error}
+ */
+function rejectClient(host, policy, violation) {
+  const error = createPolicyViolationError(violation);
+  if (policy.rejectionCode == ActivityResultCode.CANCELED) {
+    host.cancel();
+  } else {
+    host.failed(error);
   }
+  return error;
 }
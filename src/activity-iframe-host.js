@@ -16,11 +16,21 @@
  */
 
 import {
+  ActivityCapability,
   ActivityHostDef,
+  ActivityHostOptionsDef,
   ActivityMode,
   ActivityResultCode,
 } from './activity-types';
 import {Messenger} from './messenger';
+import {assertValid, serializeError, throwAsync} from './utils';
+
+
+/**
+ * The interval in milliseconds the size container is polled at in the
+ * auto-resize mode when the `ResizeObserver` is not available.
+ */
+const AUTO_RESIZE_POLL_INTERVAL = 500;
 
 
 /**
@@ -34,20 +44,31 @@ export class ActivityIframeHost {
 
   /**
    * @param {!Window} win
+   * @param {?ActivityHostOptionsDef=} opt_options
    */
-  constructor(win) {
+  constructor(win, opt_options) {
     /** @private @const {!Window} */
     this.win_ = win;
 
     /** @private {!Window} */
     this.target_ = win.parent;
 
+    /** @private @const {!ActivityHostOptionsDef} */
+    this.options_ = opt_options || {};
+
     /** @private @const {!Messenger} */
     this.messenger_ = new Messenger(
         this.win_,
         this.target_,
         /* targetOrigin */ null,
-        /* requireTarget */ false);
+        /* requireTarget */ false,
+        this.options_.transport);
+    this.messenger_.setChannelPolicy(this.options_.channel);
+    this.messenger_.setLogger(
+        this.options_.logger, this.options_.logRedactor);
+    this.messenger_.setMessageSchema(this.options_.messageSchema);
+    this.messenger_.setQueueOptions(
+        this.options_.messageQueueLimit, this.options_.messageQueueOverflow);
 
     /** @private {?Object} */
     this.args_ = null;
@@ -55,7 +76,7 @@ export class ActivityIframeHost {
     /** @private {boolean} */
     this.connected_ = false;
 
-    /** @private {?function(!ActivityHostDef)} */
+    /** @private {?function((!ActivityHostDef|!Promise))} */
     this.connectedResolver_ = null;
 
     /** @private @const {!Promise<!ActivityHostDef>} */
@@ -78,8 +99,29 @@ export class ActivityIframeHost {
     /** @private {number} */
     this.lastRequestedHeight_ = 0;
 
+    /** @private {number} */
+    this.lastRequestedWidth_ = 0;
+
+    /** @private {boolean} */
+    this.autoResizing_ = false;
+
+    /** @private {?ResizeObserver} */
+    this.resizeObserver_ = null;
+
+    /** @private {?MutationObserver} */
+    this.mutationObserver_ = null;
+
+    /** @private {?number} */
+    this.resizePollInterval_ = null;
+
+    /** @private {?number} */
+    this.resizeFrame_ = null;
+
     /** @private @const {function()} */
     this.boundResizeEvent_ = this.resizeEvent_.bind(this);
+
+    /** @private {?function()} */
+    this.onAbortRequest_ = null;
   }
 
   /**
@@ -89,6 +131,8 @@ export class ActivityIframeHost {
   connect() {
     this.connected_ = false;
     this.accepted_ = false;
+    // Messages are only exchanged once the activity has been accepted.
+    this.messenger_.holdMessages();
     this.messenger_.connect(this.handleCommand_.bind(this));
     this.messenger_.sendConnectCommand();
     return this.connectedPromise_;
@@ -98,8 +142,10 @@ export class ActivityIframeHost {
   disconnect() {
     this.connected_ = false;
     this.accepted_ = false;
+    this.autoResizing_ = false;
     this.messenger_.disconnect();
     this.win_.removeEventListener('resize', this.boundResizeEvent_);
+    this.stopAutoResize_();
   }
 
   /** @override */
@@ -132,10 +178,53 @@ export class ActivityIframeHost {
     return true;
   }
 
+  /** @override */
+  getPeerVersion() {
+    this.ensureConnected_();
+    return this.messenger_.getPeerVersion();
+  }
+
+  /** @override */
+  getPeerCapabilities() {
+    this.ensureConnected_();
+    return this.messenger_.getPeerCapabilities();
+  }
+
+  /** @override */
+  getTransportType() {
+    this.ensureConnected_();
+    return this.messenger_.getTransportType();
+  }
+
+  /** @override */
+  getSessionId() {
+    this.ensureConnected_();
+    const session = this.messenger_.getPeerSession();
+    return session ? session.id : null;
+  }
+
+  /** @override */
+  getStashedState() {
+    this.ensureConnected_();
+    const session = this.messenger_.getPeerSession();
+    return session ? session.state : null;
+  }
+
+  /** @override */
+  stashState(state) {
+    this.ensureConnected_();
+    if (this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.SESSION) == -1) {
+      throw new Error('stash is not supported by the client');
+    }
+    this.messenger_.sendCommand('stash', {'state': state});
+  }
+
   /** @override */
   accept() {
     this.ensureConnected_();
     this.accepted_ = true;
+    this.messenger_.releaseMessages();
   }
 
   /** @override */
@@ -146,7 +235,8 @@ export class ActivityIframeHost {
 
   /**
    * Signals to the opener that the iframe is ready to be interacted with.
-   * At this point, the host will start tracking iframe's size.
+   * At this point, the host will start tracking iframe's size. With the
+   * `autoResize` option, the size container is observed as well.
    * @override
    */
   ready() {
@@ -154,11 +244,30 @@ export class ActivityIframeHost {
     this.messenger_.sendCommand('ready');
     this.resized_();
     this.win_.addEventListener('resize', this.boundResizeEvent_);
+    if (this.options_.autoResize) {
+      this.autoResizing_ = true;
+      this.startAutoResize_();
+    }
+  }
+
+  /** @override */
+  onResultUndelivered(callback) {
+    // Not applicable: the iframe client is always available.
+  }
+
+  /** @override */
+  onAbortRequest(callback) {
+    this.onAbortRequest_ = callback;
   }
 
   /** @override */
   setSizeContainer(element) {
     this.sizeContainer_ = element;
+    if (this.autoResizing_) {
+      this.stopAutoResize_();
+      this.startAutoResize_();
+      this.scheduleResize_();
+    }
   }
 
   /** @override */
@@ -177,15 +286,13 @@ export class ActivityIframeHost {
   }
 
   /** @override */
-  message(payload) {
-    this.ensureAccepted_();
-    this.messenger_.customMessage(payload);
+  message(payload, opt_transfer) {
+    this.messenger_.customMessage(payload, opt_transfer);
   }
 
   /** @override */
-  onMessage(callback) {
-    this.ensureAccepted_();
-    this.messenger_.onCustomMessage(callback);
+  onMessage(callback, opt_type) {
+    return this.messenger_.onCustomMessage(callback, opt_type);
   }
 
   /** @override */
@@ -195,8 +302,30 @@ export class ActivityIframeHost {
   }
 
   /** @override */
-  result(data) {
-    this.sendResult_(ActivityResultCode.OK, data);
+  call(method, opt_params, opt_timeout) {
+    this.ensureAccepted_();
+    return this.messenger_.call(method, opt_params, opt_timeout);
+  }
+
+  /** @override */
+  handle(method, handler) {
+    this.ensureAccepted_();
+    this.messenger_.handle(method, handler);
+  }
+
+  /** @override */
+  progress(data) {
+    this.ensureAccepted_();
+    // Older clients do not understand the progress.
+    if (this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.PROGRESS) != -1) {
+      this.messenger_.sendCommand('progress', {'data': data});
+    }
+  }
+
+  /** @override */
+  result(data, opt_transfer) {
+    this.sendResult_(ActivityResultCode.OK, data, opt_transfer);
   }
 
   /** @override */
@@ -206,7 +335,8 @@ export class ActivityIframeHost {
 
   /** @override */
   failed(reason) {
-    this.sendResult_(ActivityResultCode.FAILED, String(reason));
+    this.sendResult_(
+        ActivityResultCode.FAILED, this.serializeFailure_(reason));
   }
 
   /** @private */
@@ -226,9 +356,10 @@ export class ActivityIframeHost {
   /**
    * @param {!ActivityResultCode} code
    * @param {*} data
+   * @param {?Array=} opt_transfer
    * @private
    */
-  sendResult_(code, data) {
+  sendResult_(code, data, opt_transfer) {
     // Only require "accept" for successful return.
     if (code == ActivityResultCode.OK) {
       this.ensureAccepted_();
@@ -238,10 +369,22 @@ export class ActivityIframeHost {
     this.messenger_.sendCommand('result', {
       'code': code,
       'data': data,
-    });
+    }, opt_transfer);
     // Do not disconnect, wait for "close" message to ack the result receipt.
   }
 
+  /**
+   * @param {*} reason
+   * @return {*}
+   * @private
+   */
+  serializeFailure_(reason) {
+    // Older clients only understand the failure reason as a string.
+    const structured = this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.STRUCTURED_ERRORS) != -1;
+    return structured ? serializeError(reason) : String(reason);
+  }
+
   /**
    * @param {string} cmd
    * @param {?Object} payload
@@ -250,12 +393,50 @@ export class ActivityIframeHost {
   handleCommand_(cmd, payload) {
     if (cmd == 'start') {
       // Response to "connect" command.
+      if (!this.connectedResolver_) {
+        // The connection has already been established or failed.
+        return;
+      }
+      try {
+        this.messenger_.assertPeerCompatible(
+            this.options_.requiredCapabilities);
+      } catch (e) {
+        // Let the client know why the activity cannot proceed.
+        this.messenger_.sendCommand('result', {
+          'code': ActivityResultCode.FAILED,
+          'data': this.serializeFailure_(e),
+        });
+        this.connectedResolver_(Promise.reject(e));
+        this.connectedResolver_ = null;
+        return;
+      }
+      try {
+        assertValid(payload, this.options_.argsSchema, 'args');
+      } catch (e) {
+        this.messenger_.sendCommand('result', {
+          'code': ActivityResultCode.FAILED,
+          'data': this.serializeFailure_(e),
+        });
+        this.connectedResolver_(Promise.reject(e));
+        this.connectedResolver_ = null;
+        return;
+      }
       this.args_ = payload;
       this.connected_ = true;
       this.connectedResolver_(this);
       this.connectedResolver_ = null;
     } else if (cmd == 'close') {
       this.disconnect();
+    } else if (cmd == 'abort') {
+      // The client has aborted the activity and no longer accepts the result.
+      if (this.onAbortRequest_) {
+        try {
+          this.onAbortRequest_();
+        } catch (e) {
+          throwAsync(e);
+        }
+      }
+      this.disconnect();
     } else if (cmd == 'resized') {
       const allowedHeight = payload['height'];
       if (this.onResizeComplete_) {
@@ -269,14 +450,38 @@ export class ActivityIframeHost {
 
   /** @private */
   resized_() {
-    if (this.sizeContainer_) {
-      const requestedHeight = this.sizeContainer_.scrollHeight;
+    if (!this.sizeContainer_) {
+      return;
+    }
+    const requestedHeight = this.sizeContainer_.scrollHeight;
+    if (!this.options_.autoResize) {
       if (requestedHeight != this.lastRequestedHeight_) {
         this.lastRequestedHeight_ = requestedHeight;
         this.messenger_.sendCommand('resize', {
           'height': this.lastRequestedHeight_,
         });
       }
+      return;
+    }
+    // The auto-resize mode also tracks the width and passes the size hints.
+    const requestedWidth = this.sizeContainer_.scrollWidth;
+    if (requestedHeight != this.lastRequestedHeight_ ||
+        requestedWidth != this.lastRequestedWidth_) {
+      this.lastRequestedHeight_ = requestedHeight;
+      this.lastRequestedWidth_ = requestedWidth;
+      const payload = {
+        'height': this.lastRequestedHeight_,
+        'width': this.lastRequestedWidth_,
+      };
+      const hints = this.options_.sizeHints;
+      if (hints) {
+        ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(k => {
+          if (hints[k] != null) {
+            payload[k] = hints[k];
+          }
+        });
+      }
+      this.messenger_.sendCommand('resize', payload);
     }
   }
 
@@ -285,7 +490,86 @@ export class ActivityIframeHost {
     const width = this.win_./*OK*/innerWidth;
     if (this.lastMeasuredWidth_ != width) {
       this.lastMeasuredWidth_ = width;
-      this.resized();
+      if (this.autoResizing_) {
+        this.scheduleResize_();
+      } else {
+        this.resized();
+      }
     }
   }
+
+  /**
+   * Starts observing the size container. The `ResizeObserver` is used when
+   * available. Otherwise, the container's mutations are observed and the
+   * container is polled for the changes that do not mutate the DOM, such as
+   * loaded images and fonts.
+   * @private
+   */
+  startAutoResize_() {
+    const container = this.sizeContainer_;
+    if (!container) {
+      return;
+    }
+    const callback = () => this.scheduleResize_();
+    if (this.win_.ResizeObserver) {
+      this.resizeObserver_ = new this.win_.ResizeObserver(callback);
+      this.resizeObserver_.observe(container);
+      return;
+    }
+    if (this.win_.MutationObserver) {
+      this.mutationObserver_ = new this.win_.MutationObserver(callback);
+      this.mutationObserver_.observe(container, {
+        attributes: true,
+        characterData: true,
+        childList: true,
+        subtree: true,
+      });
+    }
+    this.resizePollInterval_ =
+        this.win_.setInterval(callback, AUTO_RESIZE_POLL_INTERVAL);
+  }
+
+  /** @private */
+  stopAutoResize_() {
+    if (this.resizeObserver_) {
+      this.resizeObserver_.disconnect();
+      this.resizeObserver_ = null;
+    }
+    if (this.mutationObserver_) {
+      this.mutationObserver_.disconnect();
+      this.mutationObserver_ = null;
+    }
+    if (this.resizePollInterval_ != null) {
+      this.win_.clearInterval(this.resizePollInterval_);
+      this.resizePollInterval_ = null;
+    }
+    if (this.resizeFrame_ != null) {
+      if (this.win_.cancelAnimationFrame) {
+        this.win_.cancelAnimationFrame(this.resizeFrame_);
+      } else {
+        this.win_.clearTimeout(this.resizeFrame_);
+      }
+      this.resizeFrame_ = null;
+    }
+  }
+
+  /**
+   * Coalesces the size changes and measures the size container once per
+   * animation frame.
+   * @private
+   */
+  scheduleResize_() {
+    if (this.resizeFrame_ != null) {
+      return;
+    }
+    const callback = () => {
+      this.resizeFrame_ = null;
+      if (this.connected_) {
+        this.resized_();
+      }
+    };
+    this.resizeFrame_ = this.win_.requestAnimationFrame ?
+        this.win_.requestAnimationFrame(callback) :
+        this.win_.setTimeout(callback, 16);
+  }
 }
@@ -16,19 +16,67 @@
  */
 
 import {
+  ActivityCapability,
+  ActivityIframeOptionsDef,
   ActivityMessagingPortDef,
   ActivityMode,
+  ActivityOpenOptionsDef,
   ActivityPortDef,
   ActivityResult,
   ActivityResultCode,
 } from './activity-types';
 import {Messenger} from './messenger';
 import {
+  assertValid,
+  createAbortError,
+  createHostLostError,
+  createSessionId,
+  createTimeoutError,
+  deserializeError,
   getOriginFromUrl,
   isNodeConnected,
   resolveResult,
+  setStyle,
+  setStyles,
+  throwAsync,
 } from './utils';
 
+/** The default number of unanswered pings after which the host is lost. */
+const DEFAULT_HEARTBEAT_MISS_THRESHOLD = 3;
+
+/** The sandbox flags of the iframes created by `createActivityIframe()`. */
+const DEFAULT_IFRAME_SANDBOX = [
+  'allow-forms',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-same-origin',
+  'allow-scripts',
+];
+
+/**
+ * The sandbox flags the activity cannot work without: the host needs to run
+ * scripts and to have its own origin to be verified by the client.
+ */
+const REQUIRED_IFRAME_SANDBOX = ['allow-same-origin', 'allow-scripts'];
+
+/** All sandbox flags supported by browsers. */
+const KNOWN_IFRAME_SANDBOX = [
+  'allow-downloads',
+  'allow-forms',
+  'allow-modals',
+  'allow-orientation-lock',
+  'allow-pointer-lock',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-presentation',
+  'allow-same-origin',
+  'allow-scripts',
+  'allow-storage-access-by-user-activation',
+  'allow-top-navigation',
+  'allow-top-navigation-by-user-activation',
+  'allow-top-navigation-to-custom-protocols',
+];
+
 
 /**
  * The `ActivityPort` implementation for the iframe case. Unlike other types
@@ -44,14 +92,17 @@ export class ActivityIframePort {
    * @param {!HTMLIFrameElement} iframe
    * @param {string} url
    * @param {?Object=} opt_args
+   * @param {?ActivityOpenOptionsDef=} opt_options
    */
-  constructor(iframe, url, opt_args) {
+  constructor(iframe, url, opt_args, opt_options) {
     /** @private @const {!HTMLIFrameElement} */
     this.iframe_ = iframe;
     /** @private @const {string} */
     this.url_ = url;
     /** @private @const {?Object} */
     this.args_ = opt_args || null;
+    /** @private @const {!ActivityOpenOptionsDef} */
+    this.options_ = opt_options || {};
 
     /** @private @const {!Window} */
     this.win_ = /** @type {!Window} */ (this.iframe_.ownerDocument.defaultView);
@@ -62,7 +113,10 @@ export class ActivityIframePort {
     /** @private {boolean} */
     this.connected_ = false;
 
-    /** @private {?function()} */
+    /** @private {boolean} */
+    this.opened_ = false;
+
+    /** @private {?function((undefined|!Promise))} */
     this.connectedResolver_ = null;
 
     /** @private @const {!Promise} */
@@ -70,7 +124,7 @@ export class ActivityIframePort {
       this.connectedResolver_ = resolve;
     });
 
-    /** @private {?function()} */
+    /** @private {?function((undefined|!Promise))} */
     this.readyResolver_ = null;
 
     /** @private @const {!Promise} */
@@ -86,18 +140,67 @@ export class ActivityIframePort {
       this.resultResolver_ = resolve;
     });
 
+    // The failures are reported to the callers that observe these promises.
+    // The unobserved promises must not report unhandled rejections.
+    this.connectedPromise_.catch(() => {});
+    this.readyPromise_.catch(() => {});
+    this.resultPromise_.catch(() => {});
+
     /** @private {?function(number)} */
     this.onResizeRequest_ = null;
 
     /** @private {?number} */
     this.requestedHeight_ = null;
 
+    /** @private {?number} */
+    this.resizeTimeout_ = null;
+
+    /** @private @const {!Array<function(*)>} */
+    this.progressListeners_ = [];
+
+    /** @private {*} */
+    this.lastProgress_ = undefined;
+
+    /** @private {?number} */
+    this.heartbeatInterval_ = null;
+
+    /** @private {number} */
+    this.missedHeartbeats_ = 0;
+
+    /** @private @const {string} */
+    this.sessionId_ = createSessionId(this.win_);
+
+    /**
+     * The state stashed by the host to be restored when it reconnects.
+     * @private {*}
+     */
+    this.stashedState_ = null;
+
+    /** @private @const {!Array<function()>} */
+    this.reconnectListeners_ = [];
+
+    /**
+     * The pending connect, ready and result timeouts indexed by the phase.
+     * @private @const {!Object<string, number>}
+     */
+    this.timeouts_ = {};
+
+    /** @private {?function()} */
+    this.abortListener_ = null;
+
     /** @private @const {!Messenger} */
     this.messenger_ = new Messenger(
         this.win_,
         () => this.iframe_.contentWindow,
         this.targetOrigin_,
-        /* requireTarget */ true);
+        /* requireTarget */ true,
+        this.options_.transport);
+    this.messenger_.setChannelPolicy(this.options_.channel);
+    this.messenger_.setLogger(
+        this.options_.logger, this.options_.logRedactor);
+    this.messenger_.setMessageSchema(this.options_.messageSchema);
+    this.messenger_.setQueueOptions(
+        this.options_.messageQueueLimit, this.options_.messageQueueOverflow);
   }
 
   /** @override */
@@ -113,8 +216,24 @@ export class ActivityIframePort {
     if (!isNodeConnected(this.iframe_)) {
       throw new Error('iframe must be in DOM');
     }
+    this.opened_ = true;
+    const signal = this.options_.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this.disconnectWithError_(createAbortError(this.win_));
+        return this.connectedPromise_;
+      }
+      this.abortListener_ = () => this.abort_();
+      signal.addEventListener('abort', this.abortListener_);
+    }
     this.messenger_.connect(this.handleCommand_.bind(this));
     this.iframe_.src = this.url_;
+    this.startTimeout_('connect', this.options_.connectTimeout,
+        'the host did not connect');
+    this.startTimeout_('ready', this.options_.readyTimeout,
+        'the host did not become ready');
+    this.startTimeout_('result', this.options_.resultTimeout,
+        'the host did not return the result');
     return this.connectedPromise_;
   }
 
@@ -123,7 +242,26 @@ export class ActivityIframePort {
    */
   disconnect() {
     this.connected_ = false;
+    if (this.heartbeatInterval_) {
+      this.win_.clearInterval(this.heartbeatInterval_);
+      this.heartbeatInterval_ = null;
+    }
+    for (const phase in this.timeouts_) {
+      this.clearTimeout_(phase);
+    }
+    if (this.resizeTimeout_ != null) {
+      this.win_.clearTimeout(this.resizeTimeout_);
+      this.resizeTimeout_ = null;
+    }
+    if (this.abortListener_) {
+      this.options_.signal.removeEventListener('abort', this.abortListener_);
+      this.abortListener_ = null;
+    }
     this.messenger_.disconnect();
+    if (this.opened_ && this.options_.removeIframe &&
+        this.iframe_.parentNode) {
+      this.iframe_.parentNode.removeChild(this.iframe_);
+    }
   }
 
   /** @override */
@@ -137,13 +275,61 @@ export class ActivityIframePort {
   }
 
   /** @override */
-  message(payload) {
-    this.messenger_.customMessage(payload);
+  getPeerVersion() {
+    return this.messenger_.getPeerVersion();
+  }
+
+  /** @override */
+  getPeerCapabilities() {
+    return this.messenger_.getPeerCapabilities();
   }
 
   /** @override */
-  onMessage(callback) {
-    this.messenger_.onCustomMessage(callback);
+  getTransportType() {
+    return this.messenger_.getTransportType();
+  }
+
+  /** @override */
+  message(payload, opt_transfer) {
+    this.messenger_.customMessage(payload, opt_transfer);
+  }
+
+  /** @override */
+  onMessage(callback, opt_type) {
+    return this.messenger_.onCustomMessage(callback, opt_type);
+  }
+
+  /** @override */
+  onProgress(callback) {
+    this.progressListeners_.push(callback);
+    Promise.resolve().then(() => {
+      if (this.lastProgress_ !== undefined &&
+          this.progressListeners_.indexOf(callback) != -1) {
+        callback(this.lastProgress_);
+      }
+    });
+    return () => {
+      const index = this.progressListeners_.indexOf(callback);
+      if (index != -1) {
+        this.progressListeners_.splice(index, 1);
+      }
+    };
+  }
+
+  /** @override */
+  getSessionId() {
+    return this.sessionId_;
+  }
+
+  /** @override */
+  onReconnect(callback) {
+    this.reconnectListeners_.push(callback);
+    return () => {
+      const index = this.reconnectListeners_.indexOf(callback);
+      if (index != -1) {
+        this.reconnectListeners_.splice(index, 1);
+      }
+    };
   }
 
   /** @override */
@@ -151,9 +337,20 @@ export class ActivityIframePort {
     return this.messenger_.askChannel(opt_name);
   }
 
+  /** @override */
+  call(method, opt_params, opt_timeout) {
+    return this.messenger_.call(method, opt_params, opt_timeout);
+  }
+
+  /** @override */
+  handle(method, handler) {
+    this.messenger_.handle(method, handler);
+  }
+
   /**
    * Returns a promise that yields when the iframe is ready to be interacted
-   * with.
+   * with. The promise fails with the `TimeoutError` if the `readyTimeout`
+   * option is set and the host does not become ready in time.
    * @return {!Promise}
    */
   whenReady() {
@@ -162,7 +359,10 @@ export class ActivityIframePort {
 
   /**
    * Register a callback to handle resize requests. Once successfully resized,
-   * ensure to call `resized()` method.
+   * ensure to call `resized()` method. With the `autoResize` option, the
+   * callback is still called, but only as a notification: the iframe has
+   * already been resized by the port, which also reports the granted size,
+   * and thus the callback must not resize it or call `resized()`.
    * @param {function(number)} callback
    */
   onResizeRequest(callback) {
@@ -186,6 +386,132 @@ export class ActivityIframePort {
     this.messenger_.sendCommand('resized', {'height': height});
   }
 
+  /**
+   * Starts pinging the host, if requested by the options and supported by
+   * the host.
+   * @private
+   */
+  startHeartbeat_() {
+    const interval = this.options_.heartbeatInterval;
+    if (this.heartbeatInterval_) {
+      this.win_.clearInterval(this.heartbeatInterval_);
+      this.heartbeatInterval_ = null;
+    }
+    if (!interval || interval <= 0 ||
+        this.messenger_.getPeerCapabilities().indexOf(
+            ActivityCapability.HEARTBEAT) == -1) {
+      return;
+    }
+    const threshold =
+        this.options_.heartbeatMissThreshold ||
+        DEFAULT_HEARTBEAT_MISS_THRESHOLD;
+    this.missedHeartbeats_ = 0;
+    this.heartbeatInterval_ = this.win_.setInterval(() => {
+      if (this.missedHeartbeats_ >= threshold) {
+        this.hostLost_(threshold);
+        return;
+      }
+      this.missedHeartbeats_++;
+      try {
+        this.messenger_.sendCommand('ping');
+      } catch (e) {
+        // The iframe's window is gone. The ping counts as unanswered.
+      }
+    }, interval);
+  }
+
+  /**
+   * Fails the activity with the `TimeoutError` unless the phase completes
+   * within the specified timeout.
+   * @param {string} phase
+   * @param {number|undefined} timeout
+   * @param {string} message
+   * @private
+   */
+  startTimeout_(phase, timeout, message) {
+    this.clearTimeout_(phase);
+    if (!timeout || timeout <= 0) {
+      return;
+    }
+    this.timeouts_[phase] = this.win_.setTimeout(() => {
+      delete this.timeouts_[phase];
+      this.disconnectWithError_(
+          createTimeoutError(`${message} within ${timeout}ms`));
+    }, timeout);
+  }
+
+  /**
+   * @param {string} phase
+   * @private
+   */
+  clearTimeout_(phase) {
+    if (this.timeouts_[phase] != null) {
+      this.win_.clearTimeout(this.timeouts_[phase]);
+      delete this.timeouts_[phase];
+    }
+  }
+
+  /**
+   * Asks the host to abort, if it's able to, and fails the activity with the
+   * `AbortError`.
+   * @private
+   */
+  abort_() {
+    if (this.connected_ &&
+        this.messenger_.getPeerCapabilities().indexOf(
+            ActivityCapability.ABORT) != -1) {
+      try {
+        this.messenger_.sendCommand('abort');
+      } catch (e) {
+        // The host is already gone.
+      }
+    }
+    this.disconnectWithError_(createAbortError(this.win_));
+  }
+
+  /**
+   * @param {number} missed
+   * @private
+   */
+  hostLost_(missed) {
+    if (this.resultResolver_) {
+      const result = new ActivityResult(
+          ActivityResultCode.FAILED,
+          createHostLostError(
+              `host lost: ${missed} heartbeats were not answered`),
+          ActivityMode.IFRAME,
+          this.messenger_.getTargetOrigin(),
+          /* originVerified */ true,
+          /* secureChannel */ true,
+          this.lastProgress_);
+      resolveResult(
+          this.win_, result, this.resultResolver_,
+          this.options_.resultPolicy);
+      this.resultResolver_ = null;
+    }
+    this.disconnect();
+  }
+
+  /**
+   * @param {!Error} reason
+   * @private
+   */
+  disconnectWithError_(reason) {
+    if (this.connectedResolver_) {
+      this.connectedResolver_(Promise.reject(reason));
+      this.connectedResolver_ = null;
+    }
+    if (this.readyResolver_) {
+      this.readyResolver_(Promise.reject(reason));
+      this.readyResolver_ = null;
+    }
+    if (this.resultResolver_) {
+      this.resultResolver_(Promise.reject(reason));
+      this.resultResolver_ = null;
+    }
+    this.disconnect();
+  }
+
   /**
    * @param {string} cmd
    * @param {?Object} payload
@@ -194,39 +520,252 @@ export class ActivityIframePort {
   handleCommand_(cmd, payload) {
     if (cmd == 'connect') {
       // First ever message. Indicates that the receiver is listening.
+      try {
+        this.messenger_.assertPeerCompatible(
+            this.options_.requiredCapabilities);
+      } catch (e) {
+        this.disconnectWithError_(e);
+        return;
+      }
+      // A repeated "connect" means that the host has been reloaded.
+      const reconnected = this.connected_;
       this.connected_ = true;
+      this.clearTimeout_('connect');
+      this.messenger_.setSession(this.sessionId_, this.stashedState_);
       this.messenger_.sendStartCommand(this.args_);
-      this.connectedResolver_();
+      if (this.connectedResolver_) {
+        this.connectedResolver_();
+        this.connectedResolver_ = null;
+      }
+      this.startHeartbeat_();
+      if (reconnected) {
+        this.reconnectListeners_.slice(0).forEach(callback => {
+          try {
+            callback();
+          } catch (e) {
+            throwAsync(e);
+          }
+        });
+      }
     } else if (cmd == 'result') {
       // The last message. Indicates that the result has been received.
       if (this.resultResolver_) {
-        const code = /** @type {!ActivityResultCode} */ (payload['code']);
-        const data =
+        let code = /** @type {!ActivityResultCode} */ (payload['code']);
+        let data =
             code == ActivityResultCode.FAILED ?
-            new Error(payload['data'] || '') :
+            deserializeError(payload['data']) :
             payload['data'];
+        if (code == ActivityResultCode.OK) {
+          try {
+            assertValid(data, this.options_.resultSchema, 'result');
+          } catch (e) {
+            code = ActivityResultCode.FAILED;
+            data = e;
+          }
+        }
         const result = new ActivityResult(
             code,
             data,
             ActivityMode.IFRAME,
             this.messenger_.getTargetOrigin(),
             /* originVerified */ true,
-            /* secureChannel */ true);
-        resolveResult(this.win_, result, this.resultResolver_);
+            /* secureChannel */ true,
+            this.lastProgress_);
+        resolveResult(
+            this.win_, result, this.resultResolver_,
+            this.options_.resultPolicy);
         this.resultResolver_ = null;
         this.messenger_.sendCommand('close');
         this.disconnect();
       }
+    } else if (cmd == 'progress') {
+      this.lastProgress_ = payload['data'];
+      this.progressListeners_.slice(0).forEach(callback => {
+        try {
+          callback(this.lastProgress_);
+        } catch (e) {
+          throwAsync(e);
+        }
+      });
+    } else if (cmd == 'stash') {
+      this.stashedState_ = payload['state'];
+    } else if (cmd == 'pong') {
+      this.missedHeartbeats_ = 0;
     } else if (cmd == 'ready') {
+      this.clearTimeout_('ready');
       if (this.readyResolver_) {
         this.readyResolver_();
         this.readyResolver_ = null;
       }
     } else if (cmd == 'resize') {
       this.requestedHeight_ = /** @type {number} */ (payload['height']);
+      if (this.options_.autoResize) {
+        this.applyResize_(payload);
+      }
       if (this.onResizeRequest_) {
         this.onResizeRequest_(this.requestedHeight_);
       }
     }
   }
+
+  /**
+   * Applies the size requested by the host to the iframe and reports the
+   * granted size back once the iframe has been resized. The request without
+   * a valid height is ignored.
+   * @param {!Object} payload
+   * @private
+   */
+  applyResize_(payload) {
+    if (!isFiniteNumber(payload['height'])) {
+      return;
+    }
+    const constraints = this.options_.sizeConstraints || {};
+    const granted = {
+      'height': clampSize(
+          payload['height'],
+          constraints.minHeight, payload['minHeight'],
+          constraints.maxHeight != null ?
+          constraints.maxHeight :
+          this.win_./*OK*/innerHeight,
+          payload['maxHeight']),
+    };
+    // The width is left alone unless constrained: by default, the iframe
+    // takes the full width of its container.
+    const resizeWidth =
+        constraints.minWidth != null || constraints.maxWidth != null;
+    if (resizeWidth && isFiniteNumber(payload['width'])) {
+      granted['width'] = clampSize(
+          payload['width'],
+          constraints.minWidth, payload['minWidth'],
+          constraints.maxWidth != null ?
+          constraints.maxWidth :
+          this.win_./*OK*/innerWidth,
+          payload['maxWidth']);
+    }
+    const duration = this.options_.resizeAnimation || 0;
+    if (duration > 0) {
+      setStyle(this.iframe_, 'transition',
+          `height ${duration}ms ease-out, width ${duration}ms ease-out`);
+    }
+    setStyle(this.iframe_, 'height', `${granted['height']}px`);
+    if (granted['width'] != null) {
+      setStyle(this.iframe_, 'width', `${granted['width']}px`);
+    }
+    if (this.resizeTimeout_ != null) {
+      this.win_.clearTimeout(this.resizeTimeout_);
+      this.resizeTimeout_ = null;
+    }
+    const report = () => {
+      if (this.connected_) {
+        this.messenger_.sendCommand('resized', granted);
+      }
+    };
+    if (duration > 0) {
+      this.resizeTimeout_ = this.win_.setTimeout(() => {
+        this.resizeTimeout_ = null;
+        report();
+      }, duration);
+    } else {
+      report();
+    }
+  }
+}
+
+
+/**
+ * Creates the iframe for an activity with the defaults suited for activities:
+ * the sandbox flags the host needs, no permissions, the origin-only referrer,
+ * eager loading and the borderless full-width style. The iframe is not
+ * inserted into the DOM. Fails if the sandbox flags are misconfigured: the
+ * flags must be known to browsers and include `allow-scripts` and
+ * `allow-same-origin`.
+ * @param {!Document} doc
+ * @param {?ActivityIframeOptionsDef=} opt_options
+ * @return {!HTMLIFrameElement}
+ */
+export function createActivityIframe(doc, opt_options) {
+  const options = opt_options || {};
+  const iframe = /** @type {!HTMLIFrameElement} */ (
+      doc.createElement('iframe'));
+  if (options.sandbox !== null) {
+    const flags = toTokens(options.sandbox, /\s+/) || DEFAULT_IFRAME_SANDBOX;
+    flags.forEach(flag => {
+      if (KNOWN_IFRAME_SANDBOX.indexOf(flag) == -1) {
+        throw new Error(`unknown sandbox flag: "${flag}"`);
+      }
+    });
+    REQUIRED_IFRAME_SANDBOX.forEach(flag => {
+      if (flags.indexOf(flag) == -1) {
+        throw new Error(`sandbox must include "${flag}"`);
+      }
+    });
+    iframe.setAttribute('sandbox', flags.join(' '));
+  }
+  const allow = toTokens(options.allow, /\s*;\s*/);
+  if (allow && allow.length > 0) {
+    iframe.setAttribute('allow', allow.join('; '));
+  }
+  iframe.setAttribute('referrerpolicy', options.referrerPolicy || 'origin');
+  iframe.setAttribute('title', options.title || 'Activity');
+  iframe.setAttribute('loading', options.loading || 'eager');
+  if (options.className) {
+    iframe.className = options.className;
+  }
+  setStyles(iframe, {
+    'border': '0',
+    'display': 'block',
+    'width': '100%',
+  });
+  return iframe;
+}
+
+
+/**
+ * @param {(?Array<string>|string|undefined)} value
+ * @param {!RegExp} separator
+ * @return {?Array<string>}
+ */
+function toTokens(value, separator) {
+  if (value == null) {
+    return null;
+  }
+  if (typeof value == 'string') {
+    return value.trim().split(separator).filter(token => !!token);
+  }
+  return value;
+}
+
+
+/**
+ * Clamps the requested size to the client's and the host's bounds. The
+ * client's bounds win when they conflict with the host's.
+ * @param {number} size
+ * @param {number|undefined} clientMin
+ * @param {*} hostMin
+ * @param {number} clientMax
+ * @param {*} hostMax
+ * @return {number}
+ */
+function clampSize(size, clientMin, hostMin, clientMax, hostMax) {
+  let value = size;
+  if (isFiniteNumber(hostMax)) {
+    value = Math.min(value, hostMax);
+  }
+  if (isFiniteNumber(hostMin)) {
+    value = Math.max(value, hostMin);
+  }
+  value = Math.min(value, clientMax);
+  if (clientMin != null) {
+    value = Math.max(value, clientMin);
+  }
+  return Math.max(0, Math.round(value));
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value == 'number' && isFinite(value);
 }
@@ -15,17 +15,22 @@
  * limitations under the License.
  */
 
-import {ActivityIframePort} from './activity-iframe-port';
 import {
+  ActivityIframePort,
+  createActivityIframe,
+} from './activity-iframe-port';
+import {
+  ActivityLoggerDef,
   ActivityMessagingPortDef,
   ActivityOpenOptionsDef,
   ActivityPortDef,
+  ActivityResultPolicyDef,
 } from './activity-types';
 import {
   ActivityWindowPort,
   discoverRedirectPort,
 } from './activity-window-port';
-import {throwAsync} from './utils';
+import {isPolicyViolationError, throwAsync} from './utils';
 
 
 /**
@@ -66,20 +71,149 @@ export class ActivityPorts {
     this.redirectErrorPromise_ = new Promise(resolve => {
       this.redirectErrorResolver_ = resolve;
     });
+
+    /** @private {?ActivityLoggerDef} */
+    this.logger_ = null;
+
+    /** @private {?function(string, *):*} */
+    this.logRedactor_ = null;
+
+    /**
+     * The keys to verify the signed redirect results, indexed by origin.
+     * @private @const {!Object<string, (!CryptoKey|!Object)>}
+     */
+    this.verificationKeys_ = {};
+
+    /** @private {?ActivityResultPolicyDef} */
+    this.resultPolicy_ = null;
+
+    /**
+     * The result policies for specific requests, indexed by `requestId`.
+     * @private @const {!Object<string, ?ActivityResultPolicyDef>}
+     */
+    this.requestResultPolicies_ = {};
+
+    /** @private @const {!Array<function(!Error, ?string)>} */
+    this.policyViolationHandlers_ = [];
+  }
+
+  /**
+   * Sets the logger that receives every protocol command sent and received
+   * by the ports opened after this call, unless the port's options specify
+   * their own logger. See `ActivityLogEntryDef` for the logged fields. By
+   * default, payloads are never logged. The optional redactor returns the
+   * payload to be included in the log entry for the specified command.
+   * @param {?ActivityLoggerDef} logger
+   * @param {?function(string, *):*=} opt_redactor
+   */
+  setLogger(logger, opt_redactor) {
+    this.logger_ = logger;
+    this.logRedactor_ = opt_redactor || null;
+  }
+
+  /**
+   * Registers the public key to verify the signed redirect results from the
+   * specified origin. Once the key is registered, the redirect results from
+   * this origin must be signed (see `ActivityHostOptionsDef.signingKey`),
+   * otherwise they fail. The verified results have `originVerified` set to
+   * `true` regardless of the referrer.
+   *
+   * Signing only adds verification: the key is looked up by the origin the
+   * result claims, and the unsigned results that claim other origins are
+   * still accepted. To reject them, set `requireSignedRedirect` in the
+   * result policy, see `setResultPolicy()`.
+   * @param {string} origin
+   * @param {!CryptoKey|!Object} publicKey The ECDSA P-256 public key as a
+   *   `CryptoKey` or in the JWK format.
+   */
+  setResultVerificationKey(origin, publicKey) {
+    this.verificationKeys_[origin] = publicKey;
+  }
+
+  /**
+   * Sets the policy the activity results must satisfy before they are
+   * delivered to the application. The results that violate the policy are
+   * rejected by `ActivityPortDef.acceptResult()` with the
+   * `PolicyViolationError` and reported to the `onPolicyViolation()`
+   * handlers. When the `requestId` is specified, the policy only applies to
+   * the activities with this `requestId` and overrides the global policy.
+   * The policy applies to the ports opened after this call and to the
+   * redirect results discovered after it. The `null` policy resets it.
+   * @param {?ActivityResultPolicyDef} policy
+   * @param {string=} opt_requestId
+   */
+  setResultPolicy(policy, opt_requestId) {
+    if (opt_requestId) {
+      this.requestResultPolicies_[opt_requestId] = policy;
+    } else {
+      this.resultPolicy_ = policy;
+    }
+  }
+
+  /**
+   * Registers the handler for the results rejected by the result policy.
+   * The handler receives the `PolicyViolationError` and the `requestId`, or
+   * `null` for iframes.
+   * @param {function(!Error, ?string)} handler
+   */
+  onPolicyViolation(handler) {
+    this.policyViolationHandlers_.push(handler);
   }
 
   /**
    * Start an activity within the specified iframe.
+   *
+   * The returned promise yields once the host has connected. It never
+   * settles if the host never loads, unless the `connectTimeout` option is
+   * set.
+   *
    * @param {!HTMLIFrameElement} iframe
    * @param {string} url
    * @param {?Object=} opt_args
+   * @param {?ActivityOpenOptionsDef=} opt_options
    * @return {!Promise<!ActivityIframePort>}
    */
-  openIframe(iframe, url, opt_args) {
-    const port = new ActivityIframePort(iframe, url, opt_args);
+  openIframe(iframe, url, opt_args, opt_options) {
+    const port = new ActivityIframePort(
+        iframe, url, opt_args, this.withDefaults_(opt_options, null));
+    this.watchPolicy_(port, null);
     return port.connect().then(() => port);
   }
 
+  /**
+   * Start an activity within a new iframe inserted into the specified
+   * container. The iframe is created with the attributes suited for
+   * activities, see `ActivityIframeOptionsDef`, which can be adjusted via the
+   * `iframe` option. The iframe is removed once the activity ends: the
+   * result has been received, the activity has failed or the port has been
+   * disconnected.
+   *
+   * See `openIframe()` for more details.
+   *
+   * @param {!Element} container
+   * @param {string} url
+   * @param {?Object=} opt_args
+   * @param {?ActivityOpenOptionsDef=} opt_options
+   * @return {!Promise<!ActivityIframePort>}
+   */
+  openIframeIn(container, url, opt_args, opt_options) {
+    const iframe = createActivityIframe(
+        /** @type {!Document} */ (container.ownerDocument),
+        opt_options && opt_options.iframe);
+    const options = /** @type {!ActivityOpenOptionsDef} */ ({});
+    for (const k in opt_options) {
+      options[k] = opt_options[k];
+    }
+    options.removeIframe = true;
+    container.appendChild(iframe);
+    try {
+      return this.openIframe(iframe, url, opt_args, options);
+    } catch (e) {
+      container.removeChild(iframe);
+      throw e;
+    }
+  }
+
   /**
    * Start an activity in a separate window. The result will be delivered
    * to the `onResult` callback.
@@ -115,6 +249,7 @@ export class ActivityPorts {
    * this window.
    *
    * See `open()` method for more details, including `onResult` callback.
+   * Use the `connectTimeout` option to fail if the host doesn't connect.
    *
    * @param {string} requestId
    * @param {string} url
@@ -156,6 +291,14 @@ export class ActivityPorts {
    * ports.open('request1', request1Url, '_blank');
    * ```
    *
+   * Alternatively, the same checks can be delegated to the result policy:
+   * ```
+   * ports.setResultPolicy({allowedOrigins: [expectedOrigin]}, 'request1');
+   * ports.onResult('request1', function(port) {
+   *   port.acceptResult().then(handleResultForRequest1);
+   * })
+   * ```
+   *
    * @param {string} requestId
    * @param {function(!ActivityPortDef)} callback
    */
@@ -191,7 +334,9 @@ export class ActivityPorts {
    */
   openWin_(requestId, url, target, opt_args, opt_options) {
     const port = new ActivityWindowPort(
-        this.win_, requestId, url, target, opt_args, opt_options);
+        this.win_, requestId, url, target, opt_args,
+        this.withDefaults_(opt_options, requestId));
+    this.watchPolicy_(port, requestId);
     port.open().then(() => {
       // Await result if possible. Notice that when falling back to "redirect",
       // the result will never arrive through this port.
@@ -200,6 +345,75 @@ export class ActivityPorts {
     return port;
   }
 
+  /**
+   * Adds the logger and the result policy configured on this object unless
+   * the options specify their own.
+   * @param {?ActivityOpenOptionsDef|undefined} opt_options
+   * @param {?string} requestId
+   * @return {?ActivityOpenOptionsDef|undefined}
+   * @private
+   */
+  withDefaults_(opt_options, requestId) {
+    const logger =
+        !opt_options || !opt_options.logger ? this.logger_ : null;
+    const policy =
+        !opt_options || opt_options.resultPolicy === undefined ?
+        this.getResultPolicy_(requestId) :
+        null;
+    if (!logger && !policy) {
+      return opt_options;
+    }
+    const options = /** @type {!ActivityOpenOptionsDef} */ ({});
+    for (const k in opt_options) {
+      options[k] = opt_options[k];
+    }
+    if (logger) {
+      options.logger = logger;
+      options.logRedactor = this.logRedactor_ || undefined;
+    }
+    if (policy) {
+      options.resultPolicy = policy;
+    }
+    return options;
+  }
+
+  /**
+   * @param {?string} requestId
+   * @return {?ActivityResultPolicyDef}
+   * @private
+   */
+  getResultPolicy_(requestId) {
+    if (requestId && requestId in this.requestResultPolicies_) {
+      return this.requestResultPolicies_[requestId];
+    }
+    return this.resultPolicy_;
+  }
+
+  /**
+   * Reports the port's result to the policy violation handlers if it's
+   * rejected by the result policy.
+   * @param {!ActivityPortDef} port
+   * @param {?string} requestId
+   * @private
+   */
+  watchPolicy_(port, requestId) {
+    if (this.policyViolationHandlers_.length == 0) {
+      return;
+    }
+    port.acceptResult().catch(reason => {
+      if (!isPolicyViolationError(reason)) {
+        return;
+      }
+      this.policyViolationHandlers_.forEach(handler => {
+        try {
+          handler(reason, requestId);
+        } catch (e) {
+          throwAsync(e);
+        }
+      });
+    });
+  }
+
   /**
    * @param {string} requestId
    * @return {?ActivityPortDef}
@@ -210,13 +424,15 @@ export class ActivityPorts {
     if (!port && this.fragment_) {
       try {
         port = discoverRedirectPort(
-            this.win_, this.fragment_, requestId);
+            this.win_, this.fragment_, requestId, this.verificationKeys_,
+            this.getResultPolicy_(requestId));
       } catch (e) {
         throwAsync(e);
         this.redirectErrorResolver_(e);
       }
       if (port) {
         this.resultBuffer_[requestId] = port;
+        this.watchPolicy_(port, requestId);
       }
     }
     return port;
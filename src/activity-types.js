@@ -38,6 +38,217 @@ export const ActivityResultCode = {
 };
 
 
+/**
+ * The policy applied when a message is sent while the message queue is full.
+ * Messages are queued until the port and the host have completed the
+ * handshake and, for hosts, until the activity has been accepted.
+ *
+ * - ERROR: the `message()` call throws an error.
+ * - DROP_OLDEST: the oldest queued message is dropped to make room.
+ * - DROP_NEWEST: the new message is dropped.
+ *
+ * @enum {string}
+ */
+export const ActivityQueueOverflow = {
+  ERROR: 'error',
+  DROP_OLDEST: 'drop-oldest',
+  DROP_NEWEST: 'drop-newest',
+};
+
+
+/**
+ * The features of the activities library that can be negotiated between the
+ * port and the host. Both sides announce their capabilities in the "connect"
+ * and "start" handshake.
+ * @enum {string}
+ */
+export const ActivityCapability = {
+  RESIZE: 'resize',
+  MESSAGING: 'messaging',
+  NAMED_CHANNELS: 'named-channels',
+  RPC: 'rpc',
+  STRUCTURED_ERRORS: 'structured-errors',
+  CHANNEL_UPGRADE: 'channel-upgrade',
+  PROGRESS: 'progress',
+  HEARTBEAT: 'heartbeat',
+  SESSION: 'session',
+  ABORT: 'abort',
+};
+
+
+/**
+ * The policy for upgrading the window messaging to a `MessageChannel`. The
+ * `MessageChannel` is a cleaner and more isolated transport, but browsers do
+ * not propagate user gestures over it.
+ *
+ * - NEVER: always use the window messaging.
+ * - AUTO: only use the `MessageChannel` where the window messaging is known to
+ *   be unreliable (IE and Edge), unless the other side asks for it.
+ * - ALWAYS: switch to the `MessageChannel` with the "start" command.
+ * - AFTER_READY: switch to the `MessageChannel` once the host has signaled
+ *   that it's ready. This way the user gestures are propagated during the
+ *   initial interaction.
+ *
+ * When the port and the host disagree, `NEVER` wins over `AFTER_READY`,
+ * which wins over `ALWAYS`, which wins over `AUTO`.
+ *
+ * @enum {string}
+ */
+export const ActivityChannelPolicy = {
+  NEVER: 'never',
+  AUTO: 'auto',
+  ALWAYS: 'always',
+  AFTER_READY: 'after-ready',
+};
+
+
+/**
+ * The minimum verification level of the result required by
+ * `ActivityResultPolicyDef`.
+ *
+ * - NONE: the result is accepted regardless of how it was delivered.
+ * - ORIGIN_VERIFIED: the result's origin must be verified. See
+ *   `ActivityResult.originVerified`.
+ * - SECURE_CHANNEL: the result's origin must be verified and the result
+ *   must be delivered over a secure channel. See
+ *   `ActivityResult.secureChannel`.
+ *
+ * @enum {string}
+ */
+export const ActivityVerificationLevel = {
+  NONE: 'none',
+  ORIGIN_VERIFIED: 'origin-verified',
+  SECURE_CHANNEL: 'secure-channel',
+};
+
+
+/**
+ * The structured error envelope used to transfer the failure reported by the
+ * activity via `failed()`. The `code` and `details` are optional
+ * application-specific values and are `null` when not provided.
+ * @typedef {{
+ *   name: string,
+ *   message: string,
+ *   code: (string|number|null),
+ *   details: *,
+ * }}
+ */
+export let ActivityErrorDef;
+
+
+/**
+ * The entry passed to the `ActivityLoggerDef` for every protocol command sent
+ * or received by a port or a host.
+ *
+ * - direction: "send" or "receive".
+ * - cmd: the protocol command, e.g. "connect", "start" or "result".
+ * - origin: the origin of the peer, or "*" while it's not yet known.
+ * - transport: the type of the transport, e.g. "window" or
+ *   "message-channel". See `ActivityMessagingPortDef.getTransportType()`.
+ * - timestamp: the time of the entry in milliseconds since the epoch.
+ * - size: the length of the JSON-serialized payload. Binary data is not
+ *   counted. It's `-1` when the payload cannot be serialized.
+ * - payload: the payload as returned by the `logRedactor` option, or `null`
+ *   when no redactor has been provided.
+ *
+ * @typedef {{
+ *   direction: string,
+ *   cmd: string,
+ *   origin: ?string,
+ *   transport: string,
+ *   timestamp: number,
+ *   size: number,
+ *   payload: *,
+ * }}
+ */
+export let ActivityLogEntryDef;
+
+
+/**
+ * The logger that receives protocol entries. See `ActivityLogEntryDef`.
+ * @typedef {function(!ActivityLogEntryDef)}
+ */
+export let ActivityLoggerDef;
+
+
+/**
+ * The schema used to validate the activity args, results and messages. It's
+ * either a JSON-Schema-style object or a function that returns the error
+ * message, or `null` when the value is valid.
+ *
+ * The object schemas support a subset of the JSON Schema keywords: `type`,
+ * `enum`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minLength`, `maxLength`, `minimum` and `maximum`.
+ *
+ * @typedef {(!Object|function(*):?string)}
+ */
+export let ActivitySchemaDef;
+
+
+/**
+ * The policy the activity result must satisfy to be delivered to the
+ * application. The results that violate the policy are rejected with the
+ * `PolicyViolationError`. The cancelations the client detects itself, such
+ * as a closed popup, carry no host's data and are not checked. See
+ * `ActivityPorts.setResultPolicy()`.
+ *
+ * - allowedOrigins: the origins allowed to return the result. The
+ *   subdomains can be matched with a wildcard, e.g. `https://*.example.com`
+ *   matches `https://pay.example.com`, but not `https://example.com`. By
+ *   default, any origin is allowed.
+ * - minVerification: the minimum verification level. Defaults to
+ *   `ActivityVerificationLevel.SECURE_CHANNEL`.
+ * - allowInsecureRedirect: whether the redirect results, which are never
+ *   delivered over a secure channel, are acceptable. Their origin must still
+ *   be verified unless the `minVerification` is `NONE`. Defaults to `false`.
+ * - requireSignedRedirect: whether the redirect results must be signed with
+ *   the key registered for their origin via
+ *   `ActivityPorts.setResultVerificationKey()`. Defaults to `false`: the
+ *   unsigned results from the origins without a registered key are accepted
+ *   and their origin is only verified via the referrer.
+ *
+ * @typedef {{
+ *   allowedOrigins: (!Array<string>|undefined),
+ *   minVerification: (!ActivityVerificationLevel|undefined),
+ *   allowInsecureRedirect: (boolean|undefined),
+ *   requireSignedRedirect: (boolean|undefined),
+ * }}
+ */
+export let ActivityResultPolicyDef;
+
+
+/**
+ * The policy the client must satisfy for the host to accept the activity.
+ * The clients that violate the policy are sent the failure with the
+ * `PolicyViolationError`, or the cancelation. See
+ * `ActivityHosts.connectHost()`.
+ *
+ * - allowedOrigins: the client origins allowed to start the activity. The
+ *   subdomains can be matched with a wildcard, e.g. `https://*.example.com`.
+ *   An unverified origin never matches. By default, any origin is allowed.
+ * - requireSecureChannel: whether the client must be connected over a secure
+ *   channel. See `ActivityHostDef.isSecureChannel()`. Defaults to `false`.
+ * - allowedModes: the allowed modes of the activity. By default, any mode is
+ *   allowed.
+ * - verifier: the additional check of the client. It's only called when
+ *   all other checks pass. It returns `true` to accept the client. When it
+ *   fails, the client is rejected with a generic policy violation and the
+ *   returned promise fails with the verifier's error.
+ * - rejectionCode: `ActivityResultCode.FAILED` or
+ *   `ActivityResultCode.CANCELED`. Defaults to `FAILED`.
+ *
+ * @typedef {{
+ *   allowedOrigins: (!Array<string>|undefined),
+ *   requireSecureChannel: (boolean|undefined),
+ *   allowedModes: (!Array<!ActivityMode>|undefined),
+ *   verifier:
+ *       (function(!ActivityHostDef):(boolean|!Promise<boolean>)|undefined),
+ *   rejectionCode: (!ActivityResultCode|undefined),
+ * }}
+ */
+export let ActivityAcceptPolicyDef;
+
+
 /**
  * The result of an activity. The activity implementation returns this object
  * for a successful result, a cancelation or a failure.
@@ -51,8 +262,10 @@ export class ActivityResult {
    * @param {string} origin
    * @param {boolean} originVerified
    * @param {boolean} secureChannel
+   * @param {*=} opt_progress
    */
-  constructor(code, data, mode, origin, originVerified, secureChannel) {
+  constructor(
+      code, data, mode, origin, originVerified, secureChannel, opt_progress) {
     /** @const {!ActivityResultCode} */
     this.code = code;
     /** @const {*} */
@@ -65,24 +278,35 @@ export class ActivityResult {
     this.originVerified = originVerified;
     /** @const {boolean} */
     this.secureChannel = secureChannel;
+    /**
+     * The last progress reported by the activity before the result, if any.
+     * @const {*}
+     */
+    this.progress = opt_progress !== undefined ? opt_progress : null;
     /** @const {boolean} */
     this.ok = code == ActivityResultCode.OK;
     /** @const {?Error} */
-    this.error = code == ActivityResultCode.FAILED ?
-        new Error(String(data) || '') :
-        null;
+    this.error = code != ActivityResultCode.FAILED ? null :
+        data instanceof Error ? data :
+        new Error(String(data) || '');
   }
 }
 
 
 /**
  * The activity request that different types of hosts can be started with.
+ * The `nonce` is the one-time value the host echoes in the redirect result,
+ * so that the client only accepts the results of its own requests. The
+ * `resultKey` is the port's public key in the JWK format. When present, the
+ * result delivered via redirect is encrypted with this key.
  * @typedef {{
  *   requestId: string,
  *   returnUrl: string,
  *   args: ?Object,
  *   origin: (string|undefined),
  *   originVerified: (boolean|undefined),
+ *   nonce: (string|undefined),
+ *   resultKey: (?Object|undefined),
  * }}
  */
 export let ActivityRequestDef;
@@ -96,12 +320,98 @@ export let ActivityRequestDef;
  * - skipRequestInUrl: removes the activity request from the URL, in case
  *   redirect is used. By default, the activity request is appended to the
  *   activity URL. This option can be used if the activity request is passed
- *   to the activity by some alternative means.
+ *   to the activity by some alternative means. Notice that the request's
+ *   nonce is not available to the host in this case. Thus the redirect result
+ *   is only checked to match the outstanding request with the same
+ *   `requestId`.
  * - disableRedirectFallback: disallows popup fallback to redirect. By default
  *   the redirect fallback is allowed. This option has to be used very carefully
  *   because there are many user agents that may fail to open a popup and it
  *   won't be always possible for the opener window to even be aware of such
  *   failures.
+ * - requiredCapabilities: the capabilities the host must support. If the
+ *   host's library is too old to support any of them, the activity fails
+ *   with a `ProtocolError`. See `ActivityCapability`. Applies to iframes and
+ *   popups.
+ * - messageQueueLimit: the maximum number of messages queued until the host
+ *   is connected. Defaults to 100. Applies to iframes and popups.
+ * - messageQueueOverflow: the policy applied when the message queue is full.
+ *   Defaults to `ActivityQueueOverflow.ERROR`.
+ * - transport: the transport used to communicate with the host instead of
+ *   the window messaging. See `ActivityTransportDef`. Applies to iframes and
+ *   popups.
+ * - channel: the policy for upgrading the window messaging to a
+ *   `MessageChannel`. Defaults to `ActivityChannelPolicy.AUTO`. Applies to
+ *   iframes and popups.
+ * - heartbeatInterval: the interval in milliseconds at which the iframe port
+ *   pings the host to verify that it's still alive. Disabled by default.
+ *   Only used when the host supports `ActivityCapability.HEARTBEAT`.
+ * - heartbeatMissThreshold: the number of consecutive unanswered pings after
+ *   which the host is considered lost and the result fails with the
+ *   `HostLostError`. Defaults to 3.
+ * - logger: receives every protocol command sent and received. See
+ *   `ActivityLoggerDef`. Applies to iframes and popups.
+ * - logRedactor: returns the payload to be included in the log entry for the
+ *   specified command. By default, payloads are never logged, only their
+ *   sizes.
+ * - resultSchema: the schema of the successful result's data. When the data
+ *   does not match, the result fails with the `ValidationError`. Applies to
+ *   iframes and popups.
+ * - messageSchema: the schema of the custom messages received from the
+ *   host. The messages that do not match are dropped and reported as errors.
+ *   Applies to iframes and popups.
+ * - encryptResult: whether the result delivered via redirect must be
+ *   encrypted so that it never appears in the URL in plaintext. Requires
+ *   WebCrypto. The popup is opened blank within the user gesture and
+ *   navigated to the activity once the key pair has been generated,
+ *   asynchronously. The redirect is deferred until then. The args are not
+ *   encrypted. Applies to popups and redirects.
+ * - compactEncoding: whether the request in the URL is compressed and encoded
+ *   as base64url instead of the percent-encoded JSON. The host then responds
+ *   with the compact redirect result as well. Applies to popups and
+ *   redirects.
+ * - maxUrlLength: the maximum length of the activity URL. When the URL with
+ *   the encoded request is longer, the activity fails with an error instead
+ *   of opening a window with a truncated URL. Applies to popups and
+ *   redirects.
+ * - connectTimeout: the time in milliseconds to wait for the host to
+ *   connect, e.g. when the host page fails to load or is not allowed to be
+ *   framed. When expired, the connection and the result fail with the
+ *   `TimeoutError` and the port is disconnected. Disabled by default.
+ *   Applies to iframes and popups.
+ * - readyTimeout: the time in milliseconds to wait for the host to signal
+ *   that it's ready, counting from the moment the iframe is opened. When
+ *   expired, `whenReady()` and the result fail with the `TimeoutError` and
+ *   the port is disconnected. Disabled by default. Applies to iframes.
+ * - resultTimeout: the time in milliseconds to wait for the result, counting
+ *   from the moment the activity is opened. When expired, the result fails
+ *   with the `TimeoutError` and the port is disconnected. Disabled by
+ *   default. Applies to iframes and popups.
+ * - signal: the `AbortSignal` that aborts the activity. Once aborted, the
+ *   host is asked to abort (see `ActivityHostDef.onAbortRequest()`), the
+ *   result fails with the `AbortError`, the port is disconnected and the
+ *   popup is closed. Applies to iframes and popups.
+ * - resultPolicy: the policy the result must satisfy. See
+ *   `ActivityResultPolicyDef`. When opened via `ActivityPorts`, defaults to
+ *   the policy configured with `ActivityPorts.setResultPolicy()`.
+ * - autoResize: whether the iframe port applies the host's resize requests
+ *   to the iframe itself and reports the granted size back to the host,
+ *   instead of leaving it to the `onResizeRequest()` callback. The callback
+ *   is still notified. Applies to iframes.
+ * - sizeConstraints: the minimum and maximum size of the iframe in the
+ *   auto-resize mode. The maximum size defaults to the viewport's size. The
+ *   width is only resized when `minWidth` or `maxWidth` is specified,
+ *   otherwise the iframe keeps its width, such as the full width of the
+ *   iframe created by `openIframeIn()`. See `ActivitySizeHintsDef`. Applies
+ *   to iframes.
+ * - resizeAnimation: the duration in milliseconds of the transition to the
+ *   new size in the auto-resize mode. The granted size is reported once the
+ *   transition ends. Disabled by default. Applies to iframes.
+ * - iframe: the attributes of the iframe created by
+ *   `ActivityPorts.openIframeIn()`. See `ActivityIframeOptionsDef`.
+ * - removeIframe: whether the iframe is removed from the DOM once the port
+ *   is disconnected, e.g. when the result has been received or the activity
+ *   has failed. Set by `ActivityPorts.openIframeIn()`. Applies to iframes.
  *
  * @typedef {{
  *   returnUrl: (string|undefined),
@@ -109,11 +419,153 @@ export let ActivityRequestDef;
  *   disableRedirectFallback: (boolean|undefined),
  *   width: (number|undefined),
  *   height: (number|undefined),
+ *   requiredCapabilities: (!Array<!ActivityCapability>|undefined),
+ *   messageQueueLimit: (number|undefined),
+ *   messageQueueOverflow: (!ActivityQueueOverflow|undefined),
+ *   transport: (!ActivityTransportDef|undefined),
+ *   channel: (!ActivityChannelPolicy|undefined),
+ *   heartbeatInterval: (number|undefined),
+ *   heartbeatMissThreshold: (number|undefined),
+ *   logger: (!ActivityLoggerDef|undefined),
+ *   logRedactor: (function(string, *):*|undefined),
+ *   resultSchema: (!ActivitySchemaDef|undefined),
+ *   messageSchema: (!ActivitySchemaDef|undefined),
+ *   encryptResult: (boolean|undefined),
+ *   compactEncoding: (boolean|undefined),
+ *   maxUrlLength: (number|undefined),
+ *   connectTimeout: (number|undefined),
+ *   readyTimeout: (number|undefined),
+ *   resultTimeout: (number|undefined),
+ *   signal: (?AbortSignal|undefined),
+ *   resultPolicy: (?ActivityResultPolicyDef|undefined),
+ *   autoResize: (boolean|undefined),
+ *   sizeConstraints: (!ActivitySizeHintsDef|undefined),
+ *   resizeAnimation: (number|undefined),
+ *   iframe: (!ActivityIframeOptionsDef|undefined),
+ *   removeIframe: (boolean|undefined),
  * }}
  */
 export let ActivityOpenOptionsDef;
 
 
+/**
+ * The size bounds of the activity iframe in pixels. The iframe host passes
+ * them as hints with its size requests, and the iframe port applies them as
+ * constraints, in the auto-resize mode.
+ *
+ * @typedef {{
+ *   minWidth: (number|undefined),
+ *   maxWidth: (number|undefined),
+ *   minHeight: (number|undefined),
+ *   maxHeight: (number|undefined),
+ * }}
+ */
+export let ActivitySizeHintsDef;
+
+
+/**
+ * The attributes of the iframe created by `ActivityPorts.openIframeIn()`.
+ *
+ * - sandbox: the sandbox flags, as an array or a space-separated string. The
+ *   flags must include `allow-scripts` and `allow-same-origin`. Defaults to
+ *   `allow-forms`, `allow-popups`, `allow-popups-to-escape-sandbox`,
+ *   `allow-same-origin` and `allow-scripts`. The `null` value disables the
+ *   sandbox.
+ * - allow: the Permissions Policy features delegated to the host, e.g.
+ *   `payment`, as an array or a semicolon-separated string. By default, no
+ *   features are delegated.
+ * - referrerPolicy: the referrer policy. Defaults to `origin`.
+ * - title: the accessible title of the iframe. Defaults to "Activity".
+ * - loading: `eager` or `lazy`. Defaults to `eager`, since the lazy iframe
+ *   may never load and connect when it's not visible.
+ * - className: the CSS class of the iframe.
+ *
+ * @typedef {{
+ *   sandbox: (?Array<string>|string|undefined),
+ *   allow: (!Array<string>|string|undefined),
+ *   referrerPolicy: (string|undefined),
+ *   title: (string|undefined),
+ *   loading: (string|undefined),
+ *   className: (string|undefined),
+ * }}
+ */
+export let ActivityIframeOptionsDef;
+
+
+/**
+ * The activity host options.
+ *
+ * - resultAckTimeout: the time in milliseconds a popup host waits for the
+ *   client to acknowledge the receipt of the result. If the acknowledgement
+ *   does not arrive in time, the result is delivered again via redirect to the
+ *   return URL, unless an `onResultUndelivered` callback has been registered.
+ *   The fallback is off by default, as well as with the `0` value.
+ * - requiredCapabilities: the capabilities the client must support. If the
+ *   client's library is too old to support any of them, the activity fails
+ *   with a `ProtocolError` before it's connected. See `ActivityCapability`.
+ *   Applies to iframe and popup hosts.
+ * - messageQueueLimit: the maximum number of messages queued until the client
+ *   is connected and the activity is accepted. Defaults to 100.
+ * - messageQueueOverflow: the policy applied when the message queue is full.
+ *   Defaults to `ActivityQueueOverflow.ERROR`.
+ * - transport: the transport used to communicate with the client instead of
+ *   the window messaging. See `ActivityTransportDef`. Applies to iframe and
+ *   popup hosts.
+ * - channel: the policy for upgrading the window messaging to a
+ *   `MessageChannel`. Defaults to `ActivityChannelPolicy.AUTO`. Applies to
+ *   iframe and popup hosts.
+ * - logger: receives every protocol command sent and received. See
+ *   `ActivityLoggerDef`. Applies to iframe and popup hosts.
+ * - logRedactor: returns the payload to be included in the log entry for the
+ *   specified command. By default, payloads are never logged, only their
+ *   sizes.
+ * - argsSchema: the schema of the activity args. When the args do not match,
+ *   the activity fails with the `ValidationError` before it's accepted.
+ *   Applies to iframe and popup hosts.
+ * - messageSchema: the schema of the custom messages received from the
+ *   client. The messages that do not match are dropped and reported as
+ *   errors. Applies to iframe and popup hosts.
+ * - signingKey: the ECDSA P-256 private key, as a `CryptoKey` or in the JWK
+ *   format, used to sign the results delivered via redirect. The clients
+ *   verify the signature with `ActivityPorts.setResultVerificationKey()`.
+ *   Applies to popup and redirect hosts.
+ * - compactEncoding: whether the result delivered via redirect is compressed
+ *   and encoded as base64url. The result is always compact when the request
+ *   was. Applies to popup and redirect hosts.
+ * - maxUrlLength: the maximum length of the return URL with the result. When
+ *   the URL is longer, the client receives a failure instead of a truncated
+ *   result. Applies to popup and redirect hosts.
+ * - autoResize: whether the iframe host tracks the size of the size
+ *   container automatically once it's ready, instead of relying on the
+ *   `resized()` calls. The container is observed via `ResizeObserver`, or via
+ *   `MutationObserver` and polling where it's not supported. The changes are
+ *   coalesced per animation frame and both the width and the height are
+ *   requested. Applies to iframe hosts.
+ * - sizeHints: the minimum and maximum size passed to the client with the
+ *   size requests in the auto-resize mode. See `ActivitySizeHintsDef`.
+ *   Applies to iframe hosts.
+ *
+ * @typedef {{
+ *   resultAckTimeout: (number|undefined),
+ *   requiredCapabilities: (!Array<!ActivityCapability>|undefined),
+ *   messageQueueLimit: (number|undefined),
+ *   messageQueueOverflow: (!ActivityQueueOverflow|undefined),
+ *   transport: (!ActivityTransportDef|undefined),
+ *   channel: (!ActivityChannelPolicy|undefined),
+ *   logger: (!ActivityLoggerDef|undefined),
+ *   logRedactor: (function(string, *):*|undefined),
+ *   argsSchema: (!ActivitySchemaDef|undefined),
+ *   messageSchema: (!ActivitySchemaDef|undefined),
+ *   signingKey: (!CryptoKey|!Object|undefined),
+ *   compactEncoding: (boolean|undefined),
+ *   maxUrlLength: (number|undefined),
+ *   autoResize: (boolean|undefined),
+ *   sizeHints: (!ActivitySizeHintsDef|undefined),
+ * }}
+ */
+export let ActivityHostOptionsDef;
+
+
 /**
  * Activity client-side binding. The port provides limited ways to communicate
  * with the activity and receive signals and results from it. Not every type
@@ -161,16 +613,79 @@ export class ActivityMessagingPortDef {
   getTargetWin() {}
 
   /**
-   * Sends a message to the host.
+   * Returns the version of the activities library used by the host. Only
+   * available once connected and only if the host's library is new enough
+   * to announce it.
+   * @return {?string}
+   */
+  getPeerVersion() {}
+
+  /**
+   * Returns the capabilities supported by the host. Only available once
+   * connected.
+   * @return {!Array<!ActivityCapability>}
+   */
+  getPeerCapabilities() {}
+
+  /**
+   * Returns the type of the transport used to communicate with the host:
+   * "message-channel" once upgraded to a `MessageChannel` (see
+   * `ActivityChannelPolicy`), or the type of the `ActivityTransportDef`,
+   * e.g. "window". Returns `null` when messaging is not available.
+   * @return {?string}
+   */
+  getTransportType() {}
+
+  /**
+   * Sends a message to the host. Messages sent before the host has connected
+   * are queued and delivered in order once it does. See
+   * `ActivityOpenOptionsDef` for the queue's limit and overflow policy.
+   *
+   * The objects in the optional transfer list, such as `ArrayBuffer`,
+   * `ImageBitmap` or `MessagePort`, are transferred to the host instead of
+   * being copied. They are no longer usable on this side once sent.
    * @param {!Object} payload
+   * @param {?Array=} opt_transfer
    */
-  message(payload) {}
+  message(payload, opt_transfer) {}
 
   /**
-   * Registers a callback to receive messages from the host.
+   * Registers a callback to receive messages from the host. Any number of
+   * callbacks can be registered. If the type is specified, only the messages
+   * with the matching `type` field are passed to the callback. Returns the
+   * function that unregisters the callback.
    * @param {function(!Object)} callback
+   * @param {string=} opt_type
+   * @return {function()}
+   */
+  onMessage(callback, opt_type) {}
+
+  /**
+   * Registers a callback to receive the progress reported by the host before
+   * the final result. If the progress has already been reported, the callback
+   * is called with the last value. Returns the function that unregisters the
+   * callback.
+   * @param {function(*)} callback
+   * @return {function()}
+   */
+  onProgress(callback) {}
+
+  /**
+   * Returns the ID of the session with the host. The ID stays the same when
+   * the host reloads and reconnects to this port.
+   * @return {string}
+   */
+  getSessionId() {}
+
+  /**
+   * Registers a callback to be notified when the host has reloaded and
+   * reconnected to this port, e.g. after a full-page navigation during
+   * login. The host receives the same arguments and the state it has stashed
+   * before the reload. Returns the function that unregisters the callback.
+   * @param {function()} callback
+   * @return {function()}
    */
-  onMessage(callback) {}
+  onReconnect(callback) {}
 
   /**
    * Creates a new communication channel or returns an existing one.
@@ -178,6 +693,28 @@ export class ActivityMessagingPortDef {
    * @return {!Promise<!MessagePort>}
    */
   messageChannel(opt_name) {}
+
+  /**
+   * Calls the method registered by the host via `handle()`. The returned
+   * promise yields the method's result, or is rejected with the error thrown
+   * by the method, or with a `TimeoutError` if the host doesn't respond within
+   * the specified timeout. The default timeout is 30 seconds and `0` disables
+   * it.
+   * @param {string} method
+   * @param {*=} opt_params
+   * @param {number=} opt_timeout
+   * @return {!Promise<*>}
+   */
+  call(method, opt_params, opt_timeout) {}
+
+  /**
+   * Registers the handler for the method called by the host via `call()`.
+   * The handler can return a value or a promise. A thrown error or a rejected
+   * promise is propagated back to the host.
+   * @param {string} method
+   * @param {function(*):*} handler
+   */
+  handle(method, handler) {}
 }
 
 
@@ -233,6 +770,54 @@ export class ActivityHostDef {
    */
   isSecureChannel() {}
 
+  /**
+   * Returns the version of the activities library used by the client. Only
+   * available for messaging hosts and only if the client's library is new
+   * enough to announce it.
+   * @return {?string}
+   */
+  getPeerVersion() {}
+
+  /**
+   * Returns the capabilities supported by the client. Only available for
+   * messaging hosts.
+   * @return {!Array<!ActivityCapability>}
+   */
+  getPeerCapabilities() {}
+
+  /**
+   * Returns the type of the transport used to communicate with the client:
+   * "message-channel" once upgraded to a `MessageChannel` (see
+   * `ActivityChannelPolicy`), or the type of the `ActivityTransportDef`,
+   * e.g. "window". Returns `null` for redirect hosts.
+   * @return {?string}
+   */
+  getTransportType() {}
+
+  /**
+   * Returns the ID of the client's session. The ID stays the same when the
+   * host reloads, e.g. after a full-page navigation, and reconnects to the
+   * same client. Returns `null` if the client does not support sessions.
+   * @return {?string}
+   */
+  getSessionId() {}
+
+  /**
+   * Returns the state stashed via `stashState()` before the host has
+   * reloaded, or `null` if none.
+   * @return {*}
+   */
+  getStashedState() {}
+
+  /**
+   * Stashes a small state blob with the client. The client returns it back
+   * if the host reloads and reconnects, where it's available via
+   * `getStashedState()`. The state must be JSON-serializable. Fails if the
+   * client does not support `ActivityCapability.SESSION`.
+   * @param {*} state
+   */
+  stashState(state) {}
+
   /**
    * Signals to the host to accept the connection. Before the connection is
    * accepted, no other calls can be made, such as `ready()`, `result()`, etc.
@@ -269,17 +854,30 @@ export class ActivityHostDef {
 
   /**
    * Sends a message to the client. Notice that only iframe hosts can send and
-   * receive messages.
+   * receive messages. Messages sent before the activity has been accepted are
+   * queued and delivered in order on `accept()`. See `ActivityHostOptionsDef`
+   * for the queue's limit and overflow policy.
+   *
+   * The objects in the optional transfer list, such as `ArrayBuffer`,
+   * `ImageBitmap` or `MessagePort`, are transferred to the client instead of
+   * being copied.
    * @param {!Object} payload
+   * @param {?Array=} opt_transfer
    */
-  message(payload) {}
+  message(payload, opt_transfer) {}
 
   /**
    * Registers a callback to receive messages from the client. Notice that only
-   * iframe hosts can send and receive messages.
+   * iframe hosts can send and receive messages. The messages received before
+   * the activity has been accepted are delivered on `accept()`. Any number of
+   * callbacks can be registered. If the type is specified, only the messages
+   * with the matching `type` field are passed to the callback. Returns the
+   * function that unregisters the callback.
    * @param {function(!Object)} callback
+   * @param {string=} opt_type
+   * @return {function()}
    */
-  onMessage(callback) {}
+  onMessage(callback, opt_type) {}
 
   /**
    * Creates a new supplemental communication channel or returns an existing
@@ -289,11 +887,45 @@ export class ActivityHostDef {
    */
   messageChannel(opt_name) {}
 
+  /**
+   * Calls the method registered by the client via `handle()`. See
+   * `ActivityMessagingPortDef.call()` for more info. Not supported in the
+   * redirect mode.
+   * @param {string} method
+   * @param {*=} opt_params
+   * @param {number=} opt_timeout
+   * @return {!Promise<*>}
+   */
+  call(method, opt_params, opt_timeout) {}
+
+  /**
+   * Registers the handler for the method called by the client via `call()`.
+   * See `ActivityMessagingPortDef.handle()` for more info.
+   * @param {string} method
+   * @param {function(*):*} handler
+   */
+  handle(method, handler) {}
+
+  /**
+   * Signals to the activity client an intermediate state of the activity,
+   * e.g. "uploading 40%". Can be called any number of times before the
+   * result. The last value is also delivered with the result as
+   * `ActivityResult.progress`, including in the redirect mode.
+   * @param {*} data
+   */
+  progress(data) {}
+
   /**
    * Signals to the activity client the result of the activity.
+   *
+   * In the iframe and popup modes, the result can contain binary data, such
+   * as `ArrayBuffer` or `Blob`, and the objects in the optional transfer list
+   * are transferred to the client instead of being copied. The redirect mode
+   * can only deliver JSON data and fails on binary results.
    * @param {*} data
+   * @param {?Array=} opt_transfer
    */
-  result(data) {}
+  result(data, opt_transfer) {}
 
   /**
    * Signals to the activity client that the activity has been canceled by the
@@ -303,14 +935,38 @@ export class ActivityHostDef {
 
   /**
    * Signals to the activity client that the activity has unrecoverably failed.
+   * The error's `name`, `message` and the optional `code` and `details`
+   * properties are delivered to the client as `ActivityResult.error`. The
+   * `details` must be serializable.
    * @param {!Error|string} reason
    */
   failed(reason) {}
 
+  /**
+   * The callback the activity implementation can register to react to the
+   * result not being acknowledged by the client in time. The callback is
+   * only called when the `resultAckTimeout` option is set. By default, the
+   * popup host re-delivers the result via redirect to the return URL. Once
+   * this callback is registered, the host calls it instead with the result's
+   * code and data. Only applies to popup hosts.
+   * @param {function(!ActivityResultCode, *)} callback
+   */
+  onResultUndelivered(callback) {}
+
+  /**
+   * The callback the activity implementation can register to clean up when
+   * the client aborts the activity. The host is disconnected right after the
+   * callback returns and the client no longer accepts the result. Only
+   * applies to iframe and popup hosts.
+   * @param {function()} callback
+   */
+  onAbortRequest(callback) {}
+
   /**
    * Set the size container. This element will be used to measure the
    * size needed by the iframe. Not required for non-iframe hosts. The
-   * needed height is calculated as `sizeContainer.scrollHeight`.
+   * needed height is calculated as `sizeContainer.scrollHeight`. With the
+   * `autoResize` option, the container's size is tracked automatically.
    * @param {!Element} element
    */
   setSizeContainer(element) {}
@@ -334,3 +990,46 @@ export class ActivityHostDef {
    */
   disconnect() {}
 }
+
+
+/**
+ * The transport that carries the activity's messages between the port and
+ * the host. By default, the window messaging is used. A custom transport can
+ * be supplied via the `transport` option of the port or the host.
+ *
+ * The transport delivers inbound messages as `MessageEvent`-like objects with
+ * the `data`, `origin`, `source` and `ports` properties. The `origin` must be
+ * the origin of the peer, which will be checked the same way it's checked for
+ * the window messaging.
+ *
+ * @interface
+ */
+export class ActivityTransportDef {
+
+  /**
+   * Starts delivering inbound messages to the specified callback.
+   * @param {function(!MessageEvent)} callback
+   */
+  connect(callback) {}
+
+  /**
+   * Stops delivering inbound messages and releases resources.
+   */
+  disconnect() {}
+
+  /**
+   * Returns the type of the transport, e.g. "window", "message-port",
+   * "broadcast-channel" or "in-memory".
+   * @return {string}
+   */
+  getType() {}
+
+  /**
+   * Sends the message to the peer. The target origin is only meaningful for
+   * transports that can reach different origins, such as window messaging.
+   * @param {!Object} data
+   * @param {string} targetOrigin
+   * @param {?Array=} opt_transfer
+   */
+  send(data, targetOrigin, opt_transfer) {}
+}
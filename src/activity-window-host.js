@@ -16,20 +16,33 @@
  */
 
 import {
+  ActivityCapability,
   ActivityHostDef,
+  ActivityHostOptionsDef,
   ActivityMode,
   ActivityRequestDef,
   ActivityResultCode,
 } from './activity-types';
+import {
+  decodeCompact,
+  encodeCompact,
+  encodeCompactAsync,
+  isCompact,
+} from './compression';
 import {Messenger} from './messenger';
+import {encryptResult, signResult} from './result-crypto';
 import {
   assertAbsoluteHttpOrHttpsUrl,
+  assertValid,
   assertObviousUnsafeUrl,
+  containsBinaryData,
   getOriginFromUrl,
   getQueryParam,
   getWindowOrigin,
   parseRequest,
+  serializeError,
   serializeRequest,
+  throwAsync,
 } from './utils';
 
 
@@ -45,8 +58,9 @@ export class ActivityWindowPopupHost {
 
   /**
    * @param {!Window} win
+   * @param {?ActivityHostOptionsDef=} opt_options
    */
-  constructor(win) {
+  constructor(win, opt_options) {
     if (!win.opener || win.opener == win) {
       throw new Error('No window.opener');
     }
@@ -54,6 +68,9 @@ export class ActivityWindowPopupHost {
     /** @private @const {!Window} */
     this.win_ = win;
 
+    /** @private @const {!ActivityHostOptionsDef} */
+    this.options_ = opt_options || {};
+
     /** @private {!Window} */
     this.target_ = win.opener;
 
@@ -62,7 +79,14 @@ export class ActivityWindowPopupHost {
         this.win_,
         this.target_,
         /* targetOrigin */ null,
-        /* requireTarget */ false);
+        /* requireTarget */ false,
+        this.options_.transport);
+    this.messenger_.setChannelPolicy(this.options_.channel);
+    this.messenger_.setLogger(
+        this.options_.logger, this.options_.logRedactor);
+    this.messenger_.setMessageSchema(this.options_.messageSchema);
+    this.messenger_.setQueueOptions(
+        this.options_.messageQueueLimit, this.options_.messageQueueOverflow);
 
     /** @private {?Object} */
     this.args_ = null;
@@ -88,13 +112,26 @@ export class ActivityWindowPopupHost {
     this.sizeContainer_ = null;
 
     /** @private @const {!ActivityWindowRedirectHost} */
-    this.redirectHost_ = new ActivityWindowRedirectHost(this.win_);
+    this.redirectHost_ =
+        new ActivityWindowRedirectHost(this.win_, this.options_);
 
     /** @private {?string} */
     this.requestString_ = null;
 
     /** @private @const {!Function} */
     this.boundUnload_ = this.unload_.bind(this);
+
+    /** @private {?function(!ActivityResultCode, *)} */
+    this.onResultUndelivered_ = null;
+
+    /** @private {?number} */
+    this.resultAckTimeout_ = null;
+
+    /** @private {*} */
+    this.lastProgress_ = undefined;
+
+    /** @private {?function()} */
+    this.onAbortRequest_ = null;
   }
 
   /**
@@ -106,6 +143,8 @@ export class ActivityWindowPopupHost {
     this.connected_ = false;
     this.accepted_ = false;
     let redirectHostError;
+    // Messages are only exchanged once the activity has been accepted.
+    this.messenger_.holdMessages();
     return this.redirectHost_.connect(opt_request).then(() => {
       this.requestString_ = this.redirectHost_.getRequestString();
     }, reason => {
@@ -136,6 +175,10 @@ export class ActivityWindowPopupHost {
     this.connected_ = false;
     this.accepted_ = false;
     this.messenger_.disconnect();
+    if (this.resultAckTimeout_) {
+      clearTimeout(this.resultAckTimeout_);
+      this.resultAckTimeout_ = null;
+    }
     this.win_.removeEventListener('unload', this.boundUnload_);
     this.win_.removeEventListener('beforeunload', this.boundUnload_);
 
@@ -179,10 +222,53 @@ export class ActivityWindowPopupHost {
     return true;
   }
 
+  /** @override */
+  getPeerVersion() {
+    this.ensureConnected_();
+    return this.messenger_.getPeerVersion();
+  }
+
+  /** @override */
+  getPeerCapabilities() {
+    this.ensureConnected_();
+    return this.messenger_.getPeerCapabilities();
+  }
+
+  /** @override */
+  getTransportType() {
+    this.ensureConnected_();
+    return this.messenger_.getTransportType();
+  }
+
+  /** @override */
+  getSessionId() {
+    this.ensureConnected_();
+    const session = this.messenger_.getPeerSession();
+    return session ? session.id : null;
+  }
+
+  /** @override */
+  getStashedState() {
+    this.ensureConnected_();
+    const session = this.messenger_.getPeerSession();
+    return session ? session.state : null;
+  }
+
+  /** @override */
+  stashState(state) {
+    this.ensureConnected_();
+    if (this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.SESSION) == -1) {
+      throw new Error('stash is not supported by the client');
+    }
+    this.messenger_.sendCommand('stash', {'state': state});
+  }
+
   /** @override */
   accept() {
     this.ensureConnected_();
     this.accepted_ = true;
+    this.messenger_.releaseMessages();
   }
 
   /** @override */
@@ -197,6 +283,16 @@ export class ActivityWindowPopupHost {
     this.messenger_.sendCommand('ready');
   }
 
+  /** @override */
+  onResultUndelivered(callback) {
+    this.onResultUndelivered_ = callback;
+  }
+
+  /** @override */
+  onAbortRequest(callback) {
+    this.onAbortRequest_ = callback;
+  }
+
   /** @override */
   setSizeContainer(element) {
     this.sizeContainer_ = element;
@@ -228,9 +324,8 @@ export class ActivityWindowPopupHost {
    * messaging is not available.
    * @override
    */
-  message(payload) {
-    this.ensureAccepted_();
-    this.messenger_.customMessage(payload);
+  message(payload, opt_transfer) {
+    this.messenger_.customMessage(payload, opt_transfer);
   }
 
   /**
@@ -239,9 +334,8 @@ export class ActivityWindowPopupHost {
    * messaging is not available.
    * @override
    */
-  onMessage(callback) {
-    this.ensureAccepted_();
-    this.messenger_.onCustomMessage(callback);
+  onMessage(callback, opt_type) {
+    return this.messenger_.onCustomMessage(callback, opt_type);
   }
 
   /**
@@ -255,9 +349,42 @@ export class ActivityWindowPopupHost {
     return this.messenger_.startChannel(opt_name);
   }
 
+  /**
+   * Whether the host can or cannot receive a message depends on the type of
+   * host and its state. Ensure that the code has an alternative path if
+   * messaging is not available.
+   * @override
+   */
+  call(method, opt_params, opt_timeout) {
+    this.ensureAccepted_();
+    return this.messenger_.call(method, opt_params, opt_timeout);
+  }
+
+  /**
+   * Whether the host can or cannot receive a message depends on the type of
+   * host and its state. Ensure that the code has an alternative path if
+   * messaging is not available.
+   * @override
+   */
+  handle(method, handler) {
+    this.ensureAccepted_();
+    this.messenger_.handle(method, handler);
+  }
+
   /** @override */
-  result(data) {
-    this.sendResult_(ActivityResultCode.OK, data);
+  progress(data) {
+    this.ensureAccepted_();
+    this.lastProgress_ = data;
+    // Older clients do not understand the progress.
+    if (this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.PROGRESS) != -1) {
+      this.messenger_.sendCommand('progress', {'data': data});
+    }
+  }
+
+  /** @override */
+  result(data, opt_transfer) {
+    this.sendResult_(ActivityResultCode.OK, data, opt_transfer);
   }
 
   /** @override */
@@ -267,7 +394,9 @@ export class ActivityWindowPopupHost {
 
   /** @override */
   failed(reason) {
-    this.sendResult_(ActivityResultCode.FAILED, String(reason));
+    this.sendResult_(
+        ActivityResultCode.FAILED, this.serializeFailure_(reason),
+        /* opt_transfer */ undefined, reason);
   }
 
   /** @private */
@@ -287,9 +416,12 @@ export class ActivityWindowPopupHost {
   /**
    * @param {!ActivityResultCode} code
    * @param {*} data
+   * @param {?Array=} opt_transfer
+   * @param {*=} opt_reason The original failure reason. The redirect fallback
+   *     serializes it on its own.
    * @private
    */
-  sendResult_(code, data) {
+  sendResult_(code, data, opt_transfer, opt_reason) {
     // Only require "accept" for successful return.
     if (code == ActivityResultCode.OK) {
       this.ensureAccepted_();
@@ -299,13 +431,67 @@ export class ActivityWindowPopupHost {
     this.messenger_.sendCommand('result', {
       'code': code,
       'data': data,
-    });
+    }, opt_transfer);
     // Do not disconnect, wait for "close" message to ack the result receipt.
     this.win_.removeEventListener('unload', this.boundUnload_);
     this.win_.removeEventListener('beforeunload', this.boundUnload_);
-    // TODO(dvoytenko): Consider taking an action if result acknowledgement
-    // does not arrive in some time (3-5s). For instance, we can redirect
-    // back or ask the host implementer to take an action.
+    // If the acknowledgement does not arrive in time, the messaging channel
+    // is likely broken and the result has to be delivered by other means.
+    const ackTimeout = this.options_.resultAckTimeout;
+    if (ackTimeout && ackTimeout > 0 && !this.resultAckTimeout_) {
+      this.resultAckTimeout_ = setTimeout(() => {
+        this.resultAckTimeout_ = null;
+        this.resultUndelivered_(code, data, opt_reason);
+      }, ackTimeout);
+    }
+  }
+
+  /**
+   * @param {!ActivityResultCode} code
+   * @param {*} data
+   * @param {*} reason
+   * @private
+   */
+  resultUndelivered_(code, data, reason) {
+    if (this.onResultUndelivered_) {
+      this.onResultUndelivered_(code, data);
+      return;
+    }
+    // Fallback to redirect. This is only allowed when the redirect request
+    // is available and points to the same origin as the one verified via
+    // messaging.
+    const redirectHost = this.redirectHost_;
+    try {
+      if (!this.requestString_ ||
+          redirectHost.getTargetOrigin() != this.messenger_.getTargetOrigin()) {
+        throw new Error('result undelivered: redirect not possible');
+      }
+      redirectHost.accept();
+      if (this.lastProgress_ !== undefined) {
+        redirectHost.progress(this.lastProgress_);
+      }
+      if (code == ActivityResultCode.OK) {
+        redirectHost.result(data);
+      } else if (code == ActivityResultCode.CANCELED) {
+        redirectHost.cancel();
+      } else {
+        redirectHost.failed(/** @type {!Error|string} */ (reason));
+      }
+    } catch (e) {
+      throwAsync(e);
+    }
+  }
+
+  /**
+   * @param {*} reason
+   * @return {*}
+   * @private
+   */
+  serializeFailure_(reason) {
+    // Older clients only understand the failure reason as a string.
+    const structured = this.messenger_.getPeerCapabilities().indexOf(
+        ActivityCapability.STRUCTURED_ERRORS) != -1;
+    return structured ? serializeError(reason) : String(reason);
   }
 
   /**
@@ -316,13 +502,52 @@ export class ActivityWindowPopupHost {
   handleCommand_(cmd, payload) {
     if (cmd == 'start') {
       // Response to "connect" command.
+      if (!this.connectedResolver_) {
+        // The connection has already been established or failed.
+        return;
+      }
+      try {
+        this.messenger_.assertPeerCompatible(
+            this.options_.requiredCapabilities);
+      } catch (e) {
+        // Let the client know why the activity cannot proceed.
+        this.messenger_.sendCommand('result', {
+          'code': ActivityResultCode.FAILED,
+          'data': this.serializeFailure_(e),
+        });
+        this.connectedResolver_(Promise.reject(e));
+        this.connectedResolver_ = null;
+        return;
+      }
+      try {
+        assertValid(payload, this.options_.argsSchema, 'args');
+      } catch (e) {
+        this.messenger_.sendCommand('result', {
+          'code': ActivityResultCode.FAILED,
+          'data': this.serializeFailure_(e),
+        });
+        this.connectedResolver_(Promise.reject(e));
+        this.connectedResolver_ = null;
+        return;
+      }
       this.args_ = payload;
       this.connected_ = true;
       this.connectedResolver_(this);
+      this.connectedResolver_ = null;
       this.win_.addEventListener('unload', this.boundUnload_);
       this.win_.addEventListener('beforeunload', this.boundUnload_);
     } else if (cmd == 'close') {
       this.disconnect();
+    } else if (cmd == 'abort') {
+      // The client has aborted the activity and no longer accepts the result.
+      if (this.onAbortRequest_) {
+        try {
+          this.onAbortRequest_();
+        } catch (e) {
+          throwAsync(e);
+        }
+      }
+      this.disconnect();
     }
   }
 
@@ -359,11 +584,15 @@ export class ActivityWindowRedirectHost {
 
   /**
    * @param {!Window} win
+   * @param {?ActivityHostOptionsDef=} opt_options
    */
-  constructor(win) {
+  constructor(win, opt_options) {
     /** @private @const {!Window} */
     this.win_ = win;
 
+    /** @private @const {!ActivityHostOptionsDef} */
+    this.options_ = opt_options || {};
+
     /** @private {?string} */
     this.requestId_ = null;
 
@@ -390,6 +619,25 @@ export class ActivityWindowRedirectHost {
 
     /** @private {?Element} */
     this.sizeContainer_ = null;
+
+    /** @private {*} */
+    this.progress_ = undefined;
+
+    /** @private {?string} */
+    this.nonce_ = null;
+
+    /**
+     * The client's public key the result must be encrypted with.
+     * @private {?Object}
+     */
+    this.resultKey_ = null;
+
+    /**
+     * Whether the request used the compact encoding. The client that sent
+     * such request is known to accept the compact result.
+     * @private {boolean}
+     */
+    this.compactRequest_ = false;
   }
 
   /**
@@ -405,6 +653,7 @@ export class ActivityWindowRedirectHost {
     return Promise.resolve().then(() => {
       this.connected_ = false;
       this.accepted_ = false;
+      this.compactRequest_ = false;
       let request;
       if (opt_request && typeof opt_request == 'object') {
         request = opt_request;
@@ -423,7 +672,8 @@ export class ActivityWindowRedirectHost {
           }
         }
         if (requestString) {
-          request = parseRequest(requestString, requestTrusted);
+          this.compactRequest_ = isCompact(requestString);
+          request = parseRequest(decodeCompact(requestString), requestTrusted);
         }
       }
       if (!request || !request.requestId || !request.returnUrl) {
@@ -431,6 +681,8 @@ export class ActivityWindowRedirectHost {
       }
       this.requestId_ = request.requestId;
       this.args_ = request.args;
+      this.nonce_ = request.nonce || null;
+      this.resultKey_ = request.resultKey || null;
       // The "safe" check here is very superficial and only meant to prevent
       // obvious unsafe URLs. The complete verification is delegated to the
       // host as part of the `accept()` call.
@@ -462,13 +714,19 @@ export class ActivityWindowRedirectHost {
   /** @override */
   getRequestString() {
     this.ensureConnected_();
-    return serializeRequest({
+    const requestString = serializeRequest({
       requestId: /** @type {string} */ (this.requestId_),
       returnUrl: /** @type {string} */ (this.returnUrl_),
       args: this.args_,
       origin: /** @type {string} */ (this.targetOrigin_),
       originVerified: this.targetOriginVerified_,
+      nonce: this.nonce_ || undefined,
+      resultKey: this.resultKey_,
     });
+    // Keep the encoding so that the restored host responds the same way.
+    return this.compactRequest_ ?
+        encodeCompact(requestString) :
+        requestString;
   }
 
   /** @override */
@@ -493,6 +751,47 @@ export class ActivityWindowRedirectHost {
     return false;
   }
 
+  /** @override */
+  getPeerVersion() {
+    this.ensureConnected_();
+    // Not available for redirects.
+    return null;
+  }
+
+  /** @override */
+  getPeerCapabilities() {
+    this.ensureConnected_();
+    // Not available for redirects.
+    return [];
+  }
+
+  /** @override */
+  getTransportType() {
+    this.ensureConnected_();
+    // Not available for redirects.
+    return null;
+  }
+
+  /** @override */
+  getSessionId() {
+    this.ensureConnected_();
+    // Not available for redirects.
+    return null;
+  }
+
+  /** @override */
+  getStashedState() {
+    this.ensureConnected_();
+    // Not available for redirects.
+    return null;
+  }
+
+  /** @override */
+  stashState(state) {
+    this.ensureConnected_();
+    throw new Error('not supported');
+  }
+
   /** @override */
   accept() {
     this.ensureConnected_();
@@ -510,6 +809,16 @@ export class ActivityWindowRedirectHost {
     this.ensureAccepted_();
   }
 
+  /** @override */
+  onResultUndelivered(callback) {
+    // Not applicable: the redirect itself is the delivery.
+  }
+
+  /** @override */
+  onAbortRequest(callback) {
+    // Not applicable: the client is not loaded until the redirect.
+  }
+
   /** @override */
   setSizeContainer(element) {
     this.sizeContainer_ = element;
@@ -540,6 +849,7 @@ export class ActivityWindowRedirectHost {
   onMessage() {
     this.ensureAccepted_();
     // Not supported. Infeasible.
+    return () => {};
   }
 
   /** @override */
@@ -549,7 +859,33 @@ export class ActivityWindowRedirectHost {
   }
 
   /** @override */
-  result(data) {
+  call(method, opt_params, opt_timeout) {
+    this.ensureAccepted_();
+    throw new Error('not supported');
+  }
+
+  /** @override */
+  handle() {
+    this.ensureAccepted_();
+    // Not supported. Infeasible.
+  }
+
+  /** @override */
+  progress(data) {
+    this.ensureAccepted_();
+    // Nothing can be shown to the client until the redirect. Only the last
+    // value is delivered with the result.
+    this.progress_ = data;
+  }
+
+  /** @override */
+  result(data, opt_transfer) {
+    // The redirect can only carry the JSON data.
+    if ((opt_transfer && opt_transfer.length > 0) ||
+        containsBinaryData(data)) {
+      throw new Error(
+          'binary results are not supported in the redirect mode');
+    }
     this.sendResult_(ActivityResultCode.OK, data);
   }
 
@@ -560,7 +896,11 @@ export class ActivityWindowRedirectHost {
 
   /** @override */
   failed(reason) {
-    this.sendResult_(ActivityResultCode.FAILED, String(reason));
+    // The redirect request does not carry the client's capabilities. Thus,
+    // the `data` is the error's string, just as the older clients expect,
+    // and the structured error is sent separately.
+    this.sendResult_(
+        ActivityResultCode.FAILED, String(reason), serializeError(reason));
   }
 
   /** @private */
@@ -580,31 +920,138 @@ export class ActivityWindowRedirectHost {
   /**
    * @param {!ActivityResultCode} code
    * @param {*} data
+   * @param {?Object=} opt_error The structured error of the failure.
    * @private
    */
-  sendResult_(code, data) {
+  sendResult_(code, data, opt_error) {
     // Only require "accept" for successful return.
     if (code == ActivityResultCode.OK) {
       this.ensureAccepted_();
     } else {
       this.ensureConnected_();
     }
-    const response = {
-      'requestId': this.requestId_,
-      'origin': getWindowOrigin(this.win_),
-      'code': code,
-      'data': data,
-    };
     // The return origin must be either validated/accepted or it must be
     // strictly an http(s) URL for any "return" attempt to be made.
     const baseReturnUrl =
         this.accepted_ ?
         this.returnUrl_ :
         assertAbsoluteHttpOrHttpsUrl(this.returnUrl_);
+    // The client only accepts the result that echoes its request's nonce.
+    const header = {
+      'requestId': this.requestId_,
+    };
+    if (this.nonce_) {
+      header['nonce'] = this.nonce_;
+    }
+    header['origin'] = getWindowOrigin(this.win_);
+    const result = {
+      'code': code,
+      'data': data,
+    };
+    if (opt_error) {
+      result['error'] = opt_error;
+    }
+    if (this.progress_ !== undefined) {
+      result['progress'] = this.progress_;
+    }
+    if (!this.resultKey_ && !this.options_.signingKey) {
+      this.redirectWithResponse_(baseReturnUrl, mergeMaps(header, result));
+      return;
+    }
+    const requestId = /** @type {string} */ (this.requestId_);
+    const responsePromise = !this.resultKey_ ?
+        Promise.resolve(mergeMaps(header, result)) :
+        encryptResult(this.win_, this.resultKey_, requestId, result).then(
+            encrypted => mergeMaps(header, {'encrypted': encrypted}),
+            reason => mergeMaps(header, {
+              // The result itself is never sent unencrypted.
+              'code': ActivityResultCode.FAILED,
+              'data': String(reason),
+              'error': serializeError(reason),
+            }));
+    responsePromise.then(response => this.sign_(response)).then(response => {
+      this.redirectWithResponse_(baseReturnUrl, response);
+    }).catch(throwAsync);
+  }
+
+  /**
+   * Signs the response when the signing key is configured. If the signing
+   * fails, the response is delivered unsigned and it's up to the client to
+   * decide whether it's acceptable.
+   * @param {!Object} response
+   * @return {!Promise<!Object>}
+   * @private
+   */
+  sign_(response) {
+    const signingKey = this.options_.signingKey;
+    if (!signingKey) {
+      return Promise.resolve(response);
+    }
+    response['timestamp'] = Date.now();
+    return signResult(this.win_, signingKey, response).then(signature => {
+      response['signature'] = signature;
+      return response;
+    }, reason => {
+      throwAsync(reason);
+      return response;
+    });
+  }
+
+  /**
+   * @param {string} baseReturnUrl
+   * @param {!Object} response
+   * @param {boolean=} opt_isFallback
+   * @private
+   */
+  redirectWithResponse_(baseReturnUrl, response, opt_isFallback) {
+    const responseString = JSON.stringify(response);
+    if (!this.options_.compactEncoding && !this.compactRequest_) {
+      this.redirectWithParam_(
+          baseReturnUrl, response, responseString, opt_isFallback);
+      return;
+    }
+    encodeCompactAsync(this.win_, responseString).catch(reason => {
+      // The plain JSON is always understood by the client.
+      throwAsync(reason);
+      return responseString;
+    }).then(param => {
+      this.redirectWithParam_(baseReturnUrl, response, param, opt_isFallback);
+    }).catch(throwAsync);
+  }
+
+  /**
+   * @param {string} baseReturnUrl
+   * @param {!Object} response
+   * @param {string} param
+   * @param {boolean=} opt_isFallback
+   * @private
+   */
+  redirectWithParam_(baseReturnUrl, response, param, opt_isFallback) {
     const returnUrl =
         baseReturnUrl +
         (baseReturnUrl.indexOf('#') == -1 ? '#' : '&') +
-        '__WA_RES__=' + encodeURIComponent(JSON.stringify(response));
+        '__WA_RES__=' + encodeURIComponent(param);
+    const maxUrlLength = this.options_.maxUrlLength;
+    if (maxUrlLength && returnUrl.length > maxUrlLength && !opt_isFallback) {
+      // Do not let the browser or the server truncate the result. Instead,
+      // the client receives the failure it can act on.
+      const error = new Error(
+          'result URL is too long: ' + returnUrl.length + ' > ' +
+          maxUrlLength);
+      throwAsync(error);
+      const failure = {
+        'requestId': response['requestId'],
+      };
+      if (response['nonce']) {
+        failure['nonce'] = response['nonce'];
+      }
+      failure['origin'] = response['origin'];
+      failure['code'] = ActivityResultCode.FAILED;
+      failure['data'] = String(error);
+      failure['error'] = serializeError(error);
+      this.redirectWithResponse_(baseReturnUrl, failure, true);
+      return;
+    }
     this.redirect_(returnUrl);
   }
 
@@ -634,3 +1081,20 @@ export class ActivityWindowRedirectHost {
     }
   }
 }
+
+
+/**
+ * @param {!Object} map1
+ * @param {!Object} map2
+ * @return {!Object} The new map with the fields of both maps.
+ */
+function mergeMaps(map1, map2) {
+  const map = {};
+  for (const k in map1) {
+    map[k] = map1[k];
+  }
+  for (const k in map2) {
+    map[k] = map2[k];
+  }
+  return map;
+}
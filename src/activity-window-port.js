@@ -16,16 +16,42 @@
  */
 
 import {
+  ActivityCapability,
   ActivityMessagingPortDef,
   ActivityMode,
   ActivityOpenOptionsDef,
   ActivityPortDef,
   ActivityResult,
   ActivityResultCode,
+  ActivityResultPolicyDef,
 } from './activity-types';
+import {
+  decodeCompact,
+  encodeCompact,
+  encodeCompactAsync,
+  isCompact,
+} from './compression';
 import {Messenger} from './messenger';
+import {
+  createResultKey,
+  decryptResult,
+  discardResultKey,
+  verifyResult,
+} from './result-crypto';
+import {
+  getSessionItem,
+  removeSessionItem,
+  setSessionItem,
+} from './session-storage';
 import {
   addFragmentParam,
+  assertValid,
+  createAbortError,
+  createNonce,
+  createPolicyViolationError,
+  createSessionId,
+  createTimeoutError,
+  deserializeError,
   getOriginFromUrl,
   getQueryParam,
   isIeBrowser,
@@ -33,9 +59,20 @@ import {
   removeFragment,
   removeQueryParam,
   resolveResult,
+  serializeError,
   serializeRequest,
+  throwAsync,
 } from './utils';
 
+/**
+ * The maximum age of the signed redirect result. The result is normally
+ * consumed right after the redirect.
+ */
+const MAX_SIGNATURE_AGE = 5 * 60 * 1000;
+
+/** The prefix of the session storage key that holds the request's nonce. */
+const NONCE_STORAGE_PREFIX = '__WA_NONCE__:';
+
 
 /**
  * The `ActivityPort` implementation for the standalone window activity
@@ -76,7 +113,7 @@ export class ActivityWindowPort {
     /** @private @const {!ActivityOpenOptionsDef} */
     this.options_ = opt_options || {};
 
-    /** @private {?function()} */
+    /** @private {?function((undefined|!Promise))} */
     this.connectedResolver_ = null;
 
     /** @private @const {!Promise} */
@@ -92,6 +129,11 @@ export class ActivityWindowPort {
       this.resultResolver_ = resolve;
     });
 
+    // The failures are reported to the callers that observe these promises.
+    // The unobserved promises must not report unhandled rejections.
+    this.connectedPromise_.catch(() => {});
+    this.resultPromise_.catch(() => {});
+
     /** @private {?Window} */
     this.targetWin_ = null;
 
@@ -100,6 +142,36 @@ export class ActivityWindowPort {
 
     /** @private {?Messenger} */
     this.messenger_ = null;
+
+    /** @private @const {!Array<function(*)>} */
+    this.progressListeners_ = [];
+
+    /** @private {*} */
+    this.lastProgress_ = undefined;
+
+    /** @private {boolean} */
+    this.connected_ = false;
+
+    /** @private @const {string} */
+    this.sessionId_ = createSessionId(this.win_);
+
+    /**
+     * The state stashed by the host to be restored when it reconnects.
+     * @private {*}
+     */
+    this.stashedState_ = null;
+
+    /** @private @const {!Array<function()>} */
+    this.reconnectListeners_ = [];
+
+    /**
+     * The pending connect and result timeouts indexed by the phase.
+     * @private @const {!Object<string, number>}
+     */
+    this.timeouts_ = {};
+
+    /** @private {?function()} */
+    this.abortListener_ = null;
   }
 
   /** @override */
@@ -118,7 +190,77 @@ export class ActivityWindowPort {
    * @return {!Promise}
    */
   open() {
-    return this.openInternal_();
+    const signal = this.options_.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this.disconnectWithError_(createAbortError(this.win_));
+        return this.resultPromise_.catch(() => {});
+      }
+      this.abortListener_ = () => this.abort_();
+      signal.addEventListener('abort', this.abortListener_);
+    }
+    if (!this.options_.encryptResult) {
+      // The window must be opened synchronously to preserve the user gesture.
+      // Thus the request is compressed by the built-in compressor.
+      let requestString;
+      try {
+        requestString = this.serializeRequest_(null);
+      } catch (e) {
+        // E.g. the nonce cannot be created without `crypto`.
+        this.disconnectWithError_(e);
+        return this.resultPromise_.catch(() => {});
+      }
+      return this.openInternal_(
+          requestString && this.options_.compactEncoding ?
+              encodeCompact(requestString) :
+              requestString);
+    }
+    // The key pair is generated asynchronously, but the popup must be opened
+    // synchronously to preserve the user gesture. Thus a blank popup is
+    // opened right away and navigated to the activity once the key is ready.
+    // The redirect doesn't need the user gesture and is deferred until then.
+    // Since the navigation is asynchronous anyway, the request is compressed
+    // with the native `CompressionStream` when available.
+    const openTarget = this.getOpenTarget_();
+    let popup = null;
+    if (openTarget != '_top') {
+      popup = this.tryOpen_('about:blank', openTarget, this.buildFeatures_());
+      if (popup) {
+        this.targetWin_ = popup;
+        this.setupPopup_();
+      } else if (this.options_.disableRedirectFallback) {
+        this.disconnectWithError_(new Error('failed to open window'));
+        return this.resultPromise_.catch(() => {});
+      }
+    }
+    if (!popup) {
+      // The window that will be redirected.
+      this.targetWin_ = this.win_.top;
+    }
+    return createResultKey(this.win_, this.requestId_).then(resultKey => {
+      const requestString = this.serializeRequest_(resultKey);
+      return requestString && this.options_.compactEncoding ?
+          encodeCompactAsync(this.win_, requestString) :
+          requestString;
+    }).then(requestParam => {
+      if (!this.resultResolver_) {
+        // The activity has already completed, e.g. the popup has been closed.
+        return;
+      }
+      const url = this.buildUrl_(requestParam);
+      if (popup) {
+        popup.location.replace(url);
+      } else {
+        this.openWindow_(url, '_top');
+      }
+    }).catch(reason => {
+      if (!popup) {
+        // The redirect hasn't happened: there's no window to close.
+        this.targetWin_ = null;
+      }
+      // Never fall back to the unencrypted result.
+      this.disconnectWithError_(reason);
+    }).then(() => this.resultPromise_.catch(() => {}));
   }
 
   /**
@@ -137,6 +279,13 @@ export class ActivityWindowPort {
       this.win_.clearInterval(this.heartbeatInterval_);
       this.heartbeatInterval_ = null;
     }
+    for (const phase in this.timeouts_) {
+      this.clearTimeout_(phase);
+    }
+    if (this.abortListener_) {
+      this.options_.signal.removeEventListener('abort', this.abortListener_);
+      this.abortListener_ = null;
+    }
     if (this.messenger_) {
       this.messenger_.disconnect();
       this.messenger_ = null;
@@ -163,6 +312,21 @@ export class ActivityWindowPort {
     return this.resultPromise_;
   }
 
+  /** @override */
+  getPeerVersion() {
+    return this.messenger_ ? this.messenger_.getPeerVersion() : null;
+  }
+
+  /** @override */
+  getPeerCapabilities() {
+    return this.messenger_ ? this.messenger_.getPeerCapabilities() : [];
+  }
+
+  /** @override */
+  getTransportType() {
+    return this.messenger_ ? this.messenger_.getTransportType() : null;
+  }
+
   /**
    * Sends a message to the host.
    * Whether the host can or cannot receive a message depends on the type of
@@ -170,8 +334,8 @@ export class ActivityWindowPort {
    * messaging is not available.
    * @override
    */
-  message(payload) {
-    this.messenger_.customMessage(payload);
+  message(payload, opt_transfer) {
+    this.messenger_.customMessage(payload, opt_transfer);
   }
 
   /**
@@ -181,8 +345,41 @@ export class ActivityWindowPort {
    * messaging is not available.
    * @override
    */
-  onMessage(callback) {
-    this.messenger_.onCustomMessage(callback);
+  onMessage(callback, opt_type) {
+    return this.messenger_.onCustomMessage(callback, opt_type);
+  }
+
+  /** @override */
+  onProgress(callback) {
+    this.progressListeners_.push(callback);
+    Promise.resolve().then(() => {
+      if (this.lastProgress_ !== undefined &&
+          this.progressListeners_.indexOf(callback) != -1) {
+        callback(this.lastProgress_);
+      }
+    });
+    return () => {
+      const index = this.progressListeners_.indexOf(callback);
+      if (index != -1) {
+        this.progressListeners_.splice(index, 1);
+      }
+    };
+  }
+
+  /** @override */
+  getSessionId() {
+    return this.sessionId_;
+  }
+
+  /** @override */
+  onReconnect(callback) {
+    this.reconnectListeners_.push(callback);
+    return () => {
+      const index = this.reconnectListeners_.indexOf(callback);
+      if (index != -1) {
+        this.reconnectListeners_.splice(index, 1);
+      }
+    };
   }
 
   /**
@@ -196,61 +393,135 @@ export class ActivityWindowPort {
     return this.messenger_.askChannel(opt_name);
   }
 
+  /**
+   * Calls the method registered by the host. The call is rejected with the
+   * "not connected" error when the popup has not been opened, the activity
+   * has been opened via redirect, or the port has been disconnected.
+   * @override
+   */
+  call(method, opt_params, opt_timeout) {
+    if (!this.messenger_) {
+      return Promise.reject(new Error('not connected'));
+    }
+    return this.messenger_.call(method, opt_params, opt_timeout);
+  }
+
+  /**
+   * Registers the handler for the method called by the host. The handler
+   * can only be registered once the popup has been opened and until the
+   * port is disconnected. Otherwise, it throws the "not connected" error.
+   * @override
+   */
+  handle(method, handler) {
+    if (!this.messenger_) {
+      throw new Error('not connected');
+    }
+    this.messenger_.handle(method, handler);
+  }
+
+  /**
+   * Serializes the request and binds it to a new nonce. Protectively, the
+   * URL will contain the request payload, unless explicitly directed not to
+   * via `skipRequestInUrl` option. In this case, yields `null`.
+   * @param {?Object} resultKey
+   * @return {?string}
+   * @private
+   */
+  serializeRequest_(resultKey) {
+    if (this.options_.skipRequestInUrl) {
+      // The host doesn't receive the nonce. Thus the redirect result can only
+      // be matched to the outstanding request.
+      storeNonce(this.win_, this.requestId_, '');
+      return null;
+    }
+    const returnUrl =
+        this.options_.returnUrl ||
+        removeFragment(this.win_.location.href);
+    const nonce = createNonce(this.win_);
+    storeNonce(this.win_, this.requestId_, nonce);
+    return serializeRequest({
+      requestId: this.requestId_,
+      returnUrl,
+      args: this.args_,
+      nonce,
+      resultKey,
+    });
+  }
+
   /**
    * This method wraps around window's open method. It first tries to execute
    * `open` call with the provided target and if it fails, it retries the call
    * with the `_top` target. This is necessary given that in some embedding
    * scenarios, such as iOS' WKWebView, navigation to `_blank` and other targets
    * is blocked by default.
+   * @param {?string} requestParam The encoded request, or `null` if the
+   *     request is not passed in the URL.
    * @return {!Promise}
    * @private
    */
-  openInternal_() {
-    const featuresStr = this.buildFeatures_();
+  openInternal_(requestParam) {
+    try {
+      this.openWindow_(this.buildUrl_(requestParam), this.getOpenTarget_());
+    } catch (e) {
+      this.disconnectWithError_(e);
+    }
 
-    // Protectively, the URL will contain the request payload, unless explicitly
-    // directed not to via `skipRequestInUrl` option.
+    // Return result promise, even though it may never complete.
+    return this.resultPromise_.catch(() => {
+      // Ignore. Call to the `acceptResult()` should fail if needed.
+    });
+  }
+
+  /**
+   * @param {?string} requestParam
+   * @return {string}
+   * @private
+   */
+  buildUrl_(requestParam) {
     let url = this.url_;
-    if (!this.options_.skipRequestInUrl) {
-      const returnUrl =
-          this.options_.returnUrl ||
-          removeFragment(this.win_.location.href);
-      const requestString = serializeRequest({
-        requestId: this.requestId_,
-        returnUrl,
-        args: this.args_,
-      });
-      url = addFragmentParam(url, '__WA__', requestString);
+    if (requestParam != null) {
+      url = addFragmentParam(url, '__WA__', requestParam);
     }
 
-    // Open the window.
-    let targetWin;
-    let openTarget = this.openTarget_;
-    // IE does not support CORS popups - the popup has to fallback to redirect
-    // mode.
-    if (openTarget != '_top') {
-      if (isIeBrowser(this.win_)) {
-        openTarget = '_top';
-      }
+    // Fail early instead of letting the browser or the server truncate the
+    // request.
+    const maxUrlLength = this.options_.maxUrlLength;
+    if (maxUrlLength && url.length > maxUrlLength) {
+      throw new Error(
+          'activity URL is too long: ' + url.length + ' > ' + maxUrlLength);
     }
+    return url;
+  }
+
+  /**
+   * IE does not support CORS popups - the popup has to fallback to redirect
+   * mode.
+   * @return {string}
+   * @private
+   */
+  getOpenTarget_() {
+    if (this.openTarget_ != '_top' && isIeBrowser(this.win_)) {
+      return '_top';
+    }
+    return this.openTarget_;
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} openTarget
+   * @private
+   */
+  openWindow_(url, openTarget) {
     // Try first with the specified target. If we're inside the WKWebView or
     // a similar environments, this method is expected to fail by default for
     // all targets except `_top`.
-    try {
-      targetWin = this.win_.open(url, openTarget, featuresStr);
-    } catch (e) {
-      // Ignore.
-    }
+    let targetWin = this.tryOpen_(url, openTarget, this.buildFeatures_());
     // Then try with `_top` target.
     if (!targetWin &&
         openTarget != '_top' &&
         !this.options_.disableRedirectFallback) {
       openTarget = '_top';
-      try {
-        targetWin = this.win_.open(url, openTarget);
-      } catch (e) {
-        // Ignore.
-      }
+      targetWin = this.tryOpen_(url, openTarget);
     }
 
     // Setup the target window.
@@ -260,13 +531,26 @@ export class ActivityWindowPort {
         this.setupPopup_();
       }
     } else {
+      this.targetWin_ = null;
       this.disconnectWithError_(new Error('failed to open window'));
     }
+  }
 
-    // Return result promise, even though it may never complete.
-    return this.resultPromise_.catch(() => {
-      // Ignore. Call to the `acceptResult()` should fail if needed.
-    });
+  /**
+   * @param {string} url
+   * @param {string} openTarget
+   * @param {string=} opt_features
+   * @return {?Window}
+   * @private
+   */
+  tryOpen_(url, openTarget, opt_features) {
+    try {
+      return (opt_features ?
+          this.win_.open(url, openTarget, opt_features) :
+          this.win_.open(url, openTarget)) || null;
+    } catch (e) {
+      return null;
+    }
   }
 
   /**
@@ -355,8 +639,51 @@ export class ActivityWindowPort {
         this.win_,
         /** @type {!Window} */ (this.targetWin_),
         /* targetOrigin */ null,
-        /* requireTarget */ true);
+        /* requireTarget */ true,
+        this.options_.transport);
+    this.messenger_.setChannelPolicy(this.options_.channel);
+    this.messenger_.setLogger(
+        this.options_.logger, this.options_.logRedactor);
+    this.messenger_.setMessageSchema(this.options_.messageSchema);
+    this.messenger_.setQueueOptions(
+        this.options_.messageQueueLimit, this.options_.messageQueueOverflow);
     this.messenger_.connect(this.handleCommand_.bind(this));
+
+    this.startTimeout_('connect', this.options_.connectTimeout,
+        'the host did not connect');
+    this.startTimeout_('result', this.options_.resultTimeout,
+        'the host did not return the result');
+  }
+
+  /**
+   * Fails the activity with the `TimeoutError` unless the phase completes
+   * within the specified timeout.
+   * @param {string} phase
+   * @param {number|undefined} timeout
+   * @param {string} message
+   * @private
+   */
+  startTimeout_(phase, timeout, message) {
+    this.clearTimeout_(phase);
+    if (!timeout || timeout <= 0) {
+      return;
+    }
+    this.timeouts_[phase] = this.win_.setTimeout(() => {
+      delete this.timeouts_[phase];
+      this.disconnectWithError_(
+          createTimeoutError(`${message} within ${timeout}ms`));
+    }, timeout);
+  }
+
+  /**
+   * @param {string} phase
+   * @private
+   */
+  clearTimeout_(phase) {
+    if (this.timeouts_[phase] != null) {
+      this.win_.clearTimeout(this.timeouts_[phase]);
+      delete this.timeouts_[phase];
+    }
   }
 
   /**
@@ -373,7 +700,8 @@ export class ActivityWindowPort {
       // responce to be empty.
       this.win_.setTimeout(() => {
         try {
-          this.result_(ActivityResultCode.CANCELED, /* data */ null);
+          this.result_(ActivityResultCode.CANCELED, /* data */ null,
+              /* local */ true);
         } catch (e) {
           this.disconnectWithError_(e);
         }
@@ -381,23 +709,53 @@ export class ActivityWindowPort {
     }
   }
 
+  /**
+   * Asks the host to abort, if it's able to, and fails the activity with the
+   * `AbortError`.
+   * @private
+   */
+  abort_() {
+    if (this.messenger_ && this.connected_ &&
+        this.messenger_.getPeerCapabilities().indexOf(
+            ActivityCapability.ABORT) != -1) {
+      try {
+        this.messenger_.sendCommand('abort');
+      } catch (e) {
+        // The host is already gone.
+      }
+    }
+    this.disconnectWithError_(createAbortError(this.win_));
+  }
+
   /**
    * @param {!Error} reason
    * @private
    */
   disconnectWithError_(reason) {
+    if (this.connectedResolver_) {
+      this.connectedResolver_(Promise.reject(reason));
+      this.connectedResolver_ = null;
+    }
     if (this.resultResolver_) {
       this.resultResolver_(Promise.reject(reason));
+      this.resultResolver_ = null;
     }
+    // The request has failed and is no longer outstanding.
+    discardNonce(this.win_, this.requestId_);
+    discardResultKey(this.win_, this.requestId_);
     this.disconnect();
   }
 
   /**
+   * The result policy only applies to the results delivered by the host. The
+   * local result, such as the cancelation when the popup is closed, carries
+   * no host's data and is not checked.
    * @param {!ActivityResultCode} code
    * @param {*} data
+   * @param {boolean=} opt_local
    * @private
    */
-  result_(code, data) {
+  result_(code, data, opt_local) {
     if (this.resultResolver_) {
       const isConnected = this.messenger_.isConnected();
       const result = new ActivityResult(
@@ -408,10 +766,17 @@ export class ActivityWindowPort {
               this.messenger_.getTargetOrigin() :
               getOriginFromUrl(this.url_),
           /* originVerified */ isConnected,
-          /* secureChannel */ isConnected);
-      resolveResult(this.win_, result, this.resultResolver_);
+          /* secureChannel */ isConnected,
+          this.lastProgress_);
+      resolveResult(
+          this.win_, result, this.resultResolver_,
+          opt_local ? null : this.options_.resultPolicy);
       this.resultResolver_ = null;
     }
+    // The result has not been delivered via redirect and the request is no
+    // longer outstanding.
+    discardNonce(this.win_, this.requestId_);
+    discardResultKey(this.win_, this.requestId_);
     if (this.messenger_) {
       this.messenger_.sendCommand('close');
     }
@@ -426,16 +791,60 @@ export class ActivityWindowPort {
   handleCommand_(cmd, payload) {
     if (cmd == 'connect') {
       // First ever message. Indicates that the receiver is listening.
+      try {
+        this.messenger_.assertPeerCompatible(
+            this.options_.requiredCapabilities);
+      } catch (e) {
+        this.disconnectWithError_(e);
+        return;
+      }
+      // A repeated "connect" means that the host has been reloaded, e.g.
+      // after a full-page navigation within the popup.
+      const reconnected = this.connected_;
+      this.connected_ = true;
+      this.clearTimeout_('connect');
+      this.messenger_.setSession(this.sessionId_, this.stashedState_);
       this.messenger_.sendStartCommand(this.args_);
-      this.connectedResolver_();
+      if (this.connectedResolver_) {
+        this.connectedResolver_();
+        this.connectedResolver_ = null;
+      }
+      if (reconnected) {
+        this.reconnectListeners_.slice(0).forEach(callback => {
+          try {
+            callback();
+          } catch (e) {
+            throwAsync(e);
+          }
+        });
+      }
     } else if (cmd == 'result') {
       // The last message. Indicates that the result has been received.
-      const code = /** @type {!ActivityResultCode} */ (payload['code']);
-      const data =
+      let code = /** @type {!ActivityResultCode} */ (payload['code']);
+      let data =
           code == ActivityResultCode.FAILED ?
-          new Error(payload['data'] || '') :
+          deserializeError(payload['data']) :
           payload['data'];
+      if (code == ActivityResultCode.OK) {
+        try {
+          assertValid(data, this.options_.resultSchema, 'result');
+        } catch (e) {
+          code = ActivityResultCode.FAILED;
+          data = e;
+        }
+      }
       this.result_(code, data);
+    } else if (cmd == 'progress') {
+      this.lastProgress_ = payload['data'];
+      this.progressListeners_.slice(0).forEach(callback => {
+        try {
+          callback(this.lastProgress_);
+        } catch (e) {
+          throwAsync(e);
+        }
+      });
+    } else if (cmd == 'stash') {
+      this.stashedState_ = payload['state'];
     } else if (cmd == 'check') {
       this.win_.setTimeout(() => this.check_(), 200);
     }
@@ -447,16 +856,28 @@ export class ActivityWindowPort {
  * @param {!Window} win
  * @param {string} fragment
  * @param {string} requestId
+ * @param {?Object<string, (!CryptoKey|!Object)>=} opt_verificationKeys The
+ *   keys to verify the signed results with, indexed by the host's origin.
+ * @param {?ActivityResultPolicyDef=} opt_policy The policy the result must
+ *   satisfy.
  * @return {?ActivityPortDef}
  */
-export function discoverRedirectPort(win, fragment, requestId) {
+export function discoverRedirectPort(
+    win, fragment, requestId, opt_verificationKeys, opt_policy) {
   // Try to find the result in the fragment.
   const paramName = '__WA_RES__';
   const fragmentParam = getQueryParam(fragment, paramName);
   if (!fragmentParam) {
     return null;
   }
-  const response = /** @type {?Object} */ (JSON.parse(fragmentParam));
+  // The compact result is only decompressed for an outstanding request: the
+  // fragment could be crafted by anyone.
+  if (isCompact(fragmentParam) &&
+      getSessionItem(win, NONCE_STORAGE_PREFIX + requestId) == null) {
+    return null;
+  }
+  const response = /** @type {?Object} */ (
+      JSON.parse(decodeCompact(fragmentParam)));
   if (!response || response['requestId'] != requestId) {
     return null;
   }
@@ -473,18 +894,71 @@ export function discoverRedirectPort(win, fragment, requestId) {
     }
   }
 
-  const code = response['code'];
-  const data = response['data'];
+  // Only the result of an outstanding request is accepted. Otherwise, anyone
+  // could inject a result by crafting a link with the "__WA_RES__" fragment.
+  if (!consumeNonce(win, requestId, response['nonce'])) {
+    throw new Error('redirect result does not match any request');
+  }
+
   const origin = response['origin'];
   const referrerOrigin = win.document.referrer &&
       getOriginFromUrl(win.document.referrer);
   const originVerified = origin == referrerOrigin;
   return new ActivityWindowRedirectPort(
       win,
-      code,
-      data,
+      requestId,
+      response,
       origin,
-      originVerified);
+      originVerified,
+      opt_verificationKeys || {},
+      opt_policy || null);
+}
+
+
+/**
+ * Stores the nonce of the outstanding request. The empty nonce marks the
+ * request whose nonce is not known to the host. If the storage is not
+ * available, the redirect result will be rejected.
+ * @param {!Window} win
+ * @param {string} requestId
+ * @param {string} nonce
+ */
+function storeNonce(win, requestId, nonce) {
+  try {
+    setSessionItem(win, NONCE_STORAGE_PREFIX + requestId, nonce);
+  } catch (e) {
+    throwAsync(e);
+  }
+}
+
+
+/**
+ * Consumes the nonce of the outstanding request. Returns `false` if there's
+ * no outstanding request, e.g. when the storage is not available, or the
+ * nonce does not match.
+ * @param {!Window} win
+ * @param {string} requestId
+ * @param {*} nonce
+ * @return {boolean}
+ */
+function consumeNonce(win, requestId, nonce) {
+  const key = NONCE_STORAGE_PREFIX + requestId;
+  const expectedNonce = getSessionItem(win, key);
+  if (expectedNonce == null ||
+      expectedNonce !== '' && expectedNonce !== nonce) {
+    return false;
+  }
+  removeSessionItem(win, key);
+  return true;
+}
+
+
+/**
+ * @param {!Window} win
+ * @param {string} requestId
+ */
+function discardNonce(win, requestId) {
+  removeSessionItem(win, NONCE_STORAGE_PREFIX + requestId);
 }
 
 
@@ -498,22 +972,32 @@ class ActivityWindowRedirectPort {
 
   /**
    * @param {!Window} win
-   * @param {!ActivityResultCode} code
-   * @param {*} data
+   * @param {string} requestId
+   * @param {!Object} response
    * @param {string} targetOrigin
    * @param {boolean} targetOriginVerified
+   * @param {!Object<string, (!CryptoKey|!Object)>} verificationKeys
+   * @param {?ActivityResultPolicyDef} policy
    */
-  constructor(win, code, data, targetOrigin, targetOriginVerified) {
+  constructor(
+      win, requestId, response, targetOrigin, targetOriginVerified,
+      verificationKeys, policy) {
     /** @private @const {!Window} */
     this.win_ = win;
-    /** @private @const {!ActivityResultCode} */
-    this.code_ = code;
-    /** @private @const {*} */
-    this.data_ = data;
+    /** @private @const {string} */
+    this.requestId_ = requestId;
+    /** @private @const {!Object} */
+    this.response_ = response;
     /** @private {string} */
     this.targetOrigin_ = targetOrigin;
     /** @private {boolean} */
     this.targetOriginVerified_ = targetOriginVerified;
+    /** @private @const {!Object<string, (!CryptoKey|!Object)>} */
+    this.verificationKeys_ = verificationKeys;
+    /** @private @const {?ActivityResultPolicyDef} */
+    this.policy_ = policy;
+    /** @private {?Promise<!ActivityResult>} */
+    this.resultPromise_ = null;
   }
 
   /** @override */
@@ -523,15 +1007,75 @@ class ActivityWindowRedirectPort {
 
   /** @override */
   acceptResult() {
-    const result = new ActivityResult(
-        this.code_,
-        this.data_,
-        ActivityMode.REDIRECT,
-        this.targetOrigin_,
-        this.targetOriginVerified_,
-        /* secureChannel */ false);
-    return new Promise(resolve => {
-      resolveResult(this.win_, result, resolve);
+    if (!this.resultPromise_) {
+      let originVerified = this.targetOriginVerified_;
+      this.resultPromise_ = this.verifySignature_().then(signed => {
+        if (signed) {
+          originVerified = true;
+        }
+        const encrypted = this.response_['encrypted'];
+        return encrypted ?
+            decryptResult(this.win_, this.requestId_, encrypted) :
+            this.response_;
+      }).catch(reason => ({
+        'code': ActivityResultCode.FAILED,
+        'data': serializeError(reason),
+      })).then(response => {
+        // The key is no longer needed, even if the result has been rejected.
+        discardResultKey(this.win_, this.requestId_);
+        const code = /** @type {!ActivityResultCode} */ (response['code']);
+        const data = response['data'];
+        // The host sends the structured error separately from the `data`,
+        // which is the error's string for the older clients.
+        const result = new ActivityResult(
+            code,
+            code == ActivityResultCode.FAILED ?
+                deserializeError(response['error'] || data) :
+                data,
+            ActivityMode.REDIRECT,
+            this.targetOrigin_,
+            originVerified,
+            /* secureChannel */ false,
+            response['progress']);
+        return new Promise(resolve => {
+          resolveResult(this.win_, result, resolve, this.policy_);
+        });
+      });
+    }
+    return this.resultPromise_;
+  }
+
+  /**
+   * Verifies the signature of the response if a verification key has been
+   * registered for the host's origin. Yields `true` when the signature is
+   * valid and `false` when there's no key to verify it with. Fails when the
+   * signature is missing, invalid or expired.
+   *
+   * The key is looked up by the origin the response claims. Thus, signing
+   * only adds verification: the unsigned response that claims another origin
+   * is not affected, unless the policy requires the signature.
+   * @return {!Promise<boolean>}
+   * @private
+   */
+  verifySignature_() {
+    const key = this.verificationKeys_[this.targetOrigin_];
+    if (!key) {
+      if (this.policy_ && this.policy_.requireSignedRedirect) {
+        return Promise.reject(createPolicyViolationError(
+            `redirect result from "${this.targetOrigin_}" is not signed`));
+      }
+      return Promise.resolve(false);
+    }
+    return verifyResult(this.win_, key, this.response_).then(valid => {
+      if (!valid) {
+        throw new Error('invalid result signature');
+      }
+      const timestamp = this.response_['timestamp'];
+      if (typeof timestamp != 'number' ||
+          Math.abs(Date.now() - timestamp) > MAX_SIGNATURE_AGE) {
+        throw new Error('result signature expired');
+      }
+      return true;
     });
   }
 }
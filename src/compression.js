@@ -0,0 +1,552 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  fromBase64Url,
+  toBase64Url,
+  utf8Decode,
+  utf8Encode,
+} from './utils';
+
+
+/*
+ * The compact encoding of the payloads passed in URLs: the requests in the
+ * `__WA__` and the redirect results in the `__WA_RES__` fragment params. The
+ * JSON string is compressed with the raw DEFLATE and encoded as base64url
+ * with the `~` prefix. The plain JSON payloads always start with `{` and
+ * thus the decoder detects the encoding automatically.
+ *
+ * The decoding is always synchronous and is done by the small built-in
+ * inflater, which supports all DEFLATE blocks. The encoding uses the native
+ * `CompressionStream` when available and falls back to the built-in
+ * compressor, which only emits the fixed Huffman blocks.
+ *
+ * The native streams are asynchronous, while the requests and the redirect
+ * results have to be decoded synchronously on page load, and the port has to
+ * encode the request synchronously to open the popup within the user
+ * gesture. Hence the built-in codec. The decoded size is limited: a crafted
+ * payload of a few kilobytes could otherwise inflate to gigabytes.
+ */
+
+/** The prefix of the compact payloads. */
+const COMPACT_PREFIX = '~';
+
+/**
+ * The maximum size of the decoded payload. The URLs are normally limited to
+ * a few megabytes.
+ */
+const MAX_DECODED_LENGTH = 4 * 1024 * 1024;
+
+/** The size of the LZ77 window. */
+const WINDOW_SIZE = 32768;
+
+/** The size of the LZ77 hash table. Must be a power of 2. */
+const HASH_SIZE = 32768;
+
+/** The maximum number of the hash chain entries to check for a match. */
+const MAX_CHAIN = 64;
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+/** @const {!Array<number>} */
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+
+/** @const {!Array<number>} */
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+
+/** @const {!Array<number>} */
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+  8193, 12289, 16385, 24577,
+];
+
+/** @const {!Array<number>} */
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+/**
+ * The order of the code length code lengths in the dynamic block header.
+ * @const {!Array<number>}
+ */
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+
+/**
+ * @typedef {{
+ *   counts: !Array<number>,
+ *   symbols: !Array<number>,
+ * }}
+ */
+let HuffmanDef;
+
+
+/** @type {?Array<!HuffmanDef>} */
+let fixedTables = null;
+
+
+/**
+ * Whether the payload uses the compact encoding.
+ * @param {?string|undefined} value
+ * @return {boolean}
+ */
+export function isCompact(value) {
+  return !!value && value.charAt(0) == COMPACT_PREFIX;
+}
+
+
+/**
+ * Encodes the string in the compact form using the built-in compressor.
+ * @param {string} str
+ * @return {string}
+ */
+export function encodeCompact(str) {
+  return COMPACT_PREFIX + toBase64Url(deflateRaw(utf8Encode(str)));
+}
+
+
+/**
+ * Encodes the string in the compact form. Uses the native
+ * `CompressionStream` when available.
+ * @param {!Window} win
+ * @param {string} str
+ * @return {!Promise<string>}
+ */
+export function encodeCompactAsync(win, str) {
+  const bytes = utf8Encode(str);
+  return nativeDeflateRaw(win, bytes)
+      .catch(() => null)
+      .then(compressed => COMPACT_PREFIX +
+          toBase64Url(compressed || deflateRaw(bytes)));
+}
+
+
+/**
+ * Decodes the payload if it uses the compact encoding. Otherwise, returns
+ * the value as is.
+ * @param {string} value
+ * @return {string}
+ */
+export function decodeCompact(value) {
+  if (!isCompact(value)) {
+    return value;
+  }
+  let bytes;
+  try {
+    bytes = inflateRaw(
+        fromBase64Url(value.substring(COMPACT_PREFIX.length)),
+        MAX_DECODED_LENGTH);
+  } catch (e) {
+    throw new Error('invalid compact payload: ' + e.message);
+  }
+  return utf8Decode(bytes);
+}
+
+
+/**
+ * @param {!Window} win
+ * @param {!Uint8Array} bytes
+ * @return {!Promise<?Uint8Array>}
+ */
+function nativeDeflateRaw(win, bytes) {
+  const CompressionStream = win['CompressionStream'];
+  if (typeof CompressionStream != 'function' ||
+      typeof win.Response != 'function' ||
+      typeof win.Blob != 'function') {
+    return Promise.resolve(null);
+  }
+  return Promise.resolve().then(() => {
+    // Older browsers only support "deflate" with the zlib wrapper and throw
+    // here. They fall back to the built-in compressor.
+    const stream = new win.Blob([bytes]).stream().pipeThrough(
+        new CompressionStream('deflate-raw'));
+    return new win.Response(stream).arrayBuffer();
+  }).then(buffer => new Uint8Array(buffer));
+}
+
+
+/**
+ * Compresses the bytes into raw DEFLATE data with a single fixed Huffman
+ * block.
+ * @param {!Uint8Array} data
+ * @return {!Uint8Array}
+ */
+export function deflateRaw(data) {
+  const out = [];
+  let bitBuf = 0;
+  let bitCount = 0;
+  const writeBits = (value, count) => {
+    bitBuf |= value << bitCount;
+    bitCount += count;
+    while (bitCount >= 8) {
+      out.push(bitBuf & 0xff);
+      bitBuf >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  const writeCode = (code, length) => {
+    writeBits(reverseBits(code, length), length);
+  };
+  const writeLiteral = symbol => {
+    if (symbol < 144) {
+      writeCode(0x30 + symbol, 8);
+    } else if (symbol < 256) {
+      writeCode(0x190 + symbol - 144, 9);
+    } else if (symbol < 280) {
+      writeCode(symbol - 256, 7);
+    } else {
+      writeCode(0xc0 + symbol - 280, 8);
+    }
+  };
+
+  const head = new Int32Array(HASH_SIZE);
+  const prev = new Int32Array(data.length);
+  const insert = pos => {
+    if (pos + MIN_MATCH <= data.length) {
+      const hash = hashAt(data, pos);
+      // Positions are stored off by one so that `0` means "none".
+      prev[pos] = head[hash];
+      head[hash] = pos + 1;
+    }
+  };
+
+  // Header: the final block with the fixed Huffman codes.
+  writeBits(1, 1);
+  writeBits(1, 2);
+  let pos = 0;
+  while (pos < data.length) {
+    let bestLength = 0;
+    let bestDist = 0;
+    if (pos + MIN_MATCH <= data.length) {
+      const maxLength = Math.min(MAX_MATCH, data.length - pos);
+      let candidate = head[hashAt(data, pos)] - 1;
+      let chain = MAX_CHAIN;
+      while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+        let length = 0;
+        while (length < maxLength &&
+            data[candidate + length] == data[pos + length]) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestDist = pos - candidate;
+          if (length == maxLength) {
+            break;
+          }
+        }
+        candidate = prev[candidate] - 1;
+      }
+    }
+    if (bestLength >= MIN_MATCH) {
+      const lengthIndex = findBase(LENGTH_BASE, bestLength);
+      writeLiteral(257 + lengthIndex);
+      writeBits(bestLength - LENGTH_BASE[lengthIndex],
+          LENGTH_EXTRA[lengthIndex]);
+      const distIndex = findBase(DIST_BASE, bestDist);
+      writeCode(distIndex, 5);
+      writeBits(bestDist - DIST_BASE[distIndex], DIST_EXTRA[distIndex]);
+      for (let i = 0; i < bestLength; i++) {
+        insert(pos + i);
+      }
+      pos += bestLength;
+    } else {
+      writeLiteral(data[pos]);
+      insert(pos);
+      pos++;
+    }
+  }
+  // End of block.
+  writeLiteral(256);
+  if (bitCount > 0) {
+    out.push(bitBuf & 0xff);
+  }
+  return new Uint8Array(out);
+}
+
+
+/**
+ * Decompresses raw DEFLATE data. Fails once the output exceeds the limit.
+ * @param {!Uint8Array} data
+ * @param {number=} opt_maxLength
+ * @return {!Uint8Array}
+ */
+export function inflateRaw(data, opt_maxLength) {
+  const maxLength = opt_maxLength != null ? opt_maxLength : Infinity;
+  const out = [];
+  const ensureCapacity = length => {
+    if (out.length + length > maxLength) {
+      throw new Error('output exceeds ' + maxLength + ' bytes');
+    }
+  };
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCount = 0;
+  const readBits = count => {
+    while (bitCount < count) {
+      if (pos >= data.length) {
+        throw new Error('unexpected end of data');
+      }
+      bitBuf |= data[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuf & ((1 << count) - 1);
+    bitBuf >>>= count;
+    bitCount -= count;
+    return value;
+  };
+  const decodeSymbol = table => {
+    // Canonical Huffman codes are decoded one bit at a time.
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = table.counts[length];
+      if (code - count < first) {
+        return table.symbols[index + (code - first)];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('invalid Huffman code');
+  };
+
+  let last = 0;
+  do {
+    last = readBits(1);
+    const type = readBits(2);
+    if (type == 0) {
+      // Stored block: skip to the byte boundary.
+      bitBuf = 0;
+      bitCount = 0;
+      if (pos + 4 > data.length) {
+        throw new Error('unexpected end of data');
+      }
+      const length = data[pos] | (data[pos + 1] << 8);
+      const nlength = data[pos + 2] | (data[pos + 3] << 8);
+      if (length != (~nlength & 0xffff)) {
+        throw new Error('invalid stored block');
+      }
+      pos += 4;
+      if (pos + length > data.length) {
+        throw new Error('unexpected end of data');
+      }
+      ensureCapacity(length);
+      for (let i = 0; i < length; i++) {
+        out.push(data[pos++]);
+      }
+      continue;
+    }
+    let tables;
+    if (type == 1) {
+      tables = getFixedTables();
+    } else if (type == 2) {
+      tables = readDynamicTables(readBits, decodeSymbol);
+    } else {
+      throw new Error('invalid block type');
+    }
+    while (true) {
+      const symbol = decodeSymbol(tables[0]);
+      if (symbol < 256) {
+        ensureCapacity(1);
+        out.push(symbol);
+        continue;
+      }
+      if (symbol == 256) {
+        break;
+      }
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error('invalid length code');
+      }
+      const length = LENGTH_BASE[lengthIndex] +
+          readBits(LENGTH_EXTRA[lengthIndex]);
+      const distIndex = decodeSymbol(tables[1]);
+      if (distIndex >= DIST_BASE.length) {
+        throw new Error('invalid distance code');
+      }
+      const dist = DIST_BASE[distIndex] + readBits(DIST_EXTRA[distIndex]);
+      if (dist > out.length) {
+        throw new Error('invalid distance');
+      }
+      ensureCapacity(length);
+      const start = out.length - dist;
+      for (let i = 0; i < length; i++) {
+        out.push(out[start + i]);
+      }
+    }
+  } while (!last);
+  return new Uint8Array(out);
+}
+
+
+/**
+ * @param {function(number):number} readBits
+ * @param {function(!HuffmanDef):number} decodeSymbol
+ * @return {!Array<!HuffmanDef>}
+ */
+function readDynamicTables(readBits, decodeSymbol) {
+  const literalCount = readBits(5) + 257;
+  const distCount = readBits(5) + 1;
+  const codeLengthCount = readBits(4) + 4;
+  const codeLengths = zeros(CODE_LENGTH_ORDER.length);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+  }
+  const codeLengthTable = buildHuffman(codeLengths);
+  const lengths = [];
+  while (lengths.length < literalCount + distCount) {
+    const symbol = decodeSymbol(codeLengthTable);
+    if (symbol < 16) {
+      lengths.push(symbol);
+      continue;
+    }
+    let value = 0;
+    let repeat;
+    if (symbol == 16) {
+      if (lengths.length == 0) {
+        throw new Error('invalid code lengths');
+      }
+      value = lengths[lengths.length - 1];
+      repeat = 3 + readBits(2);
+    } else if (symbol == 17) {
+      repeat = 3 + readBits(3);
+    } else {
+      repeat = 11 + readBits(7);
+    }
+    for (let i = 0; i < repeat; i++) {
+      lengths.push(value);
+    }
+  }
+  if (lengths.length > literalCount + distCount) {
+    throw new Error('invalid code lengths');
+  }
+  return [
+    buildHuffman(lengths.slice(0, literalCount)),
+    buildHuffman(lengths.slice(literalCount)),
+  ];
+}
+
+
+/**
+ * @return {!Array<!HuffmanDef>}
+ */
+function getFixedTables() {
+  if (!fixedTables) {
+    const lengths = [];
+    for (let i = 0; i < 288; i++) {
+      lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+    }
+    const distLengths = [];
+    for (let i = 0; i < 30; i++) {
+      distLengths.push(5);
+    }
+    fixedTables = [buildHuffman(lengths), buildHuffman(distLengths)];
+  }
+  return fixedTables;
+}
+
+
+/**
+ * Builds the canonical Huffman decoding table from the code lengths.
+ * @param {!Array<number>} lengths
+ * @return {!HuffmanDef}
+ */
+function buildHuffman(lengths) {
+  const counts = zeros(16);
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+  }
+  counts[0] = 0;
+  const offsets = zeros(16);
+  for (let length = 1; length < 16; length++) {
+    offsets[length] = offsets[length - 1] + counts[length - 1];
+  }
+  const symbols = [];
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) {
+      symbols[offsets[lengths[i]]++] = i;
+    }
+  }
+  return {counts, symbols};
+}
+
+
+/**
+ * @param {!Uint8Array} data
+ * @param {number} pos
+ * @return {number}
+ */
+function hashAt(data, pos) {
+  return ((data[pos] << 10) ^ (data[pos + 1] << 5) ^ data[pos + 2]) &
+      (HASH_SIZE - 1);
+}
+
+
+/**
+ * Finds the index of the largest base that is not greater than the value.
+ * @param {!Array<number>} bases
+ * @param {number} value
+ * @return {number}
+ */
+function findBase(bases, value) {
+  let index = bases.length - 1;
+  while (bases[index] > value) {
+    index--;
+  }
+  return index;
+}
+
+
+/**
+ * @param {number} code
+ * @param {number} length
+ * @return {number}
+ */
+function reverseBits(code, length) {
+  let result = 0;
+  for (let i = 0; i < length; i++) {
+    result = (result << 1) | (code & 1);
+    code >>= 1;
+  }
+  return result;
+}
+
+
+/**
+ * @param {number} length
+ * @return {!Array<number>}
+ */
+function zeros(length) {
+  const array = [];
+  for (let i = 0; i < length; i++) {
+    array.push(0);
+  }
+  return array;
+}
@@ -15,10 +15,77 @@
  * limitations under the License.
  */
 
-import {isEdgeBrowser, isIeBrowser} from './utils';
+import {
+  ActivityCapability,
+  ActivityChannelPolicy,
+  ActivityLoggerDef,
+  ActivityQueueOverflow,
+  ActivitySchemaDef,
+  ActivityTransportDef,
+} from './activity-types';
+import {WindowTransport} from './transports';
+import {
+  assertValid,
+  createProtocolError,
+  createTimeoutError,
+  deserializeError,
+  isEdgeBrowser,
+  isIeBrowser,
+  serializeError,
+  throwAsync,
+} from './utils';
 
 const SENTINEL = '__ACTIVITIES__';
 
+/** The default time to wait for the response to `call()`. */
+const DEFAULT_CALL_TIMEOUT = 30000;
+
+/** The default maximum number of queued custom messages. */
+const DEFAULT_QUEUE_LIMIT = 100;
+
+/**
+ * The version of the messaging protocol. It's announced to the peer in the
+ * "connect" and "start" handshake.
+ */
+const PROTOCOL_VERSION = 2;
+
+/** The protocol version assumed for peers that do not announce one. */
+const LEGACY_PROTOCOL_VERSION = 1;
+
+/** The oldest peer protocol version this library can work with. */
+const MIN_PROTOCOL_VERSION = 1;
+
+/** The newest peer protocol version this library can work with. */
+const MAX_PROTOCOL_VERSION = PROTOCOL_VERSION;
+
+/**
+ * The capabilities of this library.
+ * @const {!Array<!ActivityCapability>}
+ */
+const CAPABILITIES = [
+  ActivityCapability.RESIZE,
+  ActivityCapability.MESSAGING,
+  ActivityCapability.NAMED_CHANNELS,
+  ActivityCapability.RPC,
+  ActivityCapability.STRUCTURED_ERRORS,
+  ActivityCapability.CHANNEL_UPGRADE,
+  ActivityCapability.PROGRESS,
+  ActivityCapability.HEARTBEAT,
+  ActivityCapability.SESSION,
+  ActivityCapability.ABORT,
+];
+
+/**
+ * The capabilities assumed for peers that do not announce them. These are the
+ * features all versions of the library have supported.
+ * @const {!Array<!ActivityCapability>}
+ */
+const LEGACY_CAPABILITIES = [
+  ActivityCapability.RESIZE,
+  ActivityCapability.MESSAGING,
+  ActivityCapability.NAMED_CHANNELS,
+];
+
 /**
  * @typedef {{
  *   promise: !Promise<!MessagePort>,
@@ -30,6 +97,47 @@ const SENTINEL = '__ACTIVITIES__';
 let ChannelHolderDef;
 
 
+/**
+ * @typedef {{
+ *   resolver: function(*),
+ *   rejecter: function(!Error),
+ *   timeout: ?number,
+ * }}
+ */
+let CallHolderDef;
+
+
+/**
+ * @typedef {{
+ *   type: ?string,
+ *   callback: function(!Object),
+ * }}
+ */
+let MessageListenerDef;
+
+
+/**
+ * A message queued until the messenger is ready to deliver it: a custom
+ * message ("msg" command) or a call ("rpc" command).
+ * @typedef {{
+ *   cmd: string,
+ *   payload: !Object,
+ *   transfer: ?Array,
+ * }}
+ */
+let QueuedMessageDef;
+
+
+/**
+ * The port's session with the host. Announced in the "start" handshake.
+ * @typedef {{
+ *   id: string,
+ *   state: *,
+ * }}
+ */
+let SessionDef;
+
+
 /**
  * The messenger helper for activity's port and host.
  */
@@ -40,8 +148,10 @@ export class Messenger {
    * @param {!Window|function():?Window} targetOrCallback
    * @param {?string} targetOrigin
    * @param {boolean} requireTarget
+   * @param {?ActivityTransportDef=} opt_transport
    */
-  constructor(win, targetOrCallback, targetOrigin, requireTarget) {
+  constructor(win, targetOrCallback, targetOrigin, requireTarget,
+      opt_transport) {
     /** @private @const {!Window} */
     this.win_ = win;
 
@@ -54,31 +164,108 @@ export class Messenger {
      */
     this.targetOrigin_ = targetOrigin;
 
-    /** @private @const {boolean} */
-    this.requireTarget_ = requireTarget;
-
     /** @private {?Window} */
     this.target_ = null;
 
     /** @private {boolean} */
     this.acceptsChannel_ = false;
 
+    /** @private {!ActivityChannelPolicy} */
+    this.channelPolicy_ = ActivityChannelPolicy.AUTO;
+
+    /**
+     * The host's channel policy. Only known to the port.
+     * @private {!ActivityChannelPolicy}
+     */
+    this.peerChannelPolicy_ = ActivityChannelPolicy.AUTO;
+
     /** @private {?MessagePort} */
     this.port_ = null;
 
     /** @private {?function(string, ?Object)} */
     this.onCommand_ = null;
 
-    /** @private {?function(!Object)} */
-    this.onCustomMessage_ = null;
+    /** @private {!Array<!MessageListenerDef>} */
+    this.customMessageListeners_ = [];
+
+    /**
+     * Whether the "start" command has been sent or received. Custom messages
+     * are queued until then.
+     * @private {boolean}
+     */
+    this.started_ = false;
+
+    /**
+     * Whether the custom messages are held back by the owner, e.g. until the
+     * host has accepted the activity.
+     * @private {boolean}
+     */
+    this.held_ = false;
+
+    /** @private @const {!Array<!QueuedMessageDef>} */
+    this.outboundQueue_ = [];
+
+    /** @private @const {!Array<!QueuedMessageDef>} */
+    this.inboundQueue_ = [];
+
+    /** @private {number} */
+    this.queueLimit_ = DEFAULT_QUEUE_LIMIT;
+
+    /** @private {!ActivityQueueOverflow} */
+    this.queueOverflow_ = ActivityQueueOverflow.ERROR;
+
+    /**
+     * The peer's protocol version. Unknown (`null`) until the handshake.
+     * @private {?number}
+     */
+    this.peerProtocol_ = null;
+
+    /** @private {?string} */
+    this.peerVersion_ = null;
+
+    /** @private {!Array<!ActivityCapability>} */
+    this.peerCapabilities_ = [];
+
+    /** @private {?SessionDef} */
+    this.session_ = null;
+
+    /** @private {?SessionDef} */
+    this.peerSession_ = null;
+
+    /** @private {?ActivityLoggerDef} */
+    this.logger_ = null;
+
+    /** @private {?function(string, *):*} */
+    this.logRedactor_ = null;
+
+    /** @private {?ActivitySchemaDef} */
+    this.messageSchema_ = null;
 
     /**
      * @private {?Object<string, !ChannelHolderDef>}
      */
     this.channels_ = null;
 
+    /** @private {number} */
+    this.callCounter_ = 0;
+
+    /**
+     * The outstanding calls indexed by the call ID.
+     * @private @const {!Object<string, !CallHolderDef>}
+     */
+    this.calls_ = {};
+
+    /** @private @const {!Object<string, function(*):*>} */
+    this.callHandlers_ = {};
+
     /** @private @const */
     this.boundHandleEvent_ = this.handleEvent_.bind(this);
+
+    /** @private @const {!ActivityTransportDef} */
+    this.transport_ = opt_transport || new WindowTransport(
+        win,
+        () => this.getOptionalTarget_(),
+        requireTarget);
   }
 
   /**
@@ -90,7 +277,7 @@ export class Messenger {
       throw new Error('already connected');
     }
     this.onCommand_ = onCommand;
-    this.win_.addEventListener('message', this.boundHandleEvent_);
+    this.transport_.connect(this.boundHandleEvent_);
   }
 
   /**
@@ -103,7 +290,7 @@ export class Messenger {
         closePort(this.port_);
         this.port_ = null;
       }
-      this.win_.removeEventListener('message', this.boundHandleEvent_);
+      this.transport_.disconnect();
       if (this.channels_) {
         for (const k in this.channels_) {
           const channelObj = this.channels_[k];
@@ -116,6 +303,12 @@ export class Messenger {
         }
         this.channels_ = null;
       }
+      for (const id in this.calls_) {
+        this.completeCall_(id, null, new Error('disconnected'));
+      }
+      this.started_ = false;
+      this.outboundQueue_.length = 0;
+      this.inboundQueue_.length = 0;
     }
   }
 
@@ -167,6 +360,78 @@ export class Messenger {
     return this.targetOrigin_;
   }
 
+  /**
+   * Returns the version of the peer's library, if the peer has announced it.
+   * @return {?string}
+   */
+  getPeerVersion() {
+    return this.peerVersion_;
+  }
+
+  /**
+   * Returns the peer's capabilities. Empty until the handshake.
+   * @return {!Array<!ActivityCapability>}
+   */
+  getPeerCapabilities() {
+    return this.peerCapabilities_.slice(0);
+  }
+
+  /**
+   * Sets the logger that receives every command sent and received. By
+   * default, the payloads are not logged, unless the redactor is provided.
+   * @param {?ActivityLoggerDef|undefined} logger
+   * @param {?function(string, *):*=} opt_redactor
+   */
+  setLogger(logger, opt_redactor) {
+    this.logger_ = logger || null;
+    this.logRedactor_ = opt_redactor || null;
+  }
+
+  /**
+   * Sets the session announced to the peer with the "start" command.
+   * @param {string} id
+   * @param {*} state
+   */
+  setSession(id, state) {
+    this.session_ = {id, state};
+  }
+
+  /**
+   * Returns the session announced by the peer, if any.
+   * @return {?SessionDef}
+   */
+  getPeerSession() {
+    return this.peerSession_;
+  }
+
+  /**
+   * Checks that the peer's protocol version is supported and that the peer
+   * supports all of the required capabilities. Must only be called once the
+   * handshake ("connect" or "start" command) has been received. The peers
+   * that predate the handshake are assumed to use the legacy protocol and to
+   * only support the `LEGACY_CAPABILITIES`, and thus fail any newer
+   * requirement.
+   * @param {?Array<!ActivityCapability>=} opt_requiredCapabilities
+   */
+  assertPeerCompatible(opt_requiredCapabilities) {
+    const peerName = 'activities peer' +
+        (this.peerVersion_ ? ' v' + this.peerVersion_ : '');
+    const peerProtocol = this.peerProtocol_ || LEGACY_PROTOCOL_VERSION;
+    if (peerProtocol < MIN_PROTOCOL_VERSION ||
+        peerProtocol > MAX_PROTOCOL_VERSION) {
+      throw createProtocolError(
+          `The ${peerName} uses protocol ${peerProtocol}, but this library` +
+          ` uses protocol ${PROTOCOL_VERSION} and supports protocols` +
+          ` ${MIN_PROTOCOL_VERSION}-${MAX_PROTOCOL_VERSION}`);
+    }
+    const missing = (opt_requiredCapabilities || []).filter(
+        capability => this.peerCapabilities_.indexOf(capability) == -1);
+    if (missing.length > 0) {
+      throw createProtocolError(
+          `The ${peerName} does not support: ${missing.join(', ')}`);
+    }
+  }
+
   /**
    * The host sends this message to the client to indicate that it's ready to
    * start communicating. The client is expected to respond back with the
@@ -183,8 +448,14 @@ export class Messenger {
     // Safari: https://bugs.webkit.org/show_bug.cgi?id=186593
     // Chrome: https://bugs.chromium.org/p/chromium/issues/detail?id=851493
     // Firefox: https://bugzilla.mozilla.org/show_bug.cgi?id=1469422
-    const acceptsChannel = isIeBrowser(this.win_) || isEdgeBrowser(this.win_);
-    this.sendCommand('connect', {'acceptsChannel': acceptsChannel});
+    const acceptsChannel =
+        this.channelPolicy_ == ActivityChannelPolicy.ALWAYS ||
+        (this.channelPolicy_ == ActivityChannelPolicy.AUTO &&
+            (isIeBrowser(this.win_) || isEdgeBrowser(this.win_)));
+    this.sendCommand('connect', {
+      'acceptsChannel': acceptsChannel,
+      'channel': this.channelPolicy_,
+    });
   }
 
   /**
@@ -195,7 +466,8 @@ export class Messenger {
    */
   sendStartCommand(args) {
     let channel = null;
-    if (this.acceptsChannel_ && typeof this.win_.MessageChannel == 'function') {
+    if (this.getEffectiveChannelPolicy_() == ActivityChannelPolicy.ALWAYS &&
+        typeof this.win_.MessageChannel == 'function') {
       channel = new this.win_.MessageChannel();
     }
     if (channel) {
@@ -206,6 +478,8 @@ export class Messenger {
     } else {
       this.sendCommand('start', args);
     }
+    this.started_ = true;
+    this.flushMessages_();
   }
 
   /**
@@ -220,33 +494,289 @@ export class Messenger {
       'cmd': cmd,
       'payload': opt_payload || null,
     };
+    if (cmd == 'connect' || cmd == 'start') {
+      // The handshake is sent next to the payload since the "start" payload
+      // is reserved for the activity's arguments.
+      data['handshake'] = {
+        'protocol': PROTOCOL_VERSION,
+        'version': '$internalRuntimeVersion$',
+        'capabilities': CAPABILITIES,
+      };
+      if (cmd == 'start' && this.session_) {
+        data['handshake']['session'] = {
+          'id': this.session_.id,
+          'state': this.session_.state,
+        };
+      }
+    }
     if (this.port_) {
       this.port_.postMessage(data, opt_transfer || undefined);
+      this.log_('send', cmd, data['payload'], this.targetOrigin_);
     } else {
-      const target = this.getTarget();
       // Only "connect" command is allowed to use `targetOrigin == '*'`
       const targetOrigin =
           cmd == 'connect' ?
           (this.targetOrigin_ != null ? this.targetOrigin_ : '*') :
           this.getTargetOrigin();
-      target.postMessage(data, targetOrigin, opt_transfer || undefined);
+      this.transport_.send(data, targetOrigin, opt_transfer);
+      this.log_('send', cmd, data['payload'], targetOrigin);
     }
   }
 
   /**
-   * Sends a message to the client.
+   * Sends a message to the client. The message is queued until the "start"
+   * command has been sent or received and the messages are not held. The
+   * objects in the transfer list, e.g. `ArrayBuffer` or `MessagePort`, are
+   * transferred to the client instead of being copied.
    * @param {!Object} payload
+   * @param {?Array=} opt_transfer
    */
-  customMessage(payload) {
-    this.sendCommand('msg', payload);
+  customMessage(payload, opt_transfer) {
+    this.enqueue_({cmd: 'msg', payload, transfer: opt_transfer || null});
+  }
+
+  /**
+   * Sends the message right away if the messenger is ready to deliver it.
+   * Otherwise, queues it according to the queue options.
+   * @param {!QueuedMessageDef} message
+   * @private
+   */
+  enqueue_(message) {
+    if (this.started_ && !this.held_) {
+      this.sendCommand(message.cmd, message.payload, message.transfer);
+      return;
+    }
+    if (this.outboundQueue_.length >= this.queueLimit_) {
+      if (this.queueOverflow_ == ActivityQueueOverflow.ERROR) {
+        throw new Error(
+            `message queue overflow: limit of ${this.queueLimit_} reached`);
+      }
+      if (this.queueOverflow_ == ActivityQueueOverflow.DROP_NEWEST ||
+          this.outboundQueue_.length == 0) {
+        this.dropMessage_(message);
+        return;
+      }
+      this.dropMessage_(this.outboundQueue_.shift());
+    }
+    this.outboundQueue_.push(message);
+  }
+
+  /**
+   * @param {!QueuedMessageDef} message
+   * @private
+   */
+  dropMessage_(message) {
+    // The dropped call fails right away instead of timing out.
+    if (message.cmd == 'rpc') {
+      this.completeCall_(message.payload['id'], null, new Error(
+          `message queue overflow: the call to "${message.payload['method']}"` +
+          ' has been dropped'));
+    }
   }
 
   /**
-   * Registers a callback to receive messages from the client.
+   * Registers a callback to receive messages from the client. If the type is
+   * specified, only the messages with the matching `type` field are passed to
+   * the callback. Returns the function that unregisters the callback.
    * @param {function(!Object)} callback
+   * @param {string=} opt_type
+   * @return {function()}
+   */
+  onCustomMessage(callback, opt_type) {
+    const listener = {type: opt_type != null ? opt_type : null, callback};
+    this.customMessageListeners_.push(listener);
+    return () => {
+      const index = this.customMessageListeners_.indexOf(listener);
+      if (index != -1) {
+        this.customMessageListeners_.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Sets the schema of the custom messages received from the peer. The
+   * messages that do not match are dropped and reported as errors.
+   * @param {?ActivitySchemaDef|undefined} schema
+   */
+  setMessageSchema(schema) {
+    this.messageSchema_ = schema || null;
+  }
+
+  /**
+   * Sets the policy for upgrading the window messaging to a `MessageChannel`.
+   * @param {!ActivityChannelPolicy|undefined} policy
+   */
+  setChannelPolicy(policy) {
+    this.channelPolicy_ = policy || ActivityChannelPolicy.AUTO;
+  }
+
+  /**
+   * Returns the type of the transport currently used to communicate with the
+   * peer: "message-channel" once upgraded to a `MessageChannel`, or the type
+   * of the transport otherwise, e.g. "window".
+   * @return {string}
+   */
+  getTransportType() {
+    return this.port_ ? 'message-channel' : this.transport_.getType();
+  }
+
+  /**
+   * Configures the queue of the custom messages and calls sent before the
+   * messenger is ready to deliver them.
+   * @param {number|undefined} limit
+   * @param {!ActivityQueueOverflow|undefined} overflow
+   */
+  setQueueOptions(limit, overflow) {
+    this.queueLimit_ = limit != null ? limit : DEFAULT_QUEUE_LIMIT;
+    this.queueOverflow_ = overflow || ActivityQueueOverflow.ERROR;
+  }
+
+  /**
+   * Holds back the custom messages and the calls, both outbound and inbound,
+   * until `releaseMessages()` is called.
+   */
+  holdMessages() {
+    this.held_ = true;
+  }
+
+  /**
+   * Releases the messages held by `holdMessages()`. The queued
+   * messages are delivered in order.
+   */
+  releaseMessages() {
+    this.held_ = false;
+    this.flushMessages_();
+  }
+
+  /** @private */
+  flushMessages_() {
+    if (!this.started_ || this.held_) {
+      return;
+    }
+    const outbound = this.outboundQueue_.splice(0);
+    for (let i = 0; i < outbound.length; i++) {
+      this.sendCommand(
+          outbound[i].cmd, outbound[i].payload, outbound[i].transfer);
+    }
+    const inbound = this.inboundQueue_.splice(0);
+    for (let i = 0; i < inbound.length; i++) {
+      if (inbound[i].cmd == 'rpc') {
+        this.handleCall_(inbound[i].payload);
+      } else {
+        this.dispatchCustomMessage_(inbound[i].payload);
+      }
+    }
+  }
+
+  /**
+   * Delivers the inbound message right away unless the messages are held.
+   * The held messages are delivered once released. Excess messages are
+   * dropped.
+   * @param {string} cmd
+   * @param {?Object} payload
+   * @private
+   */
+  receiveMessage_(cmd, payload) {
+    if (payload == null) {
+      return;
+    }
+    if (!this.held_) {
+      if (cmd == 'rpc') {
+        this.handleCall_(payload);
+      } else {
+        this.dispatchCustomMessage_(payload);
+      }
+    } else if (this.inboundQueue_.length < this.queueLimit_) {
+      this.inboundQueue_.push({cmd, payload, transfer: null});
+    } else if (cmd == 'rpc') {
+      this.handleCall_(payload, new Error(
+          'message queue overflow: the call has been dropped'));
+    }
+  }
+
+  /**
+   * @param {!Object} payload
+   * @private
    */
-  onCustomMessage(callback) {
-    this.onCustomMessage_ = callback;
+  dispatchCustomMessage_(payload) {
+    try {
+      assertValid(payload, this.messageSchema_ || undefined, 'message');
+    } catch (e) {
+      throwAsync(e);
+      return;
+    }
+    // Listeners can unsubscribe while the message is being dispatched.
+    const listeners = this.customMessageListeners_.slice(0);
+    for (let i = 0; i < listeners.length; i++) {
+      const listener = listeners[i];
+      if (listener.type != null && listener.type !== payload['type']) {
+        continue;
+      }
+      // One failing listener must not prevent others from receiving the
+      // message.
+      try {
+        listener.callback(payload);
+      } catch (e) {
+        throwAsync(e);
+      }
+    }
+  }
+
+  /**
+   * Calls the method registered by the peer via `handle()`. Just like custom
+   * messages, the calls are queued until the messenger is started and the
+   * messages are released.
+   * @param {string} method
+   * @param {*=} opt_params
+   * @param {number=} opt_timeout
+   * @return {!Promise<*>}
+   */
+  call(method, opt_params, opt_timeout) {
+    return new Promise((resolve, reject) => {
+      if (this.peerProtocol_ == null) {
+        throw new Error('not connected');
+      }
+      if (this.peerCapabilities_.indexOf(ActivityCapability.RPC) == -1) {
+        throw createProtocolError(
+            `The activities peer does not support: ${ActivityCapability.RPC}`);
+      }
+      const id = String(++this.callCounter_);
+      const timeout = opt_timeout != null ? opt_timeout : DEFAULT_CALL_TIMEOUT;
+      // The call must be registered before it's sent: some transports
+      // deliver the response synchronously.
+      this.calls_[id] = {
+        resolver: resolve,
+        rejecter: reject,
+        timeout: timeout > 0 ?
+            this.win_.setTimeout(() => {
+              this.completeCall_(id, null, createTimeoutError(
+                  `The call to "${method}" timed out after ${timeout}ms`));
+            }, timeout) :
+            null,
+      };
+      try {
+        this.enqueue_({
+          cmd: 'rpc',
+          payload: {
+            'id': id,
+            'method': method,
+            'params': opt_params !== undefined ? opt_params : null,
+          },
+          transfer: null,
+        });
+      } catch (e) {
+        this.completeCall_(id, null, e);
+      }
+    });
+  }
+
+  /**
+   * Registers the handler for the method called by the peer via `call()`.
+   * @param {string} method
+   * @param {function(*):*} handler
+   */
+  handle(method, handler) {
+    this.callHandlers_[method] = handler;
   }
 
   /**
@@ -319,6 +849,170 @@ export class Messenger {
     return channelObj;
   }
 
+  /**
+   * @param {!Object} payload
+   * @param {?Error=} opt_error The error to respond with instead of calling
+   *     the handler.
+   * @private
+   */
+  handleCall_(payload, opt_error) {
+    const id = payload['id'];
+    if (typeof id != 'string' && typeof id != 'number') {
+      // Without the ID, the response cannot be correlated.
+      return;
+    }
+    const method = payload['method'];
+    Promise.resolve().then(() => {
+      if (opt_error) {
+        throw opt_error;
+      }
+      if (typeof method != 'string') {
+        throw new Error('invalid rpc: missing method');
+      }
+      // The handler is resolved asynchronously so that the handlers
+      // registered right after the release of the held calls can serve them.
+      const handler =
+          Object.prototype.hasOwnProperty.call(this.callHandlers_, method) ?
+          this.callHandlers_[method] :
+          null;
+      if (!handler) {
+        throw new Error(`No handler for "${method}"`);
+      }
+      return handler(payload['params']);
+    }).then(result => {
+      this.sendCallResponse_({
+        'id': id,
+        'result': result !== undefined ? result : null,
+      });
+    }, reason => {
+      this.sendCallResponse_({
+        'id': id,
+        'error': serializeError(reason),
+      });
+    });
+  }
+
+  /**
+   * @param {!Object} response
+   * @private
+   */
+  sendCallResponse_(response) {
+    // The response is dropped if the messenger has been disconnected while
+    // the handler was running.
+    if (this.onCommand_) {
+      this.sendCommand('rpcr', response);
+    }
+  }
+
+  /**
+   * @param {!Object} payload
+   * @private
+   */
+  handleCallResponse_(payload) {
+    if (!payload || typeof payload != 'object') {
+      return;
+    }
+    const errorObj = payload['error'];
+    this.completeCall_(
+        payload['id'],
+        payload['result'],
+        errorObj ? deserializeError(errorObj) : null);
+  }
+
+  /**
+   * @param {string} id
+   * @param {*} result
+   * @param {?Error} error
+   * @private
+   */
+  completeCall_(id, result, error) {
+    const callObj = this.calls_[id];
+    if (!callObj) {
+      // Unknown call or the call has already timed out.
+      return;
+    }
+    delete this.calls_[id];
+    if (callObj.timeout != null) {
+      this.win_.clearTimeout(callObj.timeout);
+    }
+    if (error) {
+      callObj.rejecter(error);
+    } else {
+      callObj.resolver(result);
+    }
+  }
+
+  /**
+   * @param {?Object} handshake
+   * @private
+   */
+  receiveHandshake_(handshake) {
+    if (handshake && typeof handshake == 'object') {
+      const capabilities = handshake['capabilities'];
+      this.peerProtocol_ =
+          Number(handshake['protocol']) || LEGACY_PROTOCOL_VERSION;
+      this.peerVersion_ =
+          handshake['version'] != null ? String(handshake['version']) : null;
+      this.peerCapabilities_ =
+          Array.isArray(capabilities) ? capabilities.slice(0) : [];
+      const session = handshake['session'];
+      this.peerSession_ = session && typeof session == 'object' ? {
+        id: String(session['id']),
+        state: session['state'] !== undefined ? session['state'] : null,
+      } : null;
+    } else {
+      // The peer predates the handshake negotiation.
+      this.peerProtocol_ = LEGACY_PROTOCOL_VERSION;
+      this.peerVersion_ = null;
+      this.peerCapabilities_ = LEGACY_CAPABILITIES.slice(0);
+      this.peerSession_ = null;
+    }
+  }
+
+  /**
+   * Combines the port's and the host's channel policies. The channel is only
+   * ever used with the window messaging.
+   * @return {!ActivityChannelPolicy}
+   * @private
+   */
+  getEffectiveChannelPolicy_() {
+    const policies = [this.channelPolicy_, this.peerChannelPolicy_];
+    if (this.transport_.getType() != 'window' ||
+        policies.indexOf(ActivityChannelPolicy.NEVER) != -1) {
+      return ActivityChannelPolicy.NEVER;
+    }
+    if (policies.indexOf(ActivityChannelPolicy.AFTER_READY) != -1) {
+      return ActivityChannelPolicy.AFTER_READY;
+    }
+    if (policies.indexOf(ActivityChannelPolicy.ALWAYS) != -1) {
+      return ActivityChannelPolicy.ALWAYS;
+    }
+    // Both are "auto": follow the host's preference.
+    return this.acceptsChannel_ ?
+        ActivityChannelPolicy.ALWAYS :
+        ActivityChannelPolicy.NEVER;
+  }
+
+  /**
+   * Switches to the `MessageChannel` once the host is ready, if the
+   * "after-ready" policy is in effect.
+   * @private
+   */
+  maybeUpgradeChannel_() {
+    if (this.port_ ||
+        this.getEffectiveChannelPolicy_() !=
+            ActivityChannelPolicy.AFTER_READY ||
+        this.peerCapabilities_.indexOf(
+            ActivityCapability.CHANNEL_UPGRADE) == -1 ||
+        typeof this.win_.MessageChannel != 'function') {
+      return;
+    }
+    const channel = new this.win_.MessageChannel();
+    this.sendCommand('upgrade', null, [channel.port2]);
+    // Just as with "start", switch only after "upgrade" has been sent.
+    this.switchToChannel_(channel.port1);
+  }
+
   /**
    * @param {!MessagePort} port
    * @private
@@ -336,7 +1030,7 @@ export class Messenger {
         this.handleCommand_(cmd, payload, event);
       }
     };
-    // Even though all messaging will switch to ports, the window-based message
+    // Even though all messaging will switch to ports, the transport's message
     // listener will be preserved just in case the host is refreshed and needs
     // another connection.
   }
@@ -346,13 +1040,6 @@ export class Messenger {
    * @private
    */
   handleEvent_(event) {
-    if (this.requireTarget_ && this.getOptionalTarget_() != event.source) {
-      // When target is required, confirm it against the event.source. This
-      // is normally only needed for ports where a single window can include
-      // multiple iframes to match the event to a specific iframe. Otherwise,
-      // the origin checks below are sufficient.
-      return;
-    }
     const data = event.data;
     if (!data || data['sentinel'] != SENTINEL) {
       return;
@@ -382,6 +1069,41 @@ export class Messenger {
     this.handleCommand_(cmd, payload, event);
   }
 
+  /**
+   * @param {string} direction
+   * @param {string} cmd
+   * @param {*} payload
+   * @param {?string} origin
+   * @private
+   */
+  log_(direction, cmd, payload, origin) {
+    if (!this.logger_) {
+      return;
+    }
+    let size = 0;
+    if (payload != null) {
+      try {
+        size = JSON.stringify(payload).length;
+      } catch (e) {
+        size = -1;
+      }
+    }
+    try {
+      this.logger_({
+        direction,
+        cmd,
+        origin,
+        transport: this.getTransportType(),
+        timestamp: Date.now(),
+        size,
+        payload: this.logRedactor_ ? this.logRedactor_(cmd, payload) : null,
+      });
+    } catch (e) {
+      // The logger must never break the messaging.
+      throwAsync(e);
+    }
+  }
+
   /**
    * @param {string} cmd
    * @param {?Object} payload
@@ -389,6 +1111,8 @@ export class Messenger {
    * @private
    */
   handleCommand_(cmd, payload, event) {
+    this.log_(
+        'receive', cmd, payload, event && event.origin || this.targetOrigin_);
     if (cmd == 'connect') {
       if (this.port_) {
         // In case the port has already been open - close it to reopen it
@@ -397,17 +1121,36 @@ export class Messenger {
         this.port_ = null;
       }
       this.acceptsChannel_ = payload && payload['acceptsChannel'] || false;
+      // Older hosts do not announce the policy. They always accept the channel
+      // on "start", though.
+      this.peerChannelPolicy_ = /** @type {!ActivityChannelPolicy} */ (
+          payload && payload['channel'] || ActivityChannelPolicy.AUTO);
+      this.receiveHandshake_(event.data && event.data['handshake']);
       this.onCommand_(cmd, payload);
     } else if (cmd == 'start') {
       const port = event.ports && event.ports[0];
       if (port) {
         this.switchToChannel_(port);
       }
+      this.receiveHandshake_(event.data && event.data['handshake']);
+      this.started_ = true;
       this.onCommand_(cmd, payload);
-    } else if (cmd == 'msg') {
-      if (this.onCustomMessage_ != null && payload != null) {
-        this.onCustomMessage_(payload);
+      this.flushMessages_();
+    } else if (cmd == 'msg' || cmd == 'rpc') {
+      this.receiveMessage_(cmd, payload);
+    } else if (cmd == 'upgrade') {
+      const port = event.ports && event.ports[0];
+      if (port) {
+        this.switchToChannel_(port);
       }
+    } else if (cmd == 'ready') {
+      this.maybeUpgradeChannel_();
+      this.onCommand_(cmd, payload);
+    } else if (cmd == 'ping') {
+      // Heartbeat: let the peer know this side is still alive.
+      this.sendCommand('pong');
+    } else if (cmd == 'rpcr') {
+      this.handleCallResponse_(/** @type {!Object} */ (payload));
     } else if (cmd == 'cnget') {
       const name = payload['name'];
       this.startChannel(name);
@@ -0,0 +1,341 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  fromBase64Url,
+  toBase64Url,
+  utf8Decode,
+  utf8Encode,
+} from './utils';
+import {
+  getSessionItem,
+  isSessionStorageSupported,
+  removeSessionItem,
+  setSessionItem,
+} from './session-storage';
+
+
+/*
+ * The end-to-end encryption of the results delivered via redirect. The port
+ * generates an ephemeral ECDH key pair, keeps the private key in the
+ * `sessionStorage`, since the result arrives to a new page load, and sends
+ * the public key with the request. For each result, the host generates its
+ * own ephemeral key pair, derives the AES-GCM key from the shared secret via
+ * HKDF-SHA256 and sends its public key along with the ciphertext. Thus the
+ * result never appears in the URL in plaintext.
+ *
+ * The redirect results can also be signed by the host with an ECDSA P-256
+ * key. The client verifies the signature with the public key registered for
+ * the host's origin.
+ */
+
+/**
+ * The algorithm of the encrypted result envelope. It's not a JOSE algorithm:
+ * the key is derived via HKDF rather than the Concat KDF.
+ */
+const ALGORITHM = 'ECDH-HKDF-SHA256+A256GCM';
+
+/** The prefix of the session storage key that holds the private key. */
+const STORAGE_KEY_PREFIX = '__WA_KEY__:';
+
+/** @const {!Object} */
+const KEY_PARAMS = {'name': 'ECDH', 'namedCurve': 'P-256'};
+
+/** @const {!Object} */
+const AES_PARAMS = {'name': 'AES-GCM', 'length': 256};
+
+/** @const {!Object} */
+const SIGNING_KEY_PARAMS = {'name': 'ECDSA', 'namedCurve': 'P-256'};
+
+/** @const {!Object} */
+const SIGNATURE_PARAMS = {'name': 'ECDSA', 'hash': 'SHA-256'};
+
+/**
+ * The fields of the redirect response covered by the signature, in order.
+ * @const {!Array<string>}
+ */
+const SIGNED_FIELDS = [
+  'requestId',
+  'nonce',
+  'origin',
+  'code',
+  'data',
+  'progress',
+  'encrypted',
+  'timestamp',
+];
+
+
+/**
+ * The encrypted result envelope:
+ * - alg: the algorithm, always "ECDH-HKDF-SHA256+A256GCM".
+ * - epk: the host's ephemeral public key in the JWK format.
+ * - iv: the base64url-encoded AES-GCM initialization vector.
+ * - ct: the base64url-encoded ciphertext of the JSON-serialized result.
+ *
+ * @typedef {{
+ *   alg: string,
+ *   epk: !Object,
+ *   iv: string,
+ *   ct: string,
+ * }}
+ */
+export let EncryptedResultDef;
+
+
+/**
+ * Generates the port's key pair for the specified request. The private key
+ * is stored in the `sessionStorage` until the request completes, see
+ * `discardResultKey()`. Yields the public key in the JWK format.
+ * @param {!Window} win
+ * @param {string} requestId
+ * @return {!Promise<!Object>}
+ */
+export function createResultKey(win, requestId) {
+  return Promise.resolve().then(() => {
+    if (!isSessionStorageSupported(win)) {
+      throw new Error('session storage is not supported');
+    }
+    const subtle = getSubtle(win);
+    return subtle.generateKey(KEY_PARAMS, true, ['deriveBits']).then(
+        keyPair => Promise.all([
+          subtle.exportKey('jwk', keyPair.publicKey),
+          subtle.exportKey('jwk', keyPair.privateKey),
+        ]));
+  }).then(keys => {
+    setSessionItem(
+        win, STORAGE_KEY_PREFIX + requestId, JSON.stringify(keys[1]));
+    return keys[0];
+  });
+}
+
+
+/**
+ * Encrypts the result for the port that owns the specified public key.
+ * @param {!Window} win
+ * @param {!Object} publicKey The port's public key in the JWK format.
+ * @param {string} requestId
+ * @param {*} data Any JSON-serializable value.
+ * @return {!Promise<!EncryptedResultDef>}
+ */
+export function encryptResult(win, publicKey, requestId, data) {
+  return Promise.resolve().then(() => {
+    const subtle = getSubtle(win);
+    const iv = win.crypto.getRandomValues(new Uint8Array(12));
+    return Promise.all([
+      subtle.importKey('jwk', publicKey, KEY_PARAMS, false, []),
+      subtle.generateKey(KEY_PARAMS, true, ['deriveBits']),
+    ]).then(keys => {
+      const peerKey = keys[0];
+      const keyPair = keys[1];
+      return Promise.all([
+        subtle.exportKey('jwk', keyPair.publicKey),
+        deriveKey(subtle, peerKey, keyPair.privateKey, 'encrypt').then(
+            aesKey => subtle.encrypt(
+                aesParams(iv, requestId),
+                aesKey,
+                utf8Encode(JSON.stringify(data)))),
+      ]);
+    }).then(results => {
+      return /** @type {!EncryptedResultDef} */ ({
+        'alg': ALGORITHM,
+        'epk': results[0],
+        'iv': toBase64Url(iv),
+        'ct': toBase64Url(new Uint8Array(results[1])),
+      });
+    });
+  });
+}
+
+
+/**
+ * Discards the private key of the specified request, e.g. when the result
+ * has been delivered without the encryption or the request has failed.
+ * @param {!Window} win
+ * @param {string} requestId
+ */
+export function discardResultKey(win, requestId) {
+  removeSessionItem(win, STORAGE_KEY_PREFIX + requestId);
+}
+
+
+/**
+ * Decrypts the result with the private key generated for the specified
+ * request by `createResultKey()`. The private key is discarded once the
+ * decryption has been attempted, whether or not it succeeded.
+ * @param {!Window} win
+ * @param {string} requestId
+ * @param {*} encrypted
+ * @return {!Promise<*>}
+ */
+export function decryptResult(win, requestId, encrypted) {
+  const storageKey = STORAGE_KEY_PREFIX + requestId;
+  return Promise.resolve().then(() => {
+    if (!encrypted || encrypted['alg'] != ALGORITHM) {
+      throw new Error('unsupported result encryption');
+    }
+    const privateKey = getSessionItem(win, storageKey);
+    if (!privateKey) {
+      throw new Error('result key not found');
+    }
+    const subtle = getSubtle(win);
+    return Promise.all([
+      subtle.importKey(
+          'jwk', JSON.parse(privateKey), KEY_PARAMS, false, ['deriveBits']),
+      subtle.importKey('jwk', encrypted['epk'], KEY_PARAMS, false, []),
+    ]).then(keys => deriveKey(subtle, keys[1], keys[0], 'decrypt'))
+        .then(aesKey => subtle.decrypt(
+            aesParams(fromBase64Url(encrypted['iv']), requestId),
+            aesKey,
+            fromBase64Url(encrypted['ct'])));
+  }).then(plaintext => {
+    discardResultKey(win, requestId);
+    return JSON.parse(utf8Decode(new Uint8Array(plaintext)));
+  }, reason => {
+    discardResultKey(win, requestId);
+    throw reason;
+  });
+}
+
+
+/**
+ * Signs the redirect response. Yields the base64url-encoded signature of the
+ * response's requestId, nonce, origin, code, data, progress, encrypted
+ * and timestamp fields.
+ * @param {!Window} win
+ * @param {!CryptoKey|!Object} signingKey The ECDSA P-256 private key as a
+ *   `CryptoKey` or in the JWK format.
+ * @param {!Object} response
+ * @return {!Promise<string>}
+ */
+export function signResult(win, signingKey, response) {
+  return Promise.resolve().then(() => {
+    const subtle = getSubtle(win);
+    return importSigningKey(subtle, signingKey, 'sign').then(
+        key => subtle.sign(
+            SIGNATURE_PARAMS, key, utf8Encode(getSigningInput(response))));
+  }).then(signature => toBase64Url(new Uint8Array(signature)));
+}
+
+
+/**
+ * Verifies the signature of the redirect response. Yields `false` when the
+ * response is not signed or the signature does not match.
+ * @param {!Window} win
+ * @param {!CryptoKey|!Object} verificationKey The ECDSA P-256 public key as
+ *   a `CryptoKey` or in the JWK format.
+ * @param {!Object} response
+ * @return {!Promise<boolean>}
+ */
+export function verifyResult(win, verificationKey, response) {
+  return Promise.resolve().then(() => {
+    const signature = response['signature'];
+    if (!signature || typeof signature != 'string') {
+      return false;
+    }
+    const subtle = getSubtle(win);
+    return importSigningKey(subtle, verificationKey, 'verify').then(
+        key => subtle.verify(
+            SIGNATURE_PARAMS,
+            key,
+            fromBase64Url(signature),
+            utf8Encode(getSigningInput(response))));
+  });
+}
+
+
+/**
+ * @param {!Object} response
+ * @return {string}
+ */
+function getSigningInput(response) {
+  return JSON.stringify(SIGNED_FIELDS.map(
+      field => response[field] !== undefined ? response[field] : null));
+}
+
+
+/**
+ * @param {!SubtleCrypto} subtle
+ * @param {!CryptoKey|!Object} key
+ * @param {string} usage
+ * @return {!Promise<!CryptoKey>}
+ */
+function importSigningKey(subtle, key, usage) {
+  if (typeof key['kty'] != 'string') {
+    // Already a `CryptoKey`.
+    return Promise.resolve(/** @type {!CryptoKey} */ (key));
+  }
+  return subtle.importKey('jwk', key, SIGNING_KEY_PARAMS, false, [usage]);
+}
+
+
+/**
+ * @param {!Window} win
+ * @return {!SubtleCrypto}
+ */
+function getSubtle(win) {
+  const crypto = win.crypto;
+  if (!crypto || !crypto.subtle) {
+    throw new Error('WebCrypto is not supported');
+  }
+  return crypto.subtle;
+}
+
+
+/**
+ * The raw ECDH shared secret is not uniformly random and thus is not used as
+ * the AES key directly.
+ * @param {!SubtleCrypto} subtle
+ * @param {!CryptoKey} publicKey
+ * @param {!CryptoKey} privateKey
+ * @param {string} usage
+ * @return {!Promise<!CryptoKey>}
+ */
+function deriveKey(subtle, publicKey, privateKey, usage) {
+  return subtle.deriveBits(
+      {'name': 'ECDH', 'public': publicKey},
+      privateKey,
+      256).then(
+      secret => subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']))
+      .then(secretKey => subtle.deriveKey(
+          {
+            'name': 'HKDF',
+            'hash': 'SHA-256',
+            'salt': new Uint8Array(0),
+            'info': utf8Encode(ALGORITHM),
+          },
+          secretKey,
+          AES_PARAMS,
+          false,
+          [usage]));
+}
+
+
+/**
+ * The request ID is authenticated along with the ciphertext so that the
+ * result cannot be replayed for another request.
+ * @param {!Uint8Array} iv
+ * @param {string} requestId
+ * @return {!Object}
+ */
+function aesParams(iv, requestId) {
+  return {
+    'name': 'AES-GCM',
+    'iv': iv,
+    'additionalData': utf8Encode(requestId),
+  };
+}
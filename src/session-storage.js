@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/*
+ * The only module allowed to access the `sessionStorage`. The redirect
+ * results are delivered to a new page load and thus the port's secrets for
+ * the outstanding request, such as the result key, cannot be kept in memory.
+ * All entries are scoped to a single request and removed once the result
+ * has been received.
+ */
+
+
+/**
+ * @param {!Window} win
+ * @return {?Storage}
+ */
+function getStorage(win) {
+  try {
+    return win.sessionStorage || null;
+  } catch (e) {
+    // Access to the storage can be denied, e.g. in sandboxed iframes.
+    return null;
+  }
+}
+
+
+/**
+ * @param {!Window} win
+ * @return {boolean}
+ */
+export function isSessionStorageSupported(win) {
+  return !!getStorage(win);
+}
+
+
+/**
+ * Yields `null` when the item is not found or the storage is not available.
+ * @param {!Window} win
+ * @param {string} key
+ * @return {?string}
+ */
+export function getSessionItem(win, key) {
+  const storage = getStorage(win);
+  return storage ? storage.getItem(key) : null;
+}
+
+
+/**
+ * Throws when the storage is not available or full.
+ * @param {!Window} win
+ * @param {string} key
+ * @param {string} value
+ */
+export function setSessionItem(win, key, value) {
+  const storage = getStorage(win);
+  if (!storage) {
+    throw new Error('sessionStorage is not supported');
+  }
+  storage.setItem(key, value);
+}
+
+
+/**
+ * @param {!Window} win
+ * @param {string} key
+ */
+export function removeSessionItem(win, key) {
+  const storage = getStorage(win);
+  if (storage) {
+    storage.removeItem(key);
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ActivityTransportDef} from './activity-types';
+import {containsBinaryData, getWindowOrigin, throwAsync} from './utils';
+
+
+/**
+ * The transport over the window messaging (`window.postMessage`). This is
+ * the default transport.
+ *
+ * @implements {ActivityTransportDef}
+ */
+export class WindowTransport {
+
+  /**
+   * @param {!Window} win
+   * @param {function():?Window} targetCallback
+   * @param {boolean} requireTarget
+   */
+  constructor(win, targetCallback, requireTarget) {
+    /** @private @const {!Window} */
+    this.win_ = win;
+
+    /** @private @const {function():?Window} */
+    this.targetCallback_ = targetCallback;
+
+    /** @private @const {boolean} */
+    this.requireTarget_ = requireTarget;
+
+    /** @private {?function(!MessageEvent)} */
+    this.callback_ = null;
+
+    /** @private @const */
+    this.boundHandleEvent_ = this.handleEvent_.bind(this);
+  }
+
+  /** @override */
+  connect(callback) {
+    this.callback_ = callback;
+    this.win_.addEventListener('message', this.boundHandleEvent_);
+  }
+
+  /** @override */
+  disconnect() {
+    this.callback_ = null;
+    this.win_.removeEventListener('message', this.boundHandleEvent_);
+  }
+
+  /** @override */
+  getType() {
+    return 'window';
+  }
+
+  /** @override */
+  send(data, targetOrigin, opt_transfer) {
+    const target = this.targetCallback_();
+    if (!target) {
+      throw new Error('not connected');
+    }
+    target.postMessage(data, targetOrigin, opt_transfer || undefined);
+  }
+
+  /**
+   * @param {!MessageEvent} event
+   * @private
+   */
+  handleEvent_(event) {
+    if (this.requireTarget_ && this.targetCallback_() != event.source) {
+      // When target is required, confirm it against the event.source. This
+      // is normally only needed for ports where a single window can include
+      // multiple iframes to match the event to a specific iframe. Otherwise,
+      // the origin checks in the messenger are sufficient.
+      return;
+    }
+    if (this.callback_) {
+      this.callback_(event);
+    }
+  }
+}
+
+
+/**
+ * The transport over a `MessagePort`, e.g. one end of a `MessageChannel`
+ * that has been passed to the peer by some other means. The origin of the
+ * peer must be known in advance.
+ *
+ * @implements {ActivityTransportDef}
+ */
+export class MessagePortTransport {
+
+  /**
+   * @param {!MessagePort} port
+   * @param {string} origin The origin of the peer.
+   */
+  constructor(port, origin) {
+    /** @private @const {!MessagePort} */
+    this.port_ = port;
+
+    /** @private @const {string} */
+    this.origin_ = origin;
+  }
+
+  /** @override */
+  connect(callback) {
+    this.port_.onmessage = event => {
+      callback(toMessageEvent(event.data, this.origin_, event.ports));
+    };
+    if (this.port_.start) {
+      this.port_.start();
+    }
+  }
+
+  /** @override */
+  disconnect() {
+    this.port_.onmessage = null;
+    try {
+      this.port_.close();
+    } catch (e) {
+      // Ignore.
+    }
+  }
+
+  /** @override */
+  getType() {
+    return 'message-port';
+  }
+
+  /** @override */
+  send(data, targetOrigin, opt_transfer) {
+    this.port_.postMessage(data, opt_transfer || undefined);
+  }
+}
+
+
+/**
+ * The transport over a named `BroadcastChannel`. The broadcast channels only
+ * work between the same-origin documents, thus the origin of the peer is
+ * always the origin of the current window.
+ *
+ * @implements {ActivityTransportDef}
+ */
+export class BroadcastChannelTransport {
+
+  /**
+   * @param {!Window} win
+   * @param {string} name
+   */
+  constructor(win, name) {
+    /** @private @const {!Window} */
+    this.win_ = win;
+
+    /** @private @const {string} */
+    this.name_ = name;
+
+    /** @private {?BroadcastChannel} */
+    this.channel_ = null;
+  }
+
+  /** @override */
+  connect(callback) {
+    if (typeof this.win_.BroadcastChannel != 'function') {
+      throw new Error('BroadcastChannel is not supported');
+    }
+    const origin = getWindowOrigin(this.win_);
+    this.channel_ = new this.win_.BroadcastChannel(this.name_);
+    this.channel_.onmessage = event => {
+      callback(toMessageEvent(event.data, origin, null));
+    };
+  }
+
+  /** @override */
+  disconnect() {
+    if (this.channel_) {
+      this.channel_.onmessage = null;
+      this.channel_.close();
+      this.channel_ = null;
+    }
+  }
+
+  /** @override */
+  getType() {
+    return 'broadcast-channel';
+  }
+
+  /** @override */
+  send(data, targetOrigin, opt_transfer) {
+    if (!this.channel_) {
+      throw new Error('not connected');
+    }
+    if (opt_transfer && opt_transfer.length > 0) {
+      throw new Error('BroadcastChannel cannot transfer objects');
+    }
+    this.channel_.postMessage(data);
+  }
+}
+
+
+/**
+ * The transport that connects two messengers within the same window. Mainly
+ * useful for tests. The pair is created via `InMemoryTransport.createPair()`.
+ * Just like with other transports, the messages are delivered asynchronously.
+ *
+ * @implements {ActivityTransportDef}
+ */
+export class InMemoryTransport {
+
+  /**
+   * Creates two connected transports. The first one is used by the side
+   * with `origin1` and the second one is used by the side with `origin2`.
+   * @param {string} origin1
+   * @param {string} origin2
+   * @return {!Array<!InMemoryTransport>}
+   */
+  static createPair(origin1, origin2) {
+    const transport1 = new InMemoryTransport(origin2);
+    const transport2 = new InMemoryTransport(origin1);
+    transport1.peer_ = transport2;
+    transport2.peer_ = transport1;
+    return [transport1, transport2];
+  }
+
+  /**
+   * @param {string} peerOrigin
+   */
+  constructor(peerOrigin) {
+    /** @private @const {string} */
+    this.peerOrigin_ = peerOrigin;
+
+    /** @private {?InMemoryTransport} */
+    this.peer_ = null;
+
+    /** @private {?function(!MessageEvent)} */
+    this.callback_ = null;
+  }
+
+  /** @override */
+  connect(callback) {
+    this.callback_ = callback;
+  }
+
+  /** @override */
+  disconnect() {
+    this.callback_ = null;
+  }
+
+  /** @override */
+  getType() {
+    return 'in-memory';
+  }
+
+  /** @override */
+  send(data, targetOrigin, opt_transfer) {
+    const peer = this.peer_;
+    if (!peer) {
+      throw new Error('not connected');
+    }
+    const ports = (opt_transfer || []).filter(
+        item => item && typeof item.postMessage == 'function');
+    // Just like `postMessage`, the peer receives a copy of the data, taken
+    // at the time of sending, and the transferred objects.
+    const message = cloneMessage({data, ports}, opt_transfer);
+    Promise.resolve().then(() => {
+      if (peer.callback_) {
+        try {
+          peer.callback_(toMessageEvent(
+              message.data, peer.peerOrigin_, message.ports));
+        } catch (e) {
+          // Just like with `postMessage`, the receiver's failure is not
+          // reported to the sender.
+          throwAsync(e);
+        }
+      }
+    });
+  }
+}
+
+
+/**
+ * Copies the message via the structured clone algorithm where available.
+ * The older browsers fall back to the JSON serialization of the data, which
+ * cannot carry the binary data. The ports are then passed as is.
+ * @param {{data: *, ports: !Array}} message
+ * @param {?Array|?ReadonlyArray|undefined} transfer
+ * @return {{data: *, ports: !Array}}
+ */
+function cloneMessage(message, transfer) {
+  if (typeof self != 'undefined' && typeof self.structuredClone == 'function') {
+    return self.structuredClone(message, {
+      transfer: transfer ? Array.prototype.slice.call(transfer, 0) : [],
+    });
+  }
+  const data = message.data;
+  if (data == null || typeof data != 'object') {
+    return message;
+  }
+  if (containsBinaryData(data)) {
+    throw new Error('binary data cannot be sent without structured clone');
+  }
+  return {data: JSON.parse(JSON.stringify(data)), ports: message.ports};
+}
+
+
+/**
+ * @param {*} data
+ * @param {string} origin
+ * @param {?Array|?ReadonlyArray} ports
+ * @return {!MessageEvent}
+ */
+function toMessageEvent(data, origin, ports) {
+  return /** @type {!MessageEvent} */ ({
+    data,
+    origin,
+    source: null,
+    ports: ports ? Array.prototype.slice.call(ports, 0) : [],
+  });
+}
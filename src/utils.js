@@ -15,7 +15,15 @@
  * limitations under the License.
  */
 
-import {ActivityRequestDef} from './activity-types';
+import {
+  ActivityAcceptPolicyDef,
+  ActivityErrorDef,
+  ActivityHostDef,
+  ActivityMode,
+  ActivityRequestDef,
+  ActivityResultPolicyDef,
+  ActivityVerificationLevel,
+} from './activity-types';
 
 /** Only allows http/https URLs. */
 const HTTP_S_ONLY_RE = /^https?\:/i;
@@ -26,6 +34,24 @@ const ABORT_ERR_NAME = 'AbortError';
 /** DOMException.ABORT_ERR = 20 */
 const ABORT_ERR_CODE = 20;
 
+/** The name of the port/host incompatibility error. */
+const PROTOCOL_ERR_NAME = 'ProtocolError';
+
+/** DOMException.TIMEOUT_ERR name */
+const TIMEOUT_ERR_NAME = 'TimeoutError';
+
+/** The name of the error that indicates that the host stopped responding. */
+const HOST_LOST_ERR_NAME = 'HostLostError';
+
+/** The name of the error that indicates that a value failed the schema. */
+const VALIDATION_ERR_NAME = 'ValidationError';
+
+/** The name of the error that indicates that a peer violated the policy. */
+const POLICY_VIOLATION_ERR_NAME = 'PolicyViolationError';
+
+/** The allowed subdomain part of the origin matched by a wildcard. */
+const SUBDOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
 /** @type {?HTMLAnchorElement} */
 let aResolver;
 
@@ -232,6 +258,12 @@ export function parseRequest(requestString, trusted = false) {
     request.originVerified = /** @type {boolean|undefined} */ (
         parsed['originVerified'] || undefined);
   }
+  if (parsed['nonce']) {
+    request.nonce = String(parsed['nonce']);
+  }
+  if (parsed['resultKey']) {
+    request.resultKey = /** @type {!Object} */ (parsed['resultKey']);
+  }
   return request;
 }
 
@@ -252,10 +284,73 @@ export function serializeRequest(request) {
   if (request.originVerified !== undefined) {
     map['originVerified'] = request.originVerified;
   }
+  if (request.nonce) {
+    map['nonce'] = request.nonce;
+  }
+  if (request.resultKey) {
+    map['resultKey'] = request.resultKey;
+  }
   return JSON.stringify(map);
 }
 
 
+/**
+ * Creates a random ID that identifies the port's session with the host
+ * across the host's reloads. The session ID is not a secret and thus, unlike
+ * the nonce, it falls back to `Math.random()` where the `crypto` is not
+ * available.
+ * @param {!Window} win
+ * @return {string}
+ */
+export function createSessionId(win) {
+  if (!getRandomValuesCrypto(win)) {
+    return Math.random().toString(36).substring(2) + Date.now().toString(36);
+  }
+  return createRandomId(win);
+}
+
+
+/**
+ * Creates a random one-time value that binds the redirect result to the
+ * request.
+ * @param {!Window} win
+ * @return {string}
+ */
+export function createNonce(win) {
+  return createRandomId(win);
+}
+
+
+/**
+ * @param {!Window} win
+ * @return {?Crypto}
+ */
+function getRandomValuesCrypto(win) {
+  const crypto = win.crypto || win['msCrypto'];
+  return crypto && crypto.getRandomValues ? crypto : null;
+}
+
+
+/**
+ * The IDs must be unpredictable and thus `Math.random()` is not an option.
+ * @param {!Window} win
+ * @return {string}
+ */
+function createRandomId(win) {
+  const crypto = getRandomValuesCrypto(win);
+  if (!crypto) {
+    throw new Error('crypto.getRandomValues is not supported');
+  }
+  const array = new Uint32Array(4);
+  crypto.getRandomValues(array);
+  const values = [];
+  for (let i = 0; i < array.length; i++) {
+    values.push(array[i].toString(36));
+  }
+  return values.join('');
+}
+
+
 /**
  * @param {*} error
  * @return {boolean}
@@ -300,8 +395,434 @@ export function createAbortError(win, opt_message) {
 }
 
 
+/**
+ * @param {*} error
+ * @return {boolean}
+ */
+export function isProtocolError(error) {
+  if (!error || typeof error != 'object') {
+    return false;
+  }
+  return (error['name'] === PROTOCOL_ERR_NAME);
+}
+
+
+/**
+ * Creates an error that indicates that the port and the host cannot work
+ * together, e.g. because one of them uses an unsupported protocol version or
+ * lacks a required capability.
+ * @param {string} message
+ * @return {!Error}
+ */
+export function createProtocolError(message) {
+  const error = new Error(message);
+  error.name = PROTOCOL_ERR_NAME;
+  return error;
+}
+
+
+/**
+ * @param {*} error
+ * @return {boolean}
+ */
+export function isTimeoutError(error) {
+  if (!error || typeof error != 'object') {
+    return false;
+  }
+  return (error['name'] === TIMEOUT_ERR_NAME);
+}
+
+
+/**
+ * Creates an error that indicates that the peer did not respond in time.
+ * @param {string} message
+ * @return {!Error}
+ */
+export function createTimeoutError(message) {
+  const error = new Error(message);
+  error.name = TIMEOUT_ERR_NAME;
+  return error;
+}
+
+
+/**
+ * @param {*} error
+ * @return {boolean}
+ */
+export function isHostLostError(error) {
+  if (!error || typeof error != 'object') {
+    return false;
+  }
+  return (error['name'] === HOST_LOST_ERR_NAME);
+}
+
+
+/**
+ * Creates an error that indicates that the host has crashed, navigated away
+ * or otherwise stopped responding to the heartbeat.
+ * @param {string} message
+ * @return {!Error}
+ */
+export function createHostLostError(message) {
+  const error = new Error(message);
+  error.name = HOST_LOST_ERR_NAME;
+  return error;
+}
+
+
+/**
+ * @param {*} error
+ * @return {boolean}
+ */
+export function isValidationError(error) {
+  if (!error || typeof error != 'object') {
+    return false;
+  }
+  return (error['name'] === VALIDATION_ERR_NAME);
+}
+
+
+/**
+ * Creates an error that indicates that the args, the result or a message
+ * did not pass the schema validation. The individual violations are
+ * available as `details`.
+ * @param {string} message
+ * @param {!Array<string>} errors
+ * @return {!Error}
+ */
+export function createValidationError(message, errors) {
+  const error = new Error(message + ': ' + errors.join('; '));
+  error.name = VALIDATION_ERR_NAME;
+  error.details = errors;
+  return error;
+}
+
+
+/**
+ * @param {*} error
+ * @return {boolean}
+ */
+export function isPolicyViolationError(error) {
+  if (!error || typeof error != 'object') {
+    return false;
+  }
+  return (error['name'] === POLICY_VIOLATION_ERR_NAME);
+}
+
+
+/**
+ * Creates an error that indicates that the activity result violated the
+ * result policy and has not been delivered to the application.
+ * @param {string} message
+ * @return {!Error}
+ */
+export function createPolicyViolationError(message) {
+  const error = new Error(message);
+  error.name = POLICY_VIOLATION_ERR_NAME;
+  return error;
+}
+
+
+/**
+ * Checks the activity result against the policy. Returns the description of
+ * the violation, or `null` when the result satisfies the policy.
+ * @param {!./activity-types.ActivityResult} result
+ * @param {!ActivityResultPolicyDef} policy
+ * @return {?string}
+ */
+export function checkResultPolicy(result, policy) {
+  const origin = result.origin;
+  const allowedOrigins = policy.allowedOrigins;
+  if (allowedOrigins &&
+      !allowedOrigins.some(pattern => matchOrigin(pattern, origin))) {
+    return `origin "${origin}" is not allowed`;
+  }
+  const level =
+      policy.minVerification || ActivityVerificationLevel.SECURE_CHANNEL;
+  if (level == ActivityVerificationLevel.NONE) {
+    return null;
+  }
+  if (!result.originVerified) {
+    return `origin "${origin}" is not verified`;
+  }
+  if (level == ActivityVerificationLevel.SECURE_CHANNEL &&
+      !result.secureChannel &&
+      !(policy.allowInsecureRedirect &&
+          result.mode == ActivityMode.REDIRECT)) {
+    return `result from "${origin}" is not delivered over a secure channel`;
+  }
+  return null;
+}
+
+
+/**
+ * Checks the connected host's client against the accept policy. Returns the
+ * description of the violation, or `null` when the client satisfies the
+ * policy. The policy's verifier is not called.
+ * @param {!ActivityHostDef} host
+ * @param {!ActivityAcceptPolicyDef} policy
+ * @return {?string}
+ */
+export function checkAcceptPolicy(host, policy) {
+  const mode = host.getMode();
+  if (policy.allowedModes && policy.allowedModes.indexOf(mode) == -1) {
+    return `mode "${mode}" is not allowed`;
+  }
+  const origin = host.getTargetOrigin();
+  const allowedOrigins = policy.allowedOrigins;
+  if (allowedOrigins) {
+    if (!host.isTargetOriginVerified()) {
+      return `origin "${origin}" is not verified`;
+    }
+    if (!allowedOrigins.some(pattern => matchOrigin(pattern, origin))) {
+      return `origin "${origin}" is not allowed`;
+    }
+  }
+  if (policy.requireSecureChannel && !host.isSecureChannel()) {
+    return `client "${origin}" is not connected over a secure channel`;
+  }
+  return null;
+}
+
+
+/**
+ * Whether the origin matches the pattern. The pattern is either an exact
+ * origin or an origin with the `*.` wildcard for subdomains, such as
+ * `https://*.example.com`.
+ * @param {string} pattern
+ * @param {string} origin
+ * @return {boolean}
+ */
+export function matchOrigin(pattern, origin) {
+  if (pattern == origin) {
+    return true;
+  }
+  const index = pattern.indexOf('://*.');
+  if (index == -1) {
+    return false;
+  }
+  const scheme = pattern.substring(0, index + 3);
+  const suffix = pattern.substring(index + 4);
+  if (origin.length <= scheme.length + suffix.length ||
+      origin.substring(0, scheme.length) != scheme ||
+      origin.substring(origin.length - suffix.length) != suffix) {
+    return false;
+  }
+  return SUBDOMAIN_RE.test(
+      origin.substring(scheme.length, origin.length - suffix.length));
+}
+
+
+/**
+ * Serializes the failure reason into the structured error envelope that can
+ * be transferred via messaging or redirect. Only the name, message, code and
+ * details are preserved. The stack is never included.
+ * @param {*} reason
+ * @return {!ActivityErrorDef}
+ */
+export function serializeError(reason) {
+  const isObject = !!reason && typeof reason == 'object';
+  const code = isObject ? reason['code'] : undefined;
+  const details = isObject ? reason['details'] : undefined;
+  return {
+    'name': isObject && reason['name'] ? String(reason['name']) : 'Error',
+    'message': isObject && reason['message'] != null ?
+        String(reason['message']) :
+        (reason != null ? String(reason) : ''),
+    'code':
+        typeof code == 'string' || typeof code == 'number' ? code : null,
+    'details': details !== undefined ? details : null,
+  };
+}
+
+
+/**
+ * Rebuilds the error from the structured error envelope. For compatibility
+ * with older hosts, a plain string is accepted as the error message.
+ * @param {*} data
+ * @return {!Error}
+ */
+export function deserializeError(data) {
+  if (!data || typeof data != 'object') {
+    return new Error(data != null ? String(data) : '');
+  }
+  const error = new Error(String(data['message'] || ''));
+  error.name = String(data['name'] || 'Error');
+  if (data['code'] != null) {
+    error.code = data['code'];
+  }
+  if (data['details'] != null) {
+    error.details = data['details'];
+  }
+  return error;
+}
+
+
+/**
+ * The types of values that can be delivered via messaging, but cannot be
+ * represented as JSON. The types are checked by their string tags so that
+ * values created in other windows are recognized as well.
+ * @const {!Array<string>}
+ */
+const BINARY_TYPES = [
+  '[object ArrayBuffer]',
+  '[object SharedArrayBuffer]',
+  '[object Blob]',
+  '[object File]',
+  '[object ImageBitmap]',
+  '[object ImageData]',
+  '[object MessagePort]',
+  '[object OffscreenCanvas]',
+];
+
+
+/**
+ * Whether the value is or contains binary data, such as an `ArrayBuffer`, a
+ * typed array, a `Blob` or a `MessagePort`.
+ * @param {*} value
+ * @return {boolean}
+ */
+export function containsBinaryData(value) {
+  const seen = [];
+  const check = value => {
+    if (!value || typeof value != 'object' || seen.indexOf(value) != -1) {
+      return false;
+    }
+    seen.push(value);
+    if (BINARY_TYPES.indexOf(Object.prototype.toString.call(value)) != -1 ||
+        (typeof ArrayBuffer != 'undefined' && ArrayBuffer.isView(value))) {
+      return true;
+    }
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) {
+      if (check(value[keys[i]])) {
+        return true;
+      }
+    }
+    return false;
+  };
+  return check(value);
+}
+
+
+/**
+ * Validates the value against the schema and returns the list of violations.
+ * The empty list means that the value is valid. See `ActivitySchemaDef` for
+ * the supported keywords.
+ * @param {*} value
+ * @param {!./activity-types.ActivitySchemaDef} schema
+ * @param {string=} opt_path
+ * @return {!Array<string>}
+ */
+export function validateSchema(value, schema, opt_path) {
+  const path = opt_path || '$';
+  if (typeof schema == 'function') {
+    let error;
+    try {
+      error = schema(value);
+    } catch (e) {
+      error = e && e.message || String(e);
+    }
+    return error ? [path + ': ' + error] : [];
+  }
+  const type = getSchemaType(value);
+  if (schema['type'] != null) {
+    const types = [].concat(schema['type']);
+    if (types.indexOf(type) == -1 &&
+        !(type == 'integer' && types.indexOf('number') != -1)) {
+      return [path + ': expected ' + types.join(' or ') + ', got ' + type];
+    }
+  }
+  const errors = [];
+  if (schema['enum'] && schema['enum'].indexOf(value) == -1) {
+    errors.push(path + ': must be one of ' + JSON.stringify(schema['enum']));
+  }
+  if (typeof value == 'string') {
+    if (schema['minLength'] != null && value.length < schema['minLength']) {
+      errors.push(path + ': shorter than ' + schema['minLength']);
+    }
+    if (schema['maxLength'] != null && value.length > schema['maxLength']) {
+      errors.push(path + ': longer than ' + schema['maxLength']);
+    }
+  }
+  if (typeof value == 'number') {
+    if (schema['minimum'] != null && value < schema['minimum']) {
+      errors.push(path + ': less than ' + schema['minimum']);
+    }
+    if (schema['maximum'] != null && value > schema['maximum']) {
+      errors.push(path + ': greater than ' + schema['maximum']);
+    }
+  }
+  if (type == 'array' && schema['items']) {
+    for (let i = 0; i < value.length; i++) {
+      errors.push.apply(errors,
+          validateSchema(value[i], schema['items'], path + '[' + i + ']'));
+    }
+  }
+  if (type == 'object') {
+    const properties = schema['properties'] || {};
+    (schema['required'] || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(path + '.' + key + ': required');
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        if (value[key] !== undefined) {
+          errors.push.apply(errors,
+              validateSchema(value[key], properties[key], path + '.' + key));
+        }
+      } else if (schema['additionalProperties'] === false) {
+        errors.push(path + '.' + key + ': not allowed');
+      }
+    });
+  }
+  return errors;
+}
+
+
+/**
+ * Returns the JSON-Schema type of the value.
+ * @param {*} value
+ * @return {string}
+ */
+function getSchemaType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value == 'number') {
+    return value % 1 === 0 ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+
+/**
+ * Throws the `ValidationError` when the value does not pass the schema.
+ * Nothing is validated when the schema is not specified.
+ * @param {*} value
+ * @param {!./activity-types.ActivitySchemaDef|undefined} schema
+ * @param {string} name The name of the validated value, e.g. "args".
+ */
+export function assertValid(value, schema, name) {
+  if (!schema) {
+    return;
+  }
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) {
+    throw createValidationError('invalid ' + name, errors);
+  }
+}
+
+
 /**
  * Resolves the activity result as a promise:
+ *  - the result that violates the policy is rejected with the
+ *    `PolicyViolationError` that describes how the result was delivered in
+ *    its `details`;
  *  - `OK` result is yielded as the promise's payload;
  *  - `CANCEL` result is rejected with the `AbortError`;
  *  - `FAILED` result is rejected with the embedded error.
@@ -309,9 +830,22 @@ export function createAbortError(win, opt_message) {
  * @param {!Window} win
  * @param {!./activity-types.ActivityResult} result
  * @param {function((!./activity-types.ActivityResult|!Promise))} resolver
+ * @param {?ActivityResultPolicyDef=} opt_policy
  */
-export function resolveResult(win, result, resolver) {
-  if (result.ok) {
+export function resolveResult(win, result, resolver, opt_policy) {
+  const violation = opt_policy ? checkResultPolicy(result, opt_policy) : null;
+  if (violation) {
+    // The result itself is not attached: its data must not reach the
+    // application.
+    const error = createPolicyViolationError(violation);
+    error.details = {
+      'origin': result.origin,
+      'originVerified': result.originVerified,
+      'secureChannel': result.secureChannel,
+      'mode': result.mode,
+    };
+    resolver(Promise.reject(error));
+  } else if (result.ok) {
     resolver(result);
   } else {
     const error = result.error || createAbortError(win);
@@ -367,3 +901,92 @@ export function isNodeConnected(node) {
   const root = node.ownerDocument && node.ownerDocument.documentElement;
   return (root && root.contains(node)) || false;
 }
+
+
+/**
+ * Sets the inline style property of the element.
+ * @param {!Element} element
+ * @param {string} property The camel-cased property name, e.g. `minHeight`.
+ * @param {string} value
+ */
+export function setStyle(element, property, value) {
+  element.style[property] = value;
+}
+
+
+/**
+ * Sets the inline style properties of the element.
+ * @param {!Element} element
+ * @param {!Object<string, string>} styles
+ */
+export function setStyles(element, styles) {
+  for (const k in styles) {
+    setStyle(element, k, styles[k]);
+  }
+}
+
+
+/**
+ * Encodes the string as UTF-8 bytes.
+ * @param {string} str
+ * @return {!Uint8Array}
+ */
+export function utf8Encode(str) {
+  const binary = unescape(encodeURIComponent(str));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+
+/**
+ * Decodes the UTF-8 bytes into a string.
+ * @param {!Uint8Array} bytes
+ * @return {string}
+ */
+export function utf8Decode(bytes) {
+  return decodeURIComponent(escape(bytesToBinary(bytes)));
+}
+
+
+/**
+ * Encodes the bytes as unpadded base64url.
+ * @param {!Uint8Array} bytes
+ * @return {string}
+ */
+export function toBase64Url(bytes) {
+  return btoa(bytesToBinary(bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+}
+
+
+/**
+ * Decodes the base64url string, padded or not, into bytes.
+ * @param {string} str
+ * @return {!Uint8Array}
+ */
+export function fromBase64Url(str) {
+  const binary = atob(String(str).replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+
+/**
+ * @param {!Uint8Array} bytes
+ * @return {string}
+ */
+function bytesToBinary(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return binary;
+}
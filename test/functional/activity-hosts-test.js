@@ -16,6 +16,7 @@
  */
 
 import {ActivityHosts} from '../../src/activity-hosts';
+import {ActivityMode, ActivityResultCode} from '../../src/activity-types';
 import {ActivityIframeHost} from '../../src/activity-iframe-host';
 import {
   ActivityWindowPopupHost,
@@ -106,6 +107,30 @@ describes.realWin('ActivityHosts', {}, env => {
         });
       });
 
+      it('should pass options to popup host', () => {
+        win.opener = {};  // Popup: opener exists.
+        const promise = hosts.connectHost(null, {resultAckTimeout: 1000});
+        connectResolve(initialHost);
+        return promise.then(host => {
+          expect(host.options_).to.deep.equal({resultAckTimeout: 1000});
+        });
+      });
+
+      it('should pass the logger to popup host', () => {
+        win.opener = {};  // Popup: opener exists.
+        const logger = sandbox.spy();
+        hosts.setLogger(logger);
+        const promise = hosts.connectHost(null, {resultAckTimeout: 1000});
+        connectResolve(initialHost);
+        return promise.then(host => {
+          expect(host.options_).to.deep.equal({
+            resultAckTimeout: 1000,
+            logger,
+            logRedactor: undefined,
+          });
+        });
+      });
+
       it('should connect redirect host', () => {
         win.opener = null;  // Redirect: no opener.
         const promise = hosts.connectHost();
@@ -142,5 +167,150 @@ describes.realWin('ActivityHosts', {}, env => {
         expect(popupConnectStub).to.be.calledWith(request);
       });
     });
+
+    describe('accept policy', () => {
+      let host;
+
+      beforeEach(() => {
+        host = {
+          getMode: () => ActivityMode.POPUP,
+          getTargetOrigin: () => 'https://pay.example.com',
+          isTargetOriginVerified: () => true,
+          isSecureChannel: () => true,
+          accept: sandbox.spy(),
+          cancel: sandbox.spy(),
+          failed: sandbox.spy(),
+        };
+      });
+
+      function connectWithPolicy(policy) {
+        const promise = hosts.connectHost(null, null, policy);
+        connectResolve(host);
+        return promise;
+      }
+
+      function expectRejected(promise, message) {
+        return promise.then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('PolicyViolationError');
+          expect(reason.message).to.match(message);
+          return reason;
+        });
+      }
+
+      it('should accept the matching client', () => {
+        return connectWithPolicy({
+          allowedOrigins: ['https://*.example.com'],
+          requireSecureChannel: true,
+          allowedModes: [ActivityMode.POPUP, ActivityMode.IFRAME],
+        }).then(result => {
+          expect(result).to.equal(host);
+          expect(host.accept).to.be.calledOnce;
+          expect(host.failed).to.not.be.called;
+          expect(host.cancel).to.not.be.called;
+        });
+      });
+
+      it('should fail the client from a disallowed origin', () => {
+        return expectRejected(connectWithPolicy({
+          allowedOrigins: ['https://example.com'],
+        }), /origin "https:\/\/pay.example.com" is not allowed/)
+            .then(reason => {
+              expect(host.accept).to.not.be.called;
+              expect(host.failed).to.be.calledOnce.calledWith(reason);
+            });
+      });
+
+      it('should fail the client with an unverified origin', () => {
+        host.isTargetOriginVerified = () => false;
+        return expectRejected(connectWithPolicy({
+          allowedOrigins: ['https://pay.example.com'],
+        }), /is not verified/).then(() => {
+          expect(host.accept).to.not.be.called;
+          expect(host.failed).to.be.calledOnce;
+        });
+      });
+
+      it('should fail the client without a secure channel', () => {
+        host.isSecureChannel = () => false;
+        return expectRejected(connectWithPolicy({
+          requireSecureChannel: true,
+        }), /not connected over a secure channel/).then(() => {
+          expect(host.failed).to.be.calledOnce;
+        });
+      });
+
+      it('should cancel the client in a disallowed mode', () => {
+        host.getMode = () => ActivityMode.REDIRECT;
+        return expectRejected(connectWithPolicy({
+          allowedModes: [ActivityMode.POPUP],
+          rejectionCode: ActivityResultCode.CANCELED,
+        }), /mode "redirect" is not allowed/).then(() => {
+          expect(host.cancel).to.be.calledOnce;
+          expect(host.failed).to.not.be.called;
+        });
+      });
+
+      it('should accept the client approved by the verifier', () => {
+        const verifier = sandbox.spy(() => Promise.resolve(true));
+        return connectWithPolicy({verifier}).then(result => {
+          expect(result).to.equal(host);
+          expect(verifier).to.be.calledOnce.calledWith(host);
+          expect(host.accept).to.be.calledOnce;
+        });
+      });
+
+      it('should fail the client rejected by the verifier', () => {
+        return expectRejected(connectWithPolicy({
+          verifier: () => false,
+        }), /rejected by the verifier/).then(() => {
+          expect(host.accept).to.not.be.called;
+          expect(host.failed).to.be.calledOnce;
+        });
+      });
+
+      it('should fail the client when the verifier fails', () => {
+        const error = new Error('intentional');
+        return connectWithPolicy({
+          verifier: () => Promise.reject(error),
+        }).then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason).to.equal(error);
+          expect(host.accept).to.not.be.called;
+          expect(host.failed).to.be.calledOnce;
+          const failure = host.failed.args[0][0];
+          expect(failure).to.not.equal(error);
+          expect(failure.name).to.equal('PolicyViolationError');
+          expect(failure.message).to.match(/client verification failed/);
+        });
+      });
+
+      it('should cancel the client when the verifier fails', () => {
+        const error = new Error('intentional');
+        return connectWithPolicy({
+          verifier: () => Promise.reject(error),
+          rejectionCode: ActivityResultCode.CANCELED,
+        }).then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason).to.equal(error);
+          expect(host.cancel).to.be.calledOnce;
+          expect(host.failed).to.not.be.called;
+        });
+      });
+
+      it('should not call the verifier after a violation', () => {
+        const verifier = sandbox.spy(() => true);
+        host.isSecureChannel = () => false;
+        return expectRejected(connectWithPolicy({
+          requireSecureChannel: true,
+          verifier,
+        }), /secure channel/).then(() => {
+          expect(verifier).to.not.be.called;
+        });
+      });
+    });
   });
 });
@@ -16,7 +16,7 @@
  */
 
 import {ActivityIframeHost} from '../../src/activity-iframe-host';
-import {ActivityMode} from '../../src/activity-types';
+import {ActivityCapability, ActivityMode} from '../../src/activity-types';
 
 
 describes.realWin('ActivityIframeHost', {}, env => {
@@ -53,7 +53,7 @@ describes.realWin('ActivityIframeHost', {}, env => {
   });
 
   it('should initialize messenger on connect', () => {
-    expect(messenger.requireTarget_).to.be.false;
+    expect(messenger.transport_.requireTarget_).to.be.false;
     const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
     host.connect();
     expect(messenger.getTarget()).to.equal(win.parent);
@@ -100,17 +100,142 @@ describes.realWin('ActivityIframeHost', {}, env => {
         .to.throw(/not connected/);
     expect(() => host.failed(new Error('intentional')))
         .to.throw(/not connected/);
-    expect(() => host.message({a: 1}))
-        .to.throw(/not connected|not accepted/);
     expect(() => host.messageChannel('a'))
         .to.throw(/not connected|not accepted/);
   });
 
+  it('should fail to connect to an incompatible client', () => {
+    host.options_.requiredCapabilities = [
+      ActivityCapability.STRUCTURED_ERRORS,
+      ActivityCapability.RPC,
+    ];
+    const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+    const connectPromise = host.connect();
+    messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {
+        sentinel: '__ACTIVITIES__',
+        cmd: 'start',
+        payload: {a: 1},
+        handshake: {
+          protocol: 2,
+          version: '1.9',
+          capabilities: ['structured-errors'],
+        },
+      },
+    });
+    expect(sendCommandStub).to.be.calledTwice;
+    expect(sendCommandStub.args[1][0]).to.equal('result');
+    expect(sendCommandStub.args[1][1]).to.deep.equal({
+      code: 'failed',
+      data: {
+        name: 'ProtocolError',
+        message: 'The activities peer v1.9 does not support: rpc',
+        code: null,
+        details: null,
+      },
+    });
+    expect(host.connected_).to.be.false;
+    return connectPromise.then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ProtocolError');
+    });
+  });
+
+  it('should fail to connect with invalid args', () => {
+    host.options_.argsSchema = {
+      type: 'object',
+      properties: {a: {type: 'string'}},
+    };
+    const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+    const connectPromise = host.connect();
+    messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {
+        sentinel: '__ACTIVITIES__',
+        cmd: 'start',
+        payload: {a: 1},
+        handshake: {protocol: 2, capabilities: ['structured-errors']},
+      },
+    });
+    expect(sendCommandStub).to.be.calledTwice;
+    expect(sendCommandStub.args[1][0]).to.equal('result');
+    expect(sendCommandStub.args[1][1]).to.deep.equal({
+      code: 'failed',
+      data: {
+        name: 'ValidationError',
+        message: 'invalid args: $.a: expected string, got integer',
+        code: null,
+        details: ['$.a: expected string, got integer'],
+      },
+    });
+    expect(host.connected_).to.be.false;
+    return connectPromise.then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ValidationError');
+    });
+  });
+
+  it('should ignore "start" once the connection has failed', () => {
+    host.options_.argsSchema = {type: 'object', required: ['b']};
+    const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+    const connectPromise = host.connect();
+    const start = () => messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {a: 1}},
+    });
+    start();
+    expect(start).to.not.throw();
+    expect(sendCommandStub).to.be.calledTwice;
+    expect(host.connected_).to.be.false;
+    return connectPromise.then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ValidationError');
+    });
+  });
+
+  it('should connect with valid args', () => {
+    host.options_.argsSchema = {type: 'object', required: ['a']};
+    sandbox.stub(messenger, 'sendCommand');
+    const connectPromise = host.connect();
+    messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {
+        sentinel: '__ACTIVITIES__',
+        cmd: 'start',
+        payload: {a: 1},
+      },
+    });
+    return connectPromise.then(() => {
+      expect(host.getArgs()).to.deep.equal({a: 1});
+    });
+  });
+
+  it('should connect to a compatible client', () => {
+    host.options_.requiredCapabilities = [ActivityCapability.RPC];
+    sandbox.stub(messenger, 'sendCommand');
+    const connectPromise = host.connect();
+    messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {
+        sentinel: '__ACTIVITIES__',
+        cmd: 'start',
+        payload: {a: 1},
+        handshake: {protocol: 2, capabilities: ['rpc']},
+      },
+    });
+    return connectPromise.then(result => {
+      expect(result).to.equal(host);
+    });
+  });
+
   describe('commands', () => {
     let connectPromise;
     let onEvent;
     let sendCommandStub;
-    let customMessageStub;
     let clock;
     let addEventListenerSpy, removeEventListenerSpy;
 
@@ -119,7 +244,6 @@ describes.realWin('ActivityIframeHost', {}, env => {
       connectPromise = host.connect();
       onEvent = messenger.handleEvent_.bind(messenger);
       sendCommandStub = sandbox.stub(messenger, 'sendCommand');
-      customMessageStub = sandbox.stub(messenger, 'customMessage');
       onCommand('start', {a: 1});
     });
 
@@ -156,6 +280,33 @@ describes.realWin('ActivityIframeHost', {}, env => {
       expect(host.getArgs()).to.deep.equal({a: 1});
     });
 
+    it('should return peer properties', () => {
+      // Legacy client: no handshake.
+      expect(host.getPeerVersion()).to.be.null;
+      expect(host.getPeerCapabilities()).to.include('messaging');
+    });
+
+    it('should return no session for legacy clients', () => {
+      expect(host.getSessionId()).to.be.null;
+      expect(host.getStashedState()).to.be.null;
+      expect(() => host.stashState({step: 2}))
+          .to.throw(/not supported/);
+    });
+
+    it('should restore the session', () => {
+      messenger.receiveHandshake_({
+        protocol: 2,
+        capabilities: ['session'],
+        session: {id: 'session1', state: {step: 2}},
+      });
+      expect(host.getSessionId()).to.equal('session1');
+      expect(host.getStashedState()).to.deep.equal({step: 2});
+      host.stashState({step: 3});
+      expect(sendCommandStub).to.be.calledOnce.calledWith('stash', {
+        state: {step: 3},
+      });
+    });
+
     it('should always return null request', () => {
       expect(host.getRequestString()).to.be.null;
     });
@@ -175,6 +326,28 @@ describes.realWin('ActivityIframeHost', {}, env => {
       });
     });
 
+    it('should handle "abort"', () => {
+      const disconnectStub = sandbox.stub(host, 'disconnect');
+      const abortSpy = sandbox.spy();
+      host.onAbortRequest(abortSpy);
+      return connectPromise.then(() => {
+        onCommand('abort');
+        expect(abortSpy).to.be.calledOnce;
+        expect(disconnectStub).to.be.calledOnce;
+        expect(abortSpy).to.be.calledBefore(disconnectStub);
+      });
+    });
+
+    it('should disconnect on "abort" even if the callback fails', () => {
+      const disconnectStub = sandbox.stub(host, 'disconnect');
+      host.onAbortRequest(() => {
+        throw new Error('intentional');
+      });
+      onCommand('abort');
+      expect(disconnectStub).to.be.calledOnce;
+      expect(() => clock.tick(1)).to.throw(/intentional/);
+    });
+
     it('should NOT allow result before accept', () => {
       expect(() => host.result('abc'))
           .to.throw(/not accepted/);
@@ -211,6 +384,17 @@ describes.realWin('ActivityIframeHost', {}, env => {
       expect(disconnectStub).to.not.be.called;
     });
 
+    it('should yield "result" with transfer', () => {
+      host.accept();
+      const buffer = new ArrayBuffer(8);
+      host.result({buffer}, [buffer]);
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub).to.be.calledWith('result', {
+        code: 'ok',
+        data: {buffer},
+      }, [buffer]);
+    });
+
     it('should yield "result" with null', () => {
       host.accept();
       host.result(null);
@@ -257,6 +441,48 @@ describes.realWin('ActivityIframeHost', {}, env => {
       expect(disconnectStub).to.not.be.called;
     });
 
+    it('should yield structured "failed" when supported', () => {
+      sandbox.stub(messenger, 'getPeerCapabilities').returns(
+          [ActivityCapability.STRUCTURED_ERRORS]);
+      host.accept();
+      const error = new TypeError('broken');
+      error.code = 'E1';
+      error.details = {a: 1};
+      host.failed(error);
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub).to.be.calledWith('result', {
+        code: 'failed',
+        data: {
+          name: 'TypeError',
+          message: 'broken',
+          code: 'E1',
+          details: {a: 1},
+        },
+      });
+    });
+
+    it('should NOT allow progress before accept', () => {
+      expect(() => host.progress(1))
+          .to.throw(/not accepted/);
+    });
+
+    it('should send "progress" when supported', () => {
+      sandbox.stub(messenger, 'getPeerCapabilities').returns(
+          [ActivityCapability.PROGRESS]);
+      host.accept();
+      host.progress({percent: 40});
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub).to.be.calledWith('progress', {
+        data: {percent: 40},
+      });
+    });
+
+    it('should not send "progress" to older clients', () => {
+      host.accept();
+      host.progress({percent: 40});
+      expect(sendCommandStub).to.not.be.called;
+    });
+
     it('should not allow "ready" signal before accept', () => {
       expect(() => host.ready())
           .to.throw(/not accepted/);
@@ -352,26 +578,201 @@ describes.realWin('ActivityIframeHost', {}, env => {
       });
     });
 
+    describe('auto-resize', () => {
+      let width, height;
+      let frames;
+      let observers;
+
+      beforeEach(() => {
+        host.options_.autoResize = true;
+        width = 200;
+        height = 100;
+        Object.defineProperty(container, 'scrollWidth', {get: () => width});
+        Object.defineProperty(container, 'scrollHeight', {get: () => height});
+        frames = [];
+        win.requestAnimationFrame = sandbox.spy(callback => {
+          frames.push(callback);
+          return frames.length;
+        });
+        win.cancelAnimationFrame = sandbox.spy();
+        observers = [];
+        win.ResizeObserver = function(callback) {
+          observers.push(this);
+          this.callback = callback;
+          this.observe = sandbox.spy();
+          this.disconnect = sandbox.spy();
+        };
+        host.accept();
+      });
+
+      function runFrames() {
+        const callbacks = frames;
+        frames = [];
+        callbacks.forEach(callback => callback());
+      }
+
+      it('should send width and height on ready', () => {
+        host.ready();
+        expect(sendCommandStub).to.be.calledWith('ready');
+        expect(sendCommandStub).to.be.calledWith('resize', {
+          height: 100,
+          width: 200,
+        });
+        expect(observers).to.have.length(1);
+        expect(observers[0].observe).to.be.calledOnce.calledWith(container);
+      });
+
+      it('should pass the size hints', () => {
+        host.options_.sizeHints = {minHeight: 50, maxWidth: 400};
+        host.ready();
+        expect(sendCommandStub).to.be.calledWith('resize', {
+          height: 100,
+          width: 200,
+          minHeight: 50,
+          maxWidth: 400,
+        });
+      });
+
+      it('should coalesce the changes per animation frame', () => {
+        host.ready();
+        sendCommandStub.reset();
+        height = 150;
+        observers[0].callback();
+        width = 250;
+        observers[0].callback();
+        expect(win.requestAnimationFrame).to.be.calledOnce;
+        expect(sendCommandStub).to.not.be.called;
+
+        runFrames();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resize', {
+          height: 150,
+          width: 250,
+        });
+
+        // No changes.
+        observers[0].callback();
+        runFrames();
+        expect(sendCommandStub).to.be.calledOnce;
+      });
+
+      it('should observe a new size container', () => {
+        host.ready();
+        sendCommandStub.reset();
+        const container2 = doc.createElement('div');
+        Object.defineProperty(container2, 'scrollWidth', {value: 300});
+        Object.defineProperty(container2, 'scrollHeight', {value: 400});
+        host.setSizeContainer(container2);
+        expect(observers).to.have.length(2);
+        expect(observers[0].disconnect).to.be.calledOnce;
+        expect(observers[1].observe).to.be.calledOnce.calledWith(container2);
+        runFrames();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resize', {
+          height: 400,
+          width: 300,
+        });
+      });
+
+      it('should stop observing on disconnect', () => {
+        host.ready();
+        observers[0].callback();
+        host.disconnect();
+        expect(observers[0].disconnect).to.be.calledOnce;
+        expect(win.cancelAnimationFrame).to.be.calledOnce.calledWith(1);
+      });
+
+      it('should fallback to mutations and polling', () => {
+        win.ResizeObserver = undefined;
+        const mutationObservers = [];
+        win.MutationObserver = function(callback) {
+          mutationObservers.push(this);
+          this.callback = callback;
+          this.observe = sandbox.spy();
+          this.disconnect = sandbox.spy();
+        };
+        let pollCallback;
+        sandbox.stub(win, 'setInterval', callback => {
+          pollCallback = callback;
+          return 11;
+        });
+        const clearIntervalStub = sandbox.stub(win, 'clearInterval');
+        host.ready();
+        expect(mutationObservers).to.have.length(1);
+        expect(mutationObservers[0].observe).to.be.calledOnce;
+        expect(mutationObservers[0].observe.args[0][0]).to.equal(container);
+        expect(win.setInterval.args[0][1]).to.equal(500);
+        sendCommandStub.reset();
+
+        height = 120;
+        mutationObservers[0].callback();
+        runFrames();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resize', {
+          height: 120,
+          width: 200,
+        });
+
+        width = 220;
+        pollCallback();
+        runFrames();
+        expect(sendCommandStub).to.be.calledTwice.calledWith('resize', {
+          height: 120,
+          width: 220,
+        });
+
+        host.disconnect();
+        expect(mutationObservers[0].disconnect).to.be.calledOnce;
+        expect(clearIntervalStub).to.be.calledOnce.calledWith(11);
+      });
+
+      it('should not observe without the option', () => {
+        host.options_.autoResize = false;
+        host.ready();
+        expect(observers).to.be.empty;
+        expect(sendCommandStub).to.be.calledWith('resize', {height: 100});
+      });
+    });
+
     it('should support custom messaging', () => {
       expect(host.isMessagingSupported()).to.be.true;
     });
 
-    it('should NOT allow messaging before accept', () => {
-      expect(() => host.message({a: 1}))
-          .to.throw(/not accepted/);
-      expect(() => host.onMessage(function() {}))
-          .to.throw(/not accepted/);
+    it('should only allow channels after accept', () => {
       expect(() => host.messageChannel('a'))
           .to.throw(/not accepted/);
     });
 
+    it('should queue messages until accept', () => {
+      const spy = sandbox.spy();
+      host.message({a: 1});
+      host.message({a: 2});
+      host.onMessage(spy);
+      messenger.handleCommand_('msg', {b: 1});
+      expect(sendCommandStub).to.not.be.calledWith('msg');
+      expect(spy).to.not.be.called;
+
+      host.accept();
+      expect(sendCommandStub).to.be.calledTwice;
+      expect(sendCommandStub.args[0]).to.deep.equal(['msg', {a: 1}, null]);
+      expect(sendCommandStub.args[1]).to.deep.equal(['msg', {a: 2}, null]);
+      expect(spy).to.be.calledOnce.calledWith({b: 1});
+    });
+
     it('should send custom message', () => {
+      const customMessageStub = sandbox.stub(messenger, 'customMessage');
       host.accept();
       host.message({a: 1});
       expect(customMessageStub).to.be.calledOnce;
       expect(customMessageStub).to.be.calledWith({a: 1});
     });
 
+    it('should send custom message with transfer', () => {
+      const customMessageStub = sandbox.stub(messenger, 'customMessage');
+      host.accept();
+      const buffer = new ArrayBuffer(8);
+      host.message({buffer}, [buffer]);
+      expect(customMessageStub).to.be.calledOnce;
+      expect(customMessageStub).to.be.calledWith({buffer}, [buffer]);
+    });
+
     it('should receive custom message', () => {
       host.accept();
       const spy = sandbox.spy();
@@ -402,5 +803,42 @@ describes.realWin('ActivityIframeHost', {}, env => {
         expect(startChannelStub).to.be.calledOnce.calledWith('a');
       });
     });
+
+    it('should NOT allow rpc before accept', () => {
+      expect(() => host.call('m1'))
+          .to.throw(/not accepted/);
+      expect(() => host.handle('m1', function() {}))
+          .to.throw(/not accepted/);
+    });
+
+    it('should hold incoming rpc until accept', () => {
+      const handler = sandbox.spy(() => 'result');
+      messenger.handleCommand_('rpc', {id: '1', method: 'm1'});
+      return Promise.resolve().then(() => {
+        expect(sendCommandStub).to.not.be.calledWith('rpcr');
+        host.accept();
+        host.handle('m1', handler);
+      }).then(() => {}).then(() => {}).then(() => {
+        expect(handler).to.be.calledOnce;
+        expect(sendCommandStub).to.be.calledWith('rpcr', {
+          id: '1',
+          result: 'result',
+        });
+      });
+    });
+
+    it('should delegate rpc to messenger', () => {
+      const handler = function() {};
+      const callStub = sandbox.stub(messenger, 'call',
+          () => Promise.resolve('result'));
+      const handleStub = sandbox.stub(messenger, 'handle');
+      host.accept();
+      host.handle('m2', handler);
+      expect(handleStub).to.be.calledOnce.calledWith('m2', handler);
+      return host.call('m1', {a: 1}, 100).then(res => {
+        expect(res).to.equal('result');
+        expect(callStub).to.be.calledOnce.calledWith('m1', {a: 1}, 100);
+      });
+    });
   });
 });
@@ -15,10 +15,29 @@
  * limitations under the License.
  */
 
-import {ActivityIframePort} from '../../src/activity-iframe-port';
+import {
+  ActivityIframePort,
+  createActivityIframe,
+} from '../../src/activity-iframe-port';
 import {ActivityMode, ActivityResultCode} from '../../src/activity-types';
 
 
+/**
+ * Collects the unhandled promise rejections reported until the returned
+ * function is called. The returned promise fails if any were reported.
+ * @return {function():!Promise}
+ */
+function trackUnhandledRejections() {
+  const reasons = [];
+  const listener = event => reasons.push(event.reason);
+  self.addEventListener('unhandledrejection', listener);
+  return () => new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+    self.removeEventListener('unhandledrejection', listener);
+    expect(reasons).to.be.empty;
+  });
+}
+
+
 describes.realWin('ActivityIframePort', {}, env => {
   let win, doc;
   let iframe;
@@ -58,7 +77,37 @@ describes.realWin('ActivityIframePort', {}, env => {
     expect(promise.then).to.be.a.function;
     expect(iframe.src).to.equal('https://example-sp.com/iframe');
     expect(messenger.onCommand_).to.be.a.function;
-    expect(messenger.requireTarget_).to.be.true;
+    expect(messenger.transport_.requireTarget_).to.be.true;
+  });
+
+  it('should use the custom transport', () => {
+    const transport = {
+      connect: sandbox.spy(),
+      disconnect: sandbox.spy(),
+      send: sandbox.spy(),
+      getType: () => 'custom',
+    };
+    port = new ActivityIframePort(
+        iframe,
+        'https://example-sp.com/iframe',
+        {a: 1},
+        {transport});
+    port.connect();
+    expect(port.messenger_.transport_).to.equal(transport);
+    expect(transport.connect).to.be.calledOnce;
+    expect(port.getTransportType()).to.equal('custom');
+    port.disconnect();
+    expect(transport.disconnect).to.be.calledOnce;
+  });
+
+  it('should pass the channel policy to messenger', () => {
+    port = new ActivityIframePort(
+        iframe,
+        'https://example-sp.com/iframe',
+        {a: 1},
+        {channel: 'after-ready'});
+    expect(port.messenger_.channelPolicy_).to.equal('after-ready');
+    expect(port.getTransportType()).to.equal('window');
   });
 
   it('should disconnect messenger', () => {
@@ -69,12 +118,325 @@ describes.realWin('ActivityIframePort', {}, env => {
     expect(messenger.onCommand_).to.be.null;
   });
 
+  it('should remove the iframe on disconnect if requested', () => {
+    port = new ActivityIframePort(
+        iframe,
+        'https://example-sp.com/iframe',
+        {a: 1},
+        {removeIframe: true});
+    expect(iframe.parentNode).to.equal(doc.body);
+    port.connect();
+    expect(iframe.parentNode).to.equal(doc.body);
+    port.disconnect();
+    expect(iframe.parentNode).to.be.null;
+  });
+
+  it('should not remove the iframe on disconnect by default', () => {
+    port.connect();
+    port.disconnect();
+    expect(iframe.parentNode).to.equal(doc.body);
+  });
+
+  describe('createActivityIframe', () => {
+    it('should create the iframe with the defaults', () => {
+      const iframe = createActivityIframe(doc);
+      expect(iframe.tagName).to.equal('IFRAME');
+      expect(iframe.parentNode).to.be.null;
+      expect(iframe.getAttribute('sandbox')).to.equal(
+          'allow-forms allow-popups allow-popups-to-escape-sandbox ' +
+          'allow-same-origin allow-scripts');
+      expect(iframe.hasAttribute('allow')).to.be.false;
+      expect(iframe.getAttribute('referrerpolicy')).to.equal('origin');
+      expect(iframe.getAttribute('title')).to.equal('Activity');
+      expect(iframe.getAttribute('loading')).to.equal('eager');
+      expect(iframe.style.border).to.match(/^0(px)?$/);
+      expect(iframe.style.display).to.equal('block');
+      expect(iframe.style.width).to.equal('100%');
+    });
+
+    it('should apply the options', () => {
+      const iframe = createActivityIframe(doc, {
+        sandbox: ' allow-scripts  allow-same-origin ',
+        allow: ['payment', 'camera \'self\''],
+        referrerPolicy: 'no-referrer',
+        title: 'Payment form',
+        loading: 'lazy',
+        className: 'activity',
+      });
+      expect(iframe.getAttribute('sandbox'))
+          .to.equal('allow-scripts allow-same-origin');
+      expect(iframe.getAttribute('allow')).to.equal('payment; camera \'self\'');
+      expect(iframe.getAttribute('referrerpolicy')).to.equal('no-referrer');
+      expect(iframe.getAttribute('title')).to.equal('Payment form');
+      expect(iframe.getAttribute('loading')).to.equal('lazy');
+      expect(iframe.className).to.equal('activity');
+    });
+
+    it('should accept the permissions as a string', () => {
+      const iframe = createActivityIframe(doc, {allow: 'payment; fullscreen;'});
+      expect(iframe.getAttribute('allow')).to.equal('payment; fullscreen');
+    });
+
+    it('should disable the sandbox', () => {
+      const iframe = createActivityIframe(doc, {sandbox: null});
+      expect(iframe.hasAttribute('sandbox')).to.be.false;
+    });
+
+    it('should fail on the missing sandbox flags', () => {
+      expect(() => {
+        createActivityIframe(doc, {sandbox: ['allow-scripts']});
+      }).to.throw(/sandbox must include "allow-same-origin"/);
+      expect(() => {
+        createActivityIframe(doc, {sandbox: 'allow-same-origin'});
+      }).to.throw(/sandbox must include "allow-scripts"/);
+    });
+
+    it('should fail on the unknown sandbox flags', () => {
+      expect(() => {
+        createActivityIframe(doc, {
+          sandbox: 'allow-scripts allow-same-origin allow-popup',
+        });
+      }).to.throw(/unknown sandbox flag: "allow-popup"/);
+    });
+  });
+
+  it('should create the session without crypto', () => {
+    Object.defineProperty(win, 'crypto', {value: null});
+    port = new ActivityIframePort(
+        iframe,
+        'https://example-sp.com/iframe',
+        {a: 1});
+    expect(port.getSessionId()).to.be.a('string');
+  });
+
   it('should resolve target properties', () => {
     port.connect();
     expect(port.messenger_.getTargetOrigin())
         .to.equal('https://example-sp.com');
   });
 
+  describe('timeouts', () => {
+    let timers;
+
+    beforeEach(() => {
+      timers = {};
+      let nextId = 1;
+      win.setTimeout = function(callback, timeout) {
+        const id = nextId++;
+        timers[id] = {callback, timeout};
+        return id;
+      };
+      win.clearTimeout = function(id) {
+        delete timers[id];
+      };
+    });
+
+    afterEach(() => {
+      port.disconnect();
+    });
+
+    function open(options) {
+      port = new ActivityIframePort(
+          iframe,
+          'https://example-sp.com/iframe',
+          {a: 1},
+          options);
+      messenger = port.messenger_;
+      sandbox.stub(messenger, 'sendCommand');
+      return port.connect();
+    }
+
+    function expire(timeout) {
+      for (const id in timers) {
+        if (timers[id].timeout == timeout) {
+          const callback = timers[id].callback;
+          delete timers[id];
+          callback();
+          return;
+        }
+      }
+      throw new Error('no timer for ' + timeout);
+    }
+
+    function expectTimeout(promise, message) {
+      return promise.then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('TimeoutError');
+        expect(reason.message).to.match(message);
+      });
+    }
+
+    it('should not start timers by default', () => {
+      open({});
+      expect(Object.keys(timers)).to.be.empty;
+    });
+
+    it('should fail when the host does not connect', () => {
+      const connectPromise = open({connectTimeout: 100});
+      const disconnectSpy = sandbox.spy(messenger, 'disconnect');
+      expire(100);
+      expect(disconnectSpy).to.be.calledOnce;
+      return expectTimeout(connectPromise, /did not connect within 100ms/)
+          .then(() => expectTimeout(port.acceptResult(), /connect/))
+          .then(() => expectTimeout(port.whenReady(), /connect/));
+    });
+
+    it('should stop the connect timer once connected', () => {
+      const connectPromise = open({connectTimeout: 100});
+      messenger.onCommand_('connect');
+      expect(Object.keys(timers)).to.be.empty;
+      return connectPromise;
+    });
+
+    it('should fail when the host does not become ready', () => {
+      open({readyTimeout: 200});
+      messenger.onCommand_('connect');
+      expire(200);
+      expect(port.connected_).to.be.false;
+      return expectTimeout(port.whenReady(),
+          /did not become ready within 200ms/);
+    });
+
+    it('should stop the ready timer once ready', () => {
+      open({readyTimeout: 200});
+      messenger.onCommand_('connect');
+      messenger.onCommand_('ready');
+      expect(Object.keys(timers)).to.be.empty;
+      return port.whenReady();
+    });
+
+    it('should fail when the host does not return the result', () => {
+      open({resultTimeout: 300});
+      messenger.onCommand_('connect');
+      messenger.onCommand_('ready');
+      expire(300);
+      return expectTimeout(port.acceptResult(),
+          /did not return the result within 300ms/);
+    });
+
+    it('should not report unobserved timeouts as unhandled', () => {
+      const expectHandled = trackUnhandledRejections();
+      open({connectTimeout: 100});
+      expire(100);
+      open({resultTimeout: 300});
+      messenger.onCommand_('connect');
+      expire(300);
+      return expectHandled();
+    });
+
+    it('should stop all timers on result', () => {
+      open({connectTimeout: 100, readyTimeout: 200, resultTimeout: 300});
+      messenger.onCommand_('connect');
+      messenger.onCommand_('result', {code: 'ok', data: 'abc'});
+      expect(Object.keys(timers)).to.be.empty;
+      return port.acceptResult().then(result => {
+        expect(result.data).to.equal('abc');
+      });
+    });
+
+    it('should stop all timers on disconnect', () => {
+      open({connectTimeout: 100, readyTimeout: 200, resultTimeout: 300});
+      expect(Object.keys(timers)).to.have.length(3);
+      port.disconnect();
+      expect(Object.keys(timers)).to.be.empty;
+    });
+  });
+
+  describe('abort', () => {
+    let controller;
+    let sendCommandStub;
+
+    beforeEach(() => {
+      controller = new win.AbortController();
+      port = new ActivityIframePort(
+          iframe,
+          'https://example-sp.com/iframe',
+          {a: 1},
+          {signal: controller.signal});
+      messenger = port.messenger_;
+      sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+    });
+
+    afterEach(() => {
+      port.disconnect();
+    });
+
+    function connect(capabilities) {
+      messenger.handleCommand_('connect', {}, {
+        data: {
+          handshake: {protocol: 2, version: '2.1', capabilities},
+        },
+      });
+    }
+
+    function expectAbort(promise) {
+      return promise.then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('AbortError');
+      });
+    }
+
+    it('should not connect when already aborted', () => {
+      controller.abort();
+      const connectPromise = port.connect();
+      expect(iframe.src).to.equal('');
+      expect(messenger.onCommand_).to.be.null;
+      return expectAbort(connectPromise)
+          .then(() => expectAbort(port.acceptResult()));
+    });
+
+    it('should ask the host to abort', () => {
+      port.connect();
+      connect(['abort']);
+      sendCommandStub.reset();
+      controller.abort();
+      expect(sendCommandStub).to.be.calledOnce.calledWith('abort');
+      expect(port.connected_).to.be.false;
+      expect(messenger.onCommand_).to.be.null;
+      return expectAbort(port.acceptResult())
+          .then(() => expectAbort(port.whenReady()));
+    });
+
+    it('should not ask the host without abort support', () => {
+      port.connect();
+      connect(['messaging']);
+      sendCommandStub.reset();
+      controller.abort();
+      expect(sendCommandStub).to.not.be.called;
+      return expectAbort(port.acceptResult());
+    });
+
+    it('should not report unobserved abort as unhandled', () => {
+      const expectHandled = trackUnhandledRejections();
+      port.connect();
+      connect(['abort']);
+      controller.abort();
+      return expectHandled();
+    });
+
+    it('should abort before the host connects', () => {
+      const connectPromise = port.connect();
+      controller.abort();
+      expect(sendCommandStub).to.not.be.called;
+      return expectAbort(connectPromise);
+    });
+
+    it('should stop listening once the result is received', () => {
+      port.connect();
+      connect(['abort']);
+      messenger.onCommand_('result', {code: 'ok', data: 'abc'});
+      expect(port.abortListener_).to.be.null;
+      sendCommandStub.reset();
+      controller.abort();
+      expect(sendCommandStub).to.not.be.called;
+      return port.acceptResult().then(result => {
+        expect(result.data).to.equal('abc');
+      });
+    });
+  });
+
   describe('commands', () => {
     let connectPromise;
     let onCommand;
@@ -103,6 +465,171 @@ describes.realWin('ActivityIframePort', {}, env => {
       });
     });
 
+    it('should fail "connect" when host lacks capabilities', () => {
+      port.options_ = {requiredCapabilities: ['messaging', 'other']};
+      messenger.handleCommand_('connect', {}, {
+        data: {
+          handshake: {protocol: 2, version: '2.1', capabilities: ['messaging']},
+        },
+      });
+      expect(port.connected_).to.be.false;
+      expect(sendCommandStub).to.not.be.called;
+      expect(messenger.onCommand_).to.be.null;
+      return connectPromise.then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('ProtocolError');
+        expect(reason.message).to.match(/does not support: other/);
+        return port.acceptResult();
+      }).then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('ProtocolError');
+      });
+    });
+
+    it('should return peer version and capabilities', () => {
+      messenger.handleCommand_('connect', {}, {
+        data: {
+          handshake: {protocol: 2, version: '2.1', capabilities: ['messaging']},
+        },
+      });
+      expect(port.connected_).to.be.true;
+      expect(port.getPeerVersion()).to.equal('2.1');
+      expect(port.getPeerCapabilities()).to.deep.equal(['messaging']);
+    });
+
+    describe('session', () => {
+      it('should announce the session with "start"', () => {
+        const setSessionSpy = sandbox.spy(messenger, 'setSession');
+        onCommand('connect');
+        expect(port.getSessionId()).to.match(/^[0-9a-z]+$/);
+        expect(setSessionSpy).to.be.calledOnce
+            .calledWith(port.getSessionId(), null);
+        expect(setSessionSpy).to.be.calledBefore(sendCommandStub);
+      });
+
+      it('should not notify reconnect on first "connect"', () => {
+        const reconnectSpy = sandbox.spy();
+        port.onReconnect(reconnectSpy);
+        onCommand('connect');
+        expect(reconnectSpy).to.not.be.called;
+      });
+
+      it('should restore the stashed state on reconnect', () => {
+        const setSessionSpy = sandbox.spy(messenger, 'setSession');
+        const reconnectSpy = sandbox.spy();
+        port.onReconnect(reconnectSpy);
+        onCommand('connect');
+        onCommand('stash', {state: {step: 2}});
+        onCommand('connect');
+        expect(reconnectSpy).to.be.calledOnce;
+        expect(sendCommandStub).to.be.calledTwice;
+        expect(sendCommandStub.args[1]).to.deep.equal(['start', {a: 1}]);
+        expect(setSessionSpy.args[1]).to.deep.equal(
+            [port.getSessionId(), {step: 2}]);
+      });
+
+      it('should unsubscribe from reconnect', () => {
+        const reconnectSpy = sandbox.spy();
+        const unsubscribe = port.onReconnect(reconnectSpy);
+        onCommand('connect');
+        unsubscribe();
+        onCommand('connect');
+        expect(reconnectSpy).to.not.be.called;
+      });
+    });
+
+    describe('heartbeat', () => {
+      let heartbeatFunc;
+
+      beforeEach(() => {
+        heartbeatFunc = null;
+        win.setInterval = function(callback, interval) {
+          heartbeatFunc = callback;
+          expect(interval).to.equal(1000);
+          return 1;
+        };
+        win.clearInterval = function(id) {
+          if (id == 1) {
+            heartbeatFunc = null;
+          }
+        };
+        port.options_ = {heartbeatInterval: 1000, heartbeatMissThreshold: 2};
+      });
+
+      function connect(capabilities) {
+        messenger.handleCommand_('connect', {}, {
+          data: {
+            handshake: {protocol: 2, version: '2.1', capabilities},
+          },
+        });
+      }
+
+      it('should not ping by default', () => {
+        port.options_ = {};
+        connect(['heartbeat']);
+        expect(heartbeatFunc).to.be.null;
+      });
+
+      it('should not ping hosts without heartbeat support', () => {
+        connect(['messaging']);
+        expect(heartbeatFunc).to.be.null;
+      });
+
+      it('should ping the host', () => {
+        connect(['heartbeat']);
+        expect(heartbeatFunc).to.exist;
+        sendCommandStub.reset();
+        heartbeatFunc();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('ping');
+        onCommand('pong');
+        expect(port.missedHeartbeats_).to.equal(0);
+        heartbeatFunc();
+        heartbeatFunc();
+        expect(port.connected_).to.be.true;
+      });
+
+      it('should stop on disconnect', () => {
+        connect(['heartbeat']);
+        port.disconnect();
+        expect(heartbeatFunc).to.be.null;
+      });
+
+      it('should fail the result when host is lost', () => {
+        connect(['heartbeat']);
+        heartbeatFunc();
+        heartbeatFunc();
+        expect(port.connected_).to.be.true;
+        heartbeatFunc();
+        expect(port.connected_).to.be.false;
+        expect(heartbeatFunc).to.be.null;
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('HostLostError');
+          expect(reason.message).to.match(/2 heartbeats/);
+          const result = reason.activityResult;
+          expect(result.code).to.equal(ActivityResultCode.FAILED);
+          expect(result.mode).to.equal(ActivityMode.IFRAME);
+        });
+      });
+
+      it('should count failed pings as missed', () => {
+        connect(['heartbeat']);
+        sendCommandStub.withArgs('ping').throws(new Error('not connected'));
+        heartbeatFunc();
+        heartbeatFunc();
+        heartbeatFunc();
+        expect(port.connected_).to.be.false;
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('HostLostError');
+        });
+      });
+    });
+
     it('should handle successful "result"', () => {
       port.connected_ = true;
       onCommand('result', {code: 'ok', data: 'success'});
@@ -115,10 +642,37 @@ describes.realWin('ActivityIframePort', {}, env => {
         expect(result.origin).to.equal('https://example-sp.com');
         expect(result.originVerified).to.be.true;
         expect(result.secureChannel).to.be.true;
+        expect(result.progress).to.be.null;
         expect(port.connected_).to.be.false;
       });
     });
 
+    it('should accept "result" matching the schema', () => {
+      port.options_ = {resultSchema: {type: 'string'}};
+      onCommand('result', {code: 'ok', data: 'success'});
+      return port.acceptResult().then(result => {
+        expect(result.ok).to.be.true;
+        expect(result.data).to.equal('success');
+      });
+    });
+
+    it('should fail "result" not matching the schema', () => {
+      port.options_ = {resultSchema: {type: 'object'}};
+      onCommand('result', {code: 'ok', data: 'success'});
+      expect(sendCommandStub).to.be.calledWith('close');
+      return port.acceptResult().then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('ValidationError');
+        expect(reason.details).to.deep.equal([
+          '$: expected object, got string',
+        ]);
+        const result = reason.activityResult;
+        expect(result.code).to.equal(ActivityResultCode.FAILED);
+        expect(result.error).to.equal(reason);
+      });
+    });
+
     it('should handle cancel "result"', () => {
       port.connected_ = true;
       onCommand('result', {code: 'canceled', data: null});
@@ -139,6 +693,25 @@ describes.realWin('ActivityIframePort', {}, env => {
       });
     });
 
+    it('should handle structured failed "result"', () => {
+      port.connected_ = true;
+      onCommand('result', {code: 'failed', data: {
+        name: 'TypeError',
+        message: 'broken',
+        code: 'E1',
+        details: {a: 1},
+      }});
+      return port.acceptResult().then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('TypeError');
+        expect(reason.message).to.equal('broken');
+        expect(reason.code).to.equal('E1');
+        expect(reason.details).to.deep.equal({a: 1});
+        expect(reason.activityResult.error).to.equal(reason);
+      });
+    });
+
     it('should handle failed "result"', () => {
       port.connected_ = true;
       onCommand('result', {code: 'failed', data: 'broken'});
@@ -161,6 +734,47 @@ describes.realWin('ActivityIframePort', {}, env => {
       });
     });
 
+    it('should handle "progress" after callback is added', () => {
+      port.connected_ = true;
+      const progressSpy = sandbox.spy();
+      port.onProgress(progressSpy);
+      onCommand('progress', {data: {percent: 40}});
+      expect(progressSpy).to.be.calledOnce;
+      expect(progressSpy).to.be.calledWith({percent: 40});
+    });
+
+    it('should handle "progress" before callback is added', () => {
+      port.connected_ = true;
+      onCommand('progress', {data: 1});
+      onCommand('progress', {data: 2});
+      return new Promise(resolve => {
+        port.onProgress(resolve);
+      }).then(progress => {
+        expect(progress).to.equal(2);
+      });
+    });
+
+    it('should stop "progress" once unsubscribed', () => {
+      port.connected_ = true;
+      const progressSpy = sandbox.spy();
+      const unsubscribe = port.onProgress(progressSpy);
+      onCommand('progress', {data: 1});
+      unsubscribe();
+      onCommand('progress', {data: 2});
+      expect(progressSpy).to.be.calledOnce;
+      expect(progressSpy).to.be.calledWith(1);
+    });
+
+    it('should deliver last "progress" with the result', () => {
+      port.connected_ = true;
+      onCommand('progress', {data: 'uploading 40%'});
+      onCommand('result', {code: 'ok', data: 'success'});
+      return port.acceptResult().then(result => {
+        expect(result.data).to.equal('success');
+        expect(result.progress).to.equal('uploading 40%');
+      });
+    });
+
     it('should handle "ready"', () => {
       port.connected_ = true;
       onCommand('ready');
@@ -203,12 +817,152 @@ describes.realWin('ActivityIframePort', {}, env => {
       expect(sendCommandStub).to.not.be.called;
     });
 
+    describe('auto-resize', () => {
+      beforeEach(() => {
+        port.connected_ = true;
+        Object.defineProperty(win, 'innerWidth', {value: 800});
+        Object.defineProperty(win, 'innerHeight', {value: 600});
+      });
+
+      it('should apply the requested size', () => {
+        port.options_ = {autoResize: true, sizeConstraints: {maxWidth: 500}};
+        const resizeSpy = sandbox.spy();
+        port.onResizeRequest(resizeSpy);
+        onCommand('resize', {height: 111, width: 222});
+        expect(iframe.style.height).to.equal('111px');
+        expect(iframe.style.width).to.equal('222px');
+        expect(iframe.style.transition).to.equal('');
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resized', {
+          height: 111,
+          width: 222,
+        });
+        expect(resizeSpy).to.be.calledOnce.calledWith(111);
+      });
+
+      it('should keep the width without the width constraints', () => {
+        port.options_ = {autoResize: true, sizeConstraints: {maxHeight: 500}};
+        iframe.style.width = '100%';
+        onCommand('resize', {height: 111, width: 222});
+        expect(iframe.style.height).to.equal('111px');
+        expect(iframe.style.width).to.equal('100%');
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resized', {
+          height: 111,
+        });
+      });
+
+      it('should only apply the height if the width is not requested', () => {
+        port.options_ = {autoResize: true};
+        iframe.style.width = '50px';
+        onCommand('resize', {height: 111});
+        expect(iframe.style.height).to.equal('111px');
+        expect(iframe.style.width).to.equal('50px');
+        expect(sendCommandStub).to.be.calledWith('resized', {height: 111});
+      });
+
+      it('should ignore the request without a valid height', () => {
+        port.options_ = {autoResize: true, sizeConstraints: {maxWidth: 500}};
+        iframe.style.height = '50px';
+        onCommand('resize', {width: 222});
+        onCommand('resize', {height: 'abc'});
+        onCommand('resize', {height: NaN});
+        expect(iframe.style.height).to.equal('50px');
+        expect(sendCommandStub).to.not.be.called;
+        onCommand('resize', {height: 111, maxHeight: NaN});
+        expect(iframe.style.height).to.equal('111px');
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resized', {
+          height: 111,
+        });
+      });
+
+      it('should clamp to the viewport by default', () => {
+        port.options_ = {autoResize: true, sizeConstraints: {minWidth: 0}};
+        onCommand('resize', {height: 1000, width: 1000});
+        expect(sendCommandStub).to.be.calledWith('resized', {
+          height: 600,
+          width: 800,
+        });
+      });
+
+      it('should clamp to the constraints', () => {
+        port.options_ = {
+          autoResize: true,
+          sizeConstraints: {
+            minHeight: 100,
+            maxHeight: 1000,
+            minWidth: 300,
+            maxWidth: 400,
+          },
+        };
+        onCommand('resize', {height: 900, width: 200});
+        expect(sendCommandStub).to.be.calledWith('resized', {
+          height: 900,
+          width: 300,
+        });
+        onCommand('resize', {height: 50, width: 500});
+        expect(sendCommandStub).to.be.calledWith('resized', {
+          height: 100,
+          width: 400,
+        });
+      });
+
+      it('should respect the host\'s hints within the constraints', () => {
+        port.options_ = {
+          autoResize: true,
+          sizeConstraints: {maxHeight: 300},
+        };
+        onCommand('resize', {height: 50, minHeight: 150});
+        expect(sendCommandStub).to.be.calledWith('resized', {height: 150});
+        onCommand('resize', {height: 200, maxHeight: 120});
+        expect(sendCommandStub).to.be.calledWith('resized', {height: 120});
+        onCommand('resize', {height: 200, minHeight: 500});
+        expect(sendCommandStub).to.be.calledWith('resized', {height: 300});
+      });
+
+      it('should report the size after the animation', () => {
+        const timers = [];
+        win.setTimeout = (callback, timeout) => {
+          timers.push({callback, timeout});
+          return timers.length;
+        };
+        win.clearTimeout = sandbox.spy();
+        port.options_ = {autoResize: true, resizeAnimation: 200};
+        onCommand('resize', {height: 111});
+        expect(iframe.style.height).to.equal('111px');
+        expect(iframe.style.transition).to.match(/height 200ms/);
+        expect(sendCommandStub).to.not.be.called;
+
+        // A new request replaces the pending one.
+        onCommand('resize', {height: 222});
+        expect(win.clearTimeout).to.be.calledOnce.calledWith(1);
+        expect(timers).to.have.length(2);
+        expect(timers[1].timeout).to.equal(200);
+        timers[1].callback();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('resized', {
+          height: 222,
+        });
+      });
+
+      it('should not apply the size without the option', () => {
+        iframe.style.height = '10px';
+        onCommand('resize', {height: 111});
+        expect(iframe.style.height).to.equal('10px');
+        expect(sendCommandStub).to.not.be.called;
+      });
+    });
+
     it('should send custom message', () => {
       port.message({a: 1});
       expect(customMessageStub).to.be.calledOnce;
       expect(customMessageStub).to.be.calledWith({a: 1});
     });
 
+    it('should send custom message with transfer', () => {
+      const buffer = new ArrayBuffer(8);
+      port.message({buffer}, [buffer]);
+      expect(customMessageStub).to.be.calledOnce;
+      expect(customMessageStub).to.be.calledWith({buffer}, [buffer]);
+    });
+
     it('should receive custom message', () => {
       const spy = sandbox.spy();
       port.onMessage(spy);
@@ -217,6 +971,30 @@ describes.realWin('ActivityIframePort', {}, env => {
       expect(spy).to.be.calledWith({a: 1});
     });
 
+    it('should receive typed custom message until unsubscribed', () => {
+      const spy = sandbox.spy();
+      const unsubscribe = port.onMessage(spy, 'A');
+      messenger.handleCommand_('msg', {type: 'B'});
+      messenger.handleCommand_('msg', {type: 'A'});
+      unsubscribe();
+      messenger.handleCommand_('msg', {type: 'A'});
+      expect(spy).to.be.calledOnce;
+      expect(spy).to.be.calledWith({type: 'A'});
+    });
+
+    it('should delegate rpc to messenger', () => {
+      const handler = function() {};
+      const callStub = sandbox.stub(messenger, 'call',
+          () => Promise.resolve('result'));
+      const handleStub = sandbox.stub(messenger, 'handle');
+      port.handle('m2', handler);
+      expect(handleStub).to.be.calledOnce.calledWith('m2', handler);
+      return port.call('m1', {a: 1}).then(res => {
+        expect(res).to.equal('result');
+        expect(callStub).to.be.calledOnce.calledWith('m1', {a: 1});
+      });
+    });
+
     it('should ask the default messaging channel', () => {
       const sidePort = {};
       const startChannelStub = sandbox.stub(messenger, 'askChannel',
@@ -17,8 +17,13 @@
 
 import {ActivityPorts} from '../../src/activity-ports';
 import {ActivityIframePort} from '../../src/activity-iframe-port';
-import {ActivityResult, ActivityResultCode} from '../../src/activity-types';
+import {
+  ActivityResult,
+  ActivityResultCode,
+  ActivityVerificationLevel,
+} from '../../src/activity-types';
 import {ActivityWindowPort} from '../../src/activity-window-port';
+import {signResult} from '../../src/result-crypto';
 
 
 describes.realWin('ActivityPorts', {}, env => {
@@ -77,6 +82,142 @@ describes.realWin('ActivityPorts', {}, env => {
       });
     });
 
+    it('should open an iframe with the logger', () => {
+      const logger = sandbox.spy();
+      const redactor = sandbox.spy();
+      ports.setLogger(logger, redactor);
+      const promise = ports.openIframe(
+          iframe,
+          'https://example.com/iframe',
+          {a: 1},
+          {channel: 'never'});
+      connectResolve();
+      return promise.then(port => {
+        expect(port.options_).to.deep.equal({
+          channel: 'never',
+          logger,
+          logRedactor: redactor,
+        });
+        expect(port.messenger_.logger_).to.equal(logger);
+        expect(port.messenger_.logRedactor_).to.equal(redactor);
+      });
+    });
+
+    it('should prefer the port\'s own logger', () => {
+      const logger = sandbox.spy();
+      const ownLogger = sandbox.spy();
+      ports.setLogger(logger);
+      const promise = ports.openIframe(
+          iframe,
+          'https://example.com/iframe',
+          {a: 1},
+          {logger: ownLogger});
+      connectResolve();
+      return promise.then(port => {
+        expect(port.messenger_.logger_).to.equal(ownLogger);
+      });
+    });
+
+    it('should open an iframe with the result policy', () => {
+      const policy = {allowedOrigins: ['https://example.com']};
+      ports.setResultPolicy(policy);
+      ports.setResultPolicy({}, 'request1');
+      const promise = ports.openIframe(
+          iframe,
+          'https://example.com/iframe',
+          {a: 1},
+          {channel: 'never'});
+      connectResolve();
+      return promise.then(port => {
+        expect(port.options_).to.deep.equal({
+          channel: 'never',
+          resultPolicy: policy,
+        });
+      });
+    });
+
+    it('should prefer the port\'s own result policy', () => {
+      ports.setResultPolicy({allowedOrigins: ['https://example.com']});
+      const promise = ports.openIframe(
+          iframe,
+          'https://example.com/iframe',
+          {a: 1},
+          {resultPolicy: null});
+      connectResolve();
+      return promise.then(port => {
+        expect(port.options_).to.deep.equal({resultPolicy: null});
+      });
+    });
+
+    it('should report the result policy violations', () => {
+      const violationSpy = sandbox.spy();
+      ports.setResultPolicy({allowedOrigins: ['https://example.org']});
+      ports.onPolicyViolation(violationSpy);
+      const promise = ports.openIframe(
+          iframe,
+          'https://example.com/iframe');
+      connectResolve();
+      return promise.then(port => {
+        port.messenger_.getTargetOrigin = () => 'https://example.com';
+        port.messenger_.sendCommand = () => {};
+        port.handleCommand_('result', {code: 'ok', data: 'A'});
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('PolicyViolationError');
+          expect(violationSpy).to.be.calledOnce;
+          expect(violationSpy.args[0][0]).to.equal(reason);
+          expect(violationSpy.args[0][1]).to.be.null;
+        });
+      });
+    });
+
+    it('should open an iframe in the container', () => {
+      const container = doc.createElement('div');
+      doc.body.appendChild(container);
+      const promise = ports.openIframeIn(
+          container,
+          'https://example.com/iframe',
+          {a: 1},
+          {channel: 'never', iframe: {title: 'Payment', allow: 'payment'}});
+      const iframe = container.firstChild;
+      expect(iframe.tagName).to.equal('IFRAME');
+      expect(iframe.getAttribute('title')).to.equal('Payment');
+      expect(iframe.getAttribute('allow')).to.equal('payment');
+      expect(iframe.getAttribute('sandbox')).to.match(/allow-scripts/);
+      connectResolve();
+      return promise.then(port => {
+        expect(port).to.be.instanceof(ActivityIframePort);
+        expect(port.iframe_).to.equal(iframe);
+        expect(port.url_).to.equal('https://example.com/iframe');
+        expect(port.args_).to.deep.equal({a: 1});
+        expect(port.options_.channel).to.equal('never');
+        expect(port.options_.removeIframe).to.be.true;
+      });
+    });
+
+    it('should not insert an iframe with a broken sandbox', () => {
+      const container = doc.createElement('div');
+      doc.body.appendChild(container);
+      expect(() => {
+        ports.openIframeIn(
+            container,
+            'https://example.com/iframe',
+            {a: 1},
+            {iframe: {sandbox: 'allow-scripts'}});
+      }).to.throw(/sandbox must include/);
+      expect(container.firstChild).to.be.null;
+    });
+
+    it('should remove the iframe if it fails to open', () => {
+      ActivityIframePort.prototype.connect.restore();
+      const container = doc.createElement('div');
+      expect(() => {
+        ports.openIframeIn(container, 'https://example.com/iframe');
+      }).to.throw(/must be in DOM/);
+      expect(container.firstChild).to.be.null;
+    });
+
     it('should fail opening an iframe if connect fails', () => {
       const promise = ports.openIframe(
           iframe,
@@ -137,6 +278,27 @@ describes.realWin('ActivityPorts', {}, env => {
       expect(res.targetWin).to.equal(targetWin);
     });
 
+    it('should open window with the per-request result policy', () => {
+      const policy = {allowedOrigins: ['https://example.com']};
+      const otherPolicy = {allowedOrigins: ['https://example.org']};
+      ports.setResultPolicy(otherPolicy);
+      ports.setResultPolicy(policy, 'request1');
+      ports.open(
+          'request1',
+          'https://example.com/file',
+          '_blank',
+          {a: 1},
+          {width: 300});
+      expect(port.options_).to.deep.equal({width: 300, resultPolicy: policy});
+
+      ports.open('request2', 'https://example.com/file', '_blank');
+      expect(port.options_).to.deep.equal({resultPolicy: otherPolicy});
+
+      ports.setResultPolicy(null, 'request1');
+      ports.open('request1', 'https://example.com/file', '_blank');
+      expect(port.options_).to.be.empty;
+    });
+
     it('should open window with messaging', () => {
       const promise = ports.openWithMessaging(
           'request1',
@@ -252,9 +414,11 @@ describes.realWin('ActivityPorts', {}, env => {
     });
 
     it('should pick up redirect result', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
       win.location.hash = '#__WA_RES__=' + encodeURIComponent(
           JSON.stringify({
             requestId: 'request1',
+            nonce: 'nonce1',
             code: 'ok',
             data: 'ok',
             origin: 'https://example.com',
@@ -294,6 +458,121 @@ describes.realWin('ActivityPorts', {}, env => {
       });
     });
 
+    it('should verify signed redirect result', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      const response = {
+        requestId: 'request1',
+        nonce: 'nonce1',
+        origin: 'https://example.com',
+        code: 'ok',
+        data: 'ok',
+        timestamp: Date.now(),
+      };
+      let keyPair;
+      return win.crypto.subtle.generateKey(
+          {name: 'ECDSA', namedCurve: 'P-256'}, false, ['sign', 'verify'])
+          .then(result => {
+            keyPair = result;
+            return signResult(win, keyPair.privateKey, response);
+          }).then(signature => {
+            response.signature = signature;
+            win.location.hash = '#__WA_RES__=' +
+                encodeURIComponent(JSON.stringify(response));
+            const ports = new ActivityPorts(win);
+            ports.setResultVerificationKey(
+                'https://example.com', keyPair.publicKey);
+            return new Promise(resolve => {
+              ports.onResult('request1', resolve);
+            });
+          }).then(port => port.acceptResult()).then(result => {
+            expect(result.data).to.equal('ok');
+            expect(result.originVerified).to.be.true;
+            expect(result.secureChannel).to.be.false;
+          });
+    });
+
+    it('should reject a redirect result that violates the policy', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      win.location.hash = '#__WA_RES__=' + encodeURIComponent(
+          JSON.stringify({
+            requestId: 'request1',
+            nonce: 'nonce1',
+            code: 'ok',
+            data: 'ok',
+            origin: 'https://example.com',
+          }));
+      const ports = new ActivityPorts(win);
+      ports.setResultPolicy({allowedOrigins: ['https://example.com']});
+      const violationSpy = sandbox.spy();
+      const failingSpy = sandbox.spy(() => {
+        throw new Error('intentional');
+      });
+      ports.onPolicyViolation(failingSpy);
+      ports.onPolicyViolation(violationSpy);
+
+      return new Promise(resolve => {
+        ports.onResult('request1', resolve);
+      }).then(port => port.acceptResult()).then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('PolicyViolationError');
+        expect(reason.message).to.match(/not verified/);
+        expect(violationSpy).to.be.calledOnce
+            .calledWith(reason, 'request1');
+        expect(failingSpy).to.be.calledOnce;
+      });
+    });
+
+    it('should accept an insecure redirect result if allowed', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      win.location.hash = '#__WA_RES__=' + encodeURIComponent(
+          JSON.stringify({
+            requestId: 'request1',
+            nonce: 'nonce1',
+            code: 'ok',
+            data: 'ok',
+            origin: 'https://example.com',
+          }));
+      const ports = new ActivityPorts(win);
+      ports.setResultPolicy({
+        minVerification: ActivityVerificationLevel.NONE,
+        allowInsecureRedirect: true,
+      }, 'request1');
+      const violationSpy = sandbox.spy();
+      ports.onPolicyViolation(violationSpy);
+
+      return new Promise(resolve => {
+        ports.onResult('request1', resolve);
+      }).then(port => port.acceptResult()).then(result => {
+        expect(result.data).to.equal('ok');
+        expect(violationSpy).to.not.be.called;
+      });
+    });
+
+    it('should reject an injected redirect result', () => {
+      win.location.hash = '#__WA_RES__=' + encodeURIComponent(
+          JSON.stringify({
+            requestId: 'request1',
+            code: 'ok',
+            data: 'ok',
+            origin: 'https://example.com',
+          }));
+      const ports = new ActivityPorts(win);
+
+      const onResultSpy = sandbox.spy();
+      ports.onResult('request1', onResultSpy);
+      const onRedirectErrorSpy = sandbox.spy();
+      ports.onRedirectError(onRedirectErrorSpy);
+
+      // Skip a microtask.
+      return Promise.resolve().then(() => {
+        expect(onResultSpy).to.not.be.called;
+        expect(onRedirectErrorSpy).to.be.calledOnce;
+        expect(onRedirectErrorSpy.args[0][0].message)
+            .to.match(/does not match any request/);
+      });
+    });
+
     it('should tolerate a broken redirect JSON', () => {
       win.location.hash = '#__WA_RES__=broken';
       const ports = new ActivityPorts(win);
@@ -20,7 +20,20 @@ import {
   ActivityWindowPopupHost,
   ActivityWindowRedirectHost,
 } from '../../src/activity-window-host';
-import {ActivityMode} from '../../src/activity-types';
+import {
+  ActivityCapability,
+  ActivityMode,
+} from '../../src/activity-types';
+import {
+  createResultKey,
+  decryptResult,
+  verifyResult,
+} from '../../src/result-crypto';
+import {
+  decodeCompact,
+  encodeCompact,
+  isCompact,
+} from '../../src/compression';
 import {getWindowOrigin, serializeRequest} from '../../src/utils';
 
 
@@ -93,7 +106,7 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
   });
 
   it('should initialize messenger on connect', () => {
-    expect(messenger.requireTarget_).to.be.false;
+    expect(messenger.transport_.requireTarget_).to.be.false;
     const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
     const redirectConnectPromise = Promise.resolve();
     const redirectConnectStub =
@@ -107,7 +120,7 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       // Skip a microtask.
       return Promise.resolve();
     }).then(() => {
-      expect(messenger.requireTarget_).to.be.false;
+      expect(messenger.transport_.requireTarget_).to.be.false;
       expect(messenger.getTarget()).to.equal(opener);
       expect(() => {
         messenger.getTargetOrigin();
@@ -318,6 +331,114 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
     });
   });
 
+  it('should fail to connect with invalid args', () => {
+    host.options_.argsSchema = {type: 'object', required: ['b']};
+    const connectPromise = host.connect({
+      requestId: 'request1',
+      returnUrl: 'https://example-pub.com/opener',
+      args: {a: 1},
+      origin: 'https://example-pub.com',
+      originVerified: false,
+    });
+    return Promise.resolve().then(() => {
+      // Skip a microtask.
+      return Promise.resolve();
+    }).then(() => {
+      const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+      messenger.handleEvent_({
+        origin: 'https://example-pub.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+        },
+      });
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub.args[0][0]).to.equal('result');
+      expect(sendCommandStub.args[0][1]).to.deep.equal({
+        code: 'failed',
+        data: 'ValidationError: invalid args: $.b: required',
+      });
+      expect(host.connected_).to.be.false;
+      return connectPromise;
+    }).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ValidationError');
+    });
+  });
+
+  it('should ignore repeated "start"', () => {
+    host.options_.argsSchema = {type: 'object', required: ['b']};
+    const connectPromise = host.connect({
+      requestId: 'request1',
+      returnUrl: 'https://example-pub.com/opener',
+      args: {a: 1},
+      origin: 'https://example-pub.com',
+      originVerified: false,
+    });
+    const start = payload => messenger.handleEvent_({
+      origin: 'https://example-pub.com',
+      data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload},
+    });
+    return Promise.resolve().then(() => {
+      // Skip a microtask.
+      return Promise.resolve();
+    }).then(() => {
+      const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+      start({a: 1});
+      expect(() => start({a: 1})).to.not.throw();
+      expect(sendCommandStub).to.be.calledOnce;
+      return connectPromise;
+    }).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ValidationError');
+      host.connectedResolver_ = sandbox.spy();
+      host.options_.argsSchema = undefined;
+      start({b: 1});
+      expect(host.connectedResolver_).to.be.null;
+      start({b: 2});
+      expect(host.getArgs()).to.deep.equal({b: 1});
+    });
+  });
+
+  it('should fail to connect to a legacy client', () => {
+    host.options_.requiredCapabilities = ['rpc'];
+    const connectPromise = host.connect({
+      requestId: 'request1',
+      returnUrl: 'https://example-pub.com/opener',
+      args: {a: 1},
+      origin: 'https://example-pub.com',
+      originVerified: false,
+    });
+    return Promise.resolve().then(() => {
+      // Skip a microtask.
+      return Promise.resolve();
+    }).then(() => {
+      const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+      messenger.handleEvent_({
+        origin: 'https://example-pub.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+        },
+      });
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub.args[0][1]).to.deep.equal({
+        code: 'failed',
+        data: 'ProtocolError: The activities peer does not support: rpc',
+      });
+      expect(host.connected_).to.be.false;
+      return connectPromise;
+    }).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('ProtocolError');
+    });
+  });
+
   it('should failed to return properties before connect', () => {
     expect(() => host.getRequestString())
         .to.throw(/not connected/);
@@ -347,7 +468,6 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
     let connectPromise;
     let onEvent;
     let sendCommandStub;
-    let customMessageStub;
     let clock;
     let request;
 
@@ -367,7 +487,6 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       }).then(() => {
         onEvent = messenger.handleEvent_.bind(messenger);
         sendCommandStub = sandbox.stub(messenger, 'sendCommand');
-        customMessageStub = sandbox.stub(messenger, 'customMessage');
         onCommand('start', {a: 1});
       });
     });
@@ -394,6 +513,29 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       expect(host.getArgs()).to.deep.equal({a: 1});
     });
 
+    it('should restore the session', () => {
+      expect(host.getSessionId()).to.be.null;
+      onEvent({
+        origin: 'https://example-pub.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+          handshake: {
+            protocol: 2,
+            capabilities: ['session'],
+            session: {id: 'session1', state: {step: 2}},
+          },
+        },
+      });
+      expect(host.getSessionId()).to.equal('session1');
+      expect(host.getStashedState()).to.deep.equal({step: 2});
+      host.stashState({step: 3});
+      expect(sendCommandStub).to.be.calledOnce.calledWith('stash', {
+        state: {step: 3},
+      });
+    });
+
     it('should return the request', () => {
       expect(host.getRequestString())
           .to.be.equal(serializeRequest(request));
@@ -414,6 +556,28 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       });
     });
 
+    it('should handle "abort"', () => {
+      const disconnectStub = sandbox.stub(host, 'disconnect');
+      const abortSpy = sandbox.spy();
+      host.onAbortRequest(abortSpy);
+      return connectPromise.then(() => {
+        onCommand('abort');
+        expect(abortSpy).to.be.calledOnce;
+        expect(disconnectStub).to.be.calledOnce;
+        expect(abortSpy).to.be.calledBefore(disconnectStub);
+      });
+    });
+
+    it('should disconnect on "abort" even if the callback fails', () => {
+      const disconnectStub = sandbox.stub(host, 'disconnect');
+      host.onAbortRequest(() => {
+        throw new Error('intentional');
+      });
+      onCommand('abort');
+      expect(disconnectStub).to.be.calledOnce;
+      expect(() => clock.tick(1)).to.throw(/intentional/);
+    });
+
     it('should NOT allow result before accept', () => {
       expect(() => host.result('abc'))
           .to.throw(/not accepted/);
@@ -462,6 +626,121 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       expect(disconnectStub).to.not.be.called;
     });
 
+    it('should send "progress" when supported', () => {
+      sandbox.stub(messenger, 'getPeerCapabilities').returns(
+          [ActivityCapability.PROGRESS]);
+      expect(() => host.progress(1)).to.throw(/not accepted/);
+      host.accept();
+      host.progress({percent: 40});
+      expect(sendCommandStub).to.be.calledOnce;
+      expect(sendCommandStub).to.be.calledWith('progress', {
+        data: {percent: 40},
+      });
+    });
+
+    it('should redirect last "progress" with result', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      host.accept();
+      host.progress(1);
+      host.progress(2);
+      host.result('abc');
+      clock.tick(5000);
+      expect(redirectStub).to.be.calledOnce;
+      const returnUrl = redirectStub.args[0][0];
+      const response = JSON.parse(decodeURIComponent(
+          returnUrl.substring(returnUrl.indexOf('=') + 1)));
+      expect(response.data).to.equal('abc');
+      expect(response.progress).to.equal(2);
+    });
+
+    it('should redirect "result" when not acknowledged', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      host.accept();
+      host.result('abc');
+      clock.tick(4999);
+      expect(redirectStub).to.not.be.called;
+      clock.tick(1);
+      expect(redirectStub).to.be.calledOnce;
+      const returnUrl = redirectStub.args[0][0];
+      expect(returnUrl).to.match(
+          /^https:\/\/example-pub.com\/opener#__WA_RES__=/);
+      const response = JSON.parse(decodeURIComponent(
+          returnUrl.substring(returnUrl.indexOf('=') + 1)));
+      expect(response).to.deep.equal({
+        requestId: 'request1',
+        origin: getWindowOrigin(win),
+        code: 'ok',
+        data: 'abc',
+      });
+    });
+
+    it('should redirect "cancel" when not acknowledged', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      host.cancel();
+      clock.tick(5000);
+      expect(redirectStub).to.be.calledOnce;
+      expect(redirectStub.args[0][0]).to.contain(
+          encodeURIComponent('"code":"canceled"'));
+    });
+
+    it('should NOT redirect "result" when acknowledged', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      host.accept();
+      host.result('abc');
+      onCommand('close');
+      clock.tick(10000);
+      expect(redirectStub).to.not.be.called;
+    });
+
+    it('should call onResultUndelivered instead of redirect', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      const undeliveredSpy = sandbox.spy();
+      host.onResultUndelivered(undeliveredSpy);
+      host.accept();
+      host.result('abc');
+      clock.tick(5000);
+      expect(undeliveredSpy).to.be.calledOnce;
+      expect(undeliveredSpy).to.be.calledWith('ok', 'abc');
+      expect(redirectStub).to.not.be.called;
+    });
+
+    it('should redirect "failed" serialized once', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 5000;
+      host.failed(new Error('intentional'));
+      clock.tick(5000);
+      expect(redirectStub).to.be.calledOnce;
+      const returnUrl = redirectStub.args[0][0];
+      const response = JSON.parse(decodeURIComponent(
+          returnUrl.substring(returnUrl.indexOf('=') + 1)));
+      expect(response.code).to.equal('failed');
+      expect(response.data).to.equal('Error: intentional');
+      expect(response.error.name).to.equal('Error');
+      expect(response.error.message).to.equal('intentional');
+    });
+
+    it('should NOT redirect "result" by default', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.accept();
+      host.result('abc');
+      clock.tick(60000);
+      expect(redirectStub).to.not.be.called;
+    });
+
+    it('should NOT redirect "result" when disabled', () => {
+      const redirectStub = sandbox.stub(host.redirectHost_, 'redirect_');
+      host.options_.resultAckTimeout = 0;
+      host.accept();
+      host.result('abc');
+      clock.tick(10000);
+      expect(redirectStub).to.not.be.called;
+    });
+
     it('should yield "result" with null', () => {
       host.accept();
       host.result(null);
@@ -563,16 +842,29 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
       expect(host.isMessagingSupported()).to.be.true;
     });
 
-    it('should NOT allow messaging before accept', () => {
-      expect(() => host.message({a: 1}))
-          .to.throw(/not accepted/);
-      expect(() => host.onMessage(function() {}))
-          .to.throw(/not accepted/);
+    it('should only allow channels after accept', () => {
       expect(() => host.messageChannel('a'))
           .to.throw(/not accepted/);
     });
 
+    it('should queue messages until accept', () => {
+      const spy = sandbox.spy();
+      host.message({a: 1});
+      host.message({a: 2});
+      host.onMessage(spy);
+      messenger.handleCommand_('msg', {b: 1});
+      expect(sendCommandStub).to.not.be.calledWith('msg');
+      expect(spy).to.not.be.called;
+
+      host.accept();
+      expect(sendCommandStub).to.be.calledTwice;
+      expect(sendCommandStub.args[0]).to.deep.equal(['msg', {a: 1}, null]);
+      expect(sendCommandStub.args[1]).to.deep.equal(['msg', {a: 2}, null]);
+      expect(spy).to.be.calledOnce.calledWith({b: 1});
+    });
+
     it('should send custom message', () => {
+      const customMessageStub = sandbox.stub(messenger, 'customMessage');
       host.accept();
       host.message({a: 1});
       expect(customMessageStub).to.be.calledOnce;
@@ -609,6 +901,27 @@ describes.realWin('ActivityWindowPopupHost', {}, env => {
         expect(startChannelStub).to.be.calledOnce.calledWith('a');
       });
     });
+
+    it('should NOT allow rpc before accept', () => {
+      expect(() => host.call('m1'))
+          .to.throw(/not accepted/);
+      expect(() => host.handle('m1', function() {}))
+          .to.throw(/not accepted/);
+    });
+
+    it('should delegate rpc to messenger', () => {
+      const handler = function() {};
+      const callStub = sandbox.stub(messenger, 'call',
+          () => Promise.resolve('result'));
+      const handleStub = sandbox.stub(messenger, 'handle');
+      host.accept();
+      host.handle('m2', handler);
+      expect(handleStub).to.be.calledOnce.calledWith('m2', handler);
+      return host.call('m1', {a: 1}, 100).then(res => {
+        expect(res).to.equal('result');
+        expect(callStub).to.be.calledOnce.calledWith('m1', {a: 1}, 100);
+      });
+    });
   });
 });
 
@@ -619,12 +932,15 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
   let closeSpy;
   let container;
   let redirectStub;
+  let redirectPromise;
 
   beforeEach(() => {
     win = env.win;
     doc = win.document;
     host = new ActivityWindowRedirectHost(win);
-    redirectStub = sandbox.stub(host, 'redirect_');
+    redirectPromise = new Promise(resolve => {
+      redirectStub = sandbox.stub(host, 'redirect_', resolve);
+    });
     closeSpy = sandbox.stub(win, 'close');
     container = doc.createElement('div');
     doc.body.appendChild(container);
@@ -967,6 +1283,210 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
     });
   });
 
+  describe('signing', () => {
+    let keyPair;
+
+    beforeEach(() => {
+      return win.crypto.subtle.generateKey(
+          {name: 'ECDSA', namedCurve: 'P-256'}, false, ['sign', 'verify'])
+          .then(result => {
+            keyPair = result;
+            host.options_.signingKey = keyPair.privateKey;
+            return host.connect({
+              requestId: 'request1',
+              returnUrl: 'https://example-pub.com/opener',
+              args: {a: 1},
+              origin: 'https://example-pub.com',
+              originVerified: false,
+            });
+          });
+    });
+
+    it('should sign the result', () => {
+      host.accept();
+      host.result('abc');
+      return redirectPromise.then(returnUrl => {
+        const response = JSON.parse(decodeURIComponent(
+            returnUrl.substring(returnUrl.indexOf('=') + 1)));
+        expect(response.code).to.equal('ok');
+        expect(response.data).to.equal('abc');
+        expect(response.timestamp).to.be.a('number');
+        expect(response.signature).to.be.a('string');
+        return verifyResult(win, keyPair.publicKey, response);
+      }).then(valid => {
+        expect(valid).to.be.true;
+      });
+    });
+  });
+
+  describe('encryption', () => {
+    let resultKey;
+
+    beforeEach(() => {
+      win.sessionStorage.clear();
+      return createResultKey(win, 'request1').then(publicKey => {
+        resultKey = publicKey;
+        return host.connect({
+          requestId: 'request1',
+          returnUrl: 'https://example-pub.com/opener',
+          args: {a: 1},
+          origin: 'https://example-pub.com',
+          originVerified: false,
+          resultKey,
+        });
+      });
+    });
+
+    function whenRedirected() {
+      return redirectPromise.then(returnUrl => {
+        return JSON.parse(decodeURIComponent(
+            returnUrl.substring(returnUrl.indexOf('=') + 1)));
+      });
+    }
+
+    it('should keep the result key in the request', () => {
+      expect(JSON.parse(host.getRequestString()).resultKey)
+          .to.deep.equal(resultKey);
+    });
+
+    it('should encrypt the result', () => {
+      const promise = whenRedirected();
+      host.accept();
+      host.progress(40);
+      host.result({secret: 'abc'});
+      return promise.then(response => {
+        expect(response.requestId).to.equal('request1');
+        expect(response.origin).to.equal(getWindowOrigin(win));
+        expect(response.code).to.be.undefined;
+        expect(response.data).to.be.undefined;
+        expect(JSON.stringify(response)).to.not.contain('secret');
+        return decryptResult(win, 'request1', response.encrypted);
+      }).then(result => {
+        expect(result).to.deep.equal({
+          code: 'ok',
+          data: {secret: 'abc'},
+          progress: 40,
+        });
+      });
+    });
+
+    it('should fail without exposing the result', () => {
+      sandbox.stub(win.crypto.subtle, 'importKey',
+          () => Promise.reject(new Error('intentional')));
+      const promise = whenRedirected();
+      host.accept();
+      host.result({secret: 'abc'});
+      return promise.then(response => {
+        expect(response).to.deep.equal({
+          requestId: 'request1',
+          origin: getWindowOrigin(win),
+          code: 'failed',
+          data: 'Error: intentional',
+          error: {
+            name: 'Error',
+            message: 'intentional',
+            code: null,
+            details: null,
+          },
+        });
+      });
+    });
+  });
+
+  describe('compact encoding', () => {
+    const request = {
+      requestId: 'request1',
+      returnUrl: 'https://example-pub.com/opener',
+      args: {a: 1},
+    };
+
+    function waitForResponse() {
+      return redirectPromise.then(returnUrl => {
+        const prefix = 'https://example-pub.com/opener#__WA_RES__=';
+        expect(returnUrl.substring(0, prefix.length)).to.equal(prefix);
+        const param = decodeURIComponent(returnUrl.substring(prefix.length));
+        return {compact: isCompact(param), response: JSON.parse(
+            decodeCompact(param))};
+      });
+    }
+
+    it('should connect with the compact request', () => {
+      win.location.hash = '#__WA__=' +
+          encodeURIComponent(encodeCompact(serializeRequest(request)));
+      return host.connect('').then(() => {
+        expect(host.getArgs()).to.deep.equal({a: 1});
+        expect(host.getTargetOrigin()).to.equal('https://example-pub.com');
+        const requestString = host.getRequestString();
+        expect(isCompact(requestString)).to.be.true;
+        expect(JSON.parse(decodeCompact(requestString)).requestId)
+            .to.equal('request1');
+      });
+    });
+
+    it('should respond compactly to the compact request', () => {
+      win.location.hash = '#__WA__=' +
+          encodeURIComponent(encodeCompact(serializeRequest(request)));
+      return host.connect('').then(() => {
+        const promise = waitForResponse();
+        host.accept();
+        host.result('abc');
+        return promise;
+      }).then(({compact, response}) => {
+        expect(compact).to.be.true;
+        expect(response).to.deep.equal({
+          requestId: 'request1',
+          origin: getWindowOrigin(win),
+          code: 'ok',
+          data: 'abc',
+        });
+      });
+    });
+
+    it('should respond compactly when configured', () => {
+      host.options_.compactEncoding = true;
+      return host.connect(request).then(() => {
+        expect(isCompact(host.getRequestString())).to.be.false;
+        const promise = waitForResponse();
+        host.accept();
+        host.result('abc');
+        return promise;
+      }).then(({compact, response}) => {
+        expect(compact).to.be.true;
+        expect(response.data).to.equal('abc');
+      });
+    });
+
+    it('should fail the result that is too long', () => {
+      sandbox.useFakeTimers();
+      host.options_.maxUrlLength = 500;
+      return host.connect(request).then(() => {
+        host.accept();
+        host.result({text: 'x'.repeat(500)});
+        expect(redirectStub).to.be.calledOnce;
+        const returnUrl = redirectStub.args[0][0];
+        expect(returnUrl.length).to.be.below(500);
+        const response = JSON.parse(decodeURIComponent(
+            returnUrl.substring(returnUrl.indexOf('=') + 1)));
+        expect(response.requestId).to.equal('request1');
+        expect(response.code).to.equal('failed');
+        expect(response.data)
+            .to.match(/^Error: result URL is too long: \d+ > 500/);
+        expect(response.error.message)
+            .to.match(/result URL is too long: \d+ > 500/);
+      });
+    });
+
+    it('should allow the result within the limit', () => {
+      host.options_.maxUrlLength = 500;
+      return host.connect(request).then(() => {
+        host.accept();
+        host.result('abc');
+        expect(redirectStub).to.be.calledOnce;
+        expect(redirectStub.args[0][0]).to.contain('%22data%22%3A%22abc%22');
+      });
+    });
+  });
+
   describe('commands', () => {
     let clock;
     let request;
@@ -987,13 +1507,14 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.disconnect();
     });
 
-    function returnUrl(code, data) {
+    function returnUrl(code, data, opt_error) {
       return 'https://example-pub.com/opener#__WA_RES__=' +
           encodeURIComponent(JSON.stringify({
             requestId: 'request1',
             origin: getWindowOrigin(win),
             code,
             data,
+            error: opt_error,
           }));
     }
 
@@ -1004,6 +1525,13 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       expect(host.getArgs()).to.deep.equal({a: 1});
     });
 
+    it('should not support session', () => {
+      expect(host.getSessionId()).to.be.null;
+      expect(host.getStashedState()).to.be.null;
+      expect(() => host.stashState({step: 2}))
+          .to.throw(/not supported/);
+    });
+
     it('should return the request', () => {
       expect(host.getRequestString())
           .to.be.equal(serializeRequest(request));
@@ -1024,7 +1552,12 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.failed(new Error('broken'));
       expect(redirectStub).to.be.calledOnce;
       expect(redirectStub).to.be.calledWith(
-          returnUrl('failed', 'Error: broken'));
+          returnUrl('failed', 'Error: broken', {
+            name: 'Error',
+            message: 'broken',
+            code: null,
+            details: null,
+          }));
     });
 
     it('should yield "result"', () => {
@@ -1037,6 +1570,52 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       expect(disconnectStub).to.not.be.called;
     });
 
+    it('should carry last "progress" into result', () => {
+      host.accept();
+      host.progress(1);
+      host.progress({percent: 40});
+      host.result('abc');
+      expect(redirectStub).to.be.calledOnce;
+      expect(redirectStub).to.be.calledWith(
+          'https://example-pub.com/opener#__WA_RES__=' +
+          encodeURIComponent(JSON.stringify({
+            requestId: 'request1',
+            origin: getWindowOrigin(win),
+            code: 'ok',
+            data: 'abc',
+            progress: {percent: 40},
+          })));
+    });
+
+    it('should echo the nonce', () => {
+      request.nonce = 'nonce1';
+      return host.connect(request).then(() => {
+        expect(JSON.parse(host.getRequestString()).nonce).to.equal('nonce1');
+        host.accept();
+        host.result('abc');
+        expect(redirectStub).to.be.calledOnce;
+        expect(redirectStub).to.be.calledWith(
+            'https://example-pub.com/opener#__WA_RES__=' +
+            encodeURIComponent(JSON.stringify({
+              requestId: 'request1',
+              nonce: 'nonce1',
+              origin: getWindowOrigin(win),
+              code: 'ok',
+              data: 'abc',
+            })));
+      });
+    });
+
+    it('should NOT allow binary "result"', () => {
+      host.accept();
+      expect(() => host.result({a: new ArrayBuffer(8)}))
+          .to.throw(/binary results are not supported/);
+      const buffer = new ArrayBuffer(8);
+      expect(() => host.result({a: 1}, [buffer]))
+          .to.throw(/binary results are not supported/);
+      expect(redirectStub).to.not.be.called;
+    });
+
     it('should yield "result" with null', () => {
       host.accept();
       host.result(null);
@@ -1059,7 +1638,12 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.failed(new Error('broken'));
       expect(redirectStub).to.be.calledOnce;
       expect(redirectStub).to.be.calledWith(
-          returnUrl('failed', 'Error: broken'));
+          returnUrl('failed', 'Error: broken', {
+            name: 'Error',
+            message: 'broken',
+            code: null,
+            details: null,
+          }));
       expect(disconnectStub).to.not.be.called;
     });
 
@@ -1069,7 +1653,12 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.failed('broken');
       expect(redirectStub).to.be.calledOnce;
       expect(redirectStub).to.be.calledWith(
-          returnUrl('failed', 'broken'));
+          returnUrl('failed', 'broken', {
+            name: 'Error',
+            message: 'broken',
+            code: null,
+            details: null,
+          }));
       expect(disconnectStub).to.not.be.called;
     });
 
@@ -1146,6 +1735,16 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
         host.messageChannel('a');
       }).to.throw('not supported');
     });
+
+    it('should fail rpc', () => {
+      host.accept();
+      expect(() => {
+        host.call('m1');
+      }).to.throw('not supported');
+      expect(() => {
+        host.handle('m1', function() {});
+      }).to.not.throw();
+    });
   });
 
   describe('commands with custom protocol', () => {
@@ -1164,13 +1763,14 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.disconnect();
     });
 
-    function returnUrl(code, data) {
+    function returnUrl(code, data, opt_error) {
       return 'x-custom:action#__WA_RES__=' +
           encodeURIComponent(JSON.stringify({
             requestId: 'request1',
             origin: getWindowOrigin(win),
             code,
             data,
+            error: opt_error,
           }));
     }
 
@@ -1221,7 +1821,12 @@ describes.realWin('ActivityWindowRedirectHost', {}, env => {
       host.failed(new Error('broken'));
       expect(redirectStub).to.be.calledOnce;
       expect(redirectStub).to.be.calledWith(
-          returnUrl('failed', 'Error: broken'));
+          returnUrl('failed', 'Error: broken', {
+            name: 'Error',
+            message: 'broken',
+            code: null,
+            details: null,
+          }));
       expect(disconnectStub).to.not.be.called;
     });
   });
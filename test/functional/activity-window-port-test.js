@@ -20,6 +20,12 @@ import {
   discoverRedirectPort,
 } from '../../src/activity-window-port';
 import {ActivityMode, ActivityResultCode} from '../../src/activity-types';
+import {decodeCompact, encodeCompact} from '../../src/compression';
+import {
+  createResultKey,
+  encryptResult,
+  signResult,
+} from '../../src/result-crypto';
 import {
   getQueryParam,
   parseRequest,
@@ -30,6 +36,21 @@ const EDGE_USER_AGENT =
     ' AppleWebKit/537.36 (KHTML, like Gecko) Chrome/42.0.2311.135' +
     ' Safari/537.36 Edge/12.10136';
 
+/**
+ * Collects the unhandled promise rejections reported until the returned
+ * function is called. The returned promise fails if any were reported.
+ * @return {function():!Promise}
+ */
+function trackUnhandledRejections() {
+  const reasons = [];
+  const listener = event => reasons.push(event.reason);
+  self.addEventListener('unhandledrejection', listener);
+  return () => new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+    self.removeEventListener('unhandledrejection', listener);
+    expect(reasons).to.be.empty;
+  });
+}
+
 
 describes.realWin('ActivityWindowPort', {}, env => {
   let win;
@@ -202,6 +223,7 @@ describes.realWin('ActivityWindowPort', {}, env => {
 
       it('should exclude top/left on Edge due to system failures', () => {
         win = {};
+        win.crypto = env.win.crypto;
         win.location = {href: ''};
         win.navigator = {};
         win.navigator.userAgent = EDGE_USER_AGENT;
@@ -354,6 +376,17 @@ describes.realWin('ActivityWindowPort', {}, env => {
         expect(request.args).to.deep.equal({a: 1});
       });
 
+      it('should bind the request to a new nonce', () => {
+        const request1 = getRequest();
+        expect(request1.nonce).to.be.a('string');
+        expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+            .to.equal(request1.nonce);
+        const request2 = getRequest();
+        expect(request2.nonce).to.not.equal(request1.nonce);
+        expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+            .to.equal(request2.nonce);
+      });
+
       it('should default return url with empty options', () => {
         const request = getRequest({});
         expect(request.returnUrl).to.equal('about:srcdoc');
@@ -375,10 +408,164 @@ describes.realWin('ActivityWindowPort', {}, env => {
             .to.contain('https://example-sp.com/popup#abc&__WA__=%7');
       });
 
+      it('should add the result key when encrypted', () => {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            {encryptResult: true});
+        popup.location = {replace: sandbox.spy()};
+        port.open();
+        // The popup is opened within the user gesture.
+        expect(windowOpenStub).to.be.calledOnce;
+        expect(windowOpenStub.args[0][0]).to.equal('about:blank');
+        expect(windowOpenStub.args[0][1]).to.equal('_blank');
+        expect(port.getTargetWin()).to.equal(popup);
+        expect(port.messenger_).to.exist;
+        expect(popup.location.replace).to.not.be.called;
+        return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+          expect(windowOpenStub).to.be.calledOnce;
+          expect(popup.location.replace).to.be.calledOnce;
+          const url = popup.location.replace.args[0][0];
+          expect(url).to.match(/^https:\/\/example-sp.com\/popup#__WA__=/);
+          const request = parseRequest(
+              getQueryParam(url.substring(url.indexOf('#')), '__WA__'));
+          expect(request.resultKey.kty).to.equal('EC');
+          expect(request.resultKey.d).to.be.undefined;
+          expect(win.sessionStorage.getItem('__WA_KEY__:request1'))
+              .to.exist;
+        });
+      });
+
+      it('should encode the encrypted request compactly', () => {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            {encryptResult: true, compactEncoding: true});
+        popup.location = {replace: sandbox.spy()};
+        port.open();
+        return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+          expect(popup.location.replace).to.be.calledOnce;
+          const url = popup.location.replace.args[0][0];
+          const param = getQueryParam(
+              url.substring(url.indexOf('#')), '__WA__');
+          expect(param).to.match(/^~/);
+          const request = parseRequest(decodeCompact(param));
+          expect(request.resultKey.kty).to.equal('EC');
+          expect(request.nonce).to.equal(
+              win.sessionStorage.getItem('__WA_NONCE__:request1'));
+        });
+      });
+
+      it('should close the popup when encryption fails', () => {
+        Object.defineProperty(win, 'sessionStorage', {value: null});
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            {encryptResult: true});
+        popup.location = {replace: sandbox.spy()};
+        popup.close = sandbox.spy();
+        port.open();
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.match(/not supported/);
+          expect(windowOpenStub).to.be.calledOnce;
+          expect(popup.location.replace).to.not.be.called;
+          expect(popup.close).to.be.calledOnce;
+        });
+      });
+
+      it('should redirect once encrypted if the popup is blocked', () => {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            {encryptResult: true});
+        openFunc = (url, target) => target == '_top' ? popup : null;
+        port.open();
+        expect(windowOpenStub).to.be.calledOnce;
+        expect(port.getTargetWin()).to.equal(win.top);
+        expect(port.messenger_).to.be.null;
+        return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+          expect(windowOpenStub).to.be.calledTwice;
+          expect(windowOpenStub.args[1][0])
+              .to.match(/^https:\/\/example-sp.com\/popup#__WA__=/);
+          expect(windowOpenStub.args[1][1]).to.equal('_top');
+          expect(port.getTargetWin()).to.equal(popup);
+        });
+      });
+
+      it('should not redirect when encryption fails', () => {
+        Object.defineProperty(win, 'sessionStorage', {value: null});
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_top',
+            {a: 1},
+            {encryptResult: true});
+        port.open();
+        expect(windowOpenStub).to.not.be.called;
+        expect(port.getTargetWin()).to.equal(win.top);
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.match(/not supported/);
+          expect(windowOpenStub).to.not.be.called;
+          expect(port.getTargetWin()).to.be.null;
+        });
+      });
+
+      it('should encode the request compactly', () => {
+        const url = getUrl({compactEncoding: true});
+        expect(url).to.contain('https://example-sp.com/popup#__WA__=~');
+        const param = getQueryParam(url.substring(url.indexOf('#')), '__WA__');
+        const request = parseRequest(decodeCompact(param));
+        expect(request.requestId).to.equal('request1');
+        expect(request.args).to.deep.equal({a: 1});
+      });
+
+      it('should fail when the URL is too long', () => {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 'x'.repeat(200)},
+            {maxUrlLength: 200});
+        port.open();
+        expect(windowOpenStub).to.not.be.called;
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message)
+              .to.match(/activity URL is too long: \d+ > 200/);
+        });
+      });
+
+      it('should allow the URL within the limit', () => {
+        const url = getUrl({maxUrlLength: 2000});
+        expect(url).to.contain('#__WA__=');
+      });
+
       it('should NOT add fragment when skipped', () => {
         expect(getUrl({skipRequestInUrl: true},
             'https://example-sp.com/popup'))
             .to.equal('https://example-sp.com/popup');
+        // The request is outstanding, but without a nonce.
+        expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+            .to.equal('');
       });
     });
 
@@ -419,6 +606,20 @@ describes.realWin('ActivityWindowPort', {}, env => {
         expect(port.getTargetWin()).to.equal(popup);
       });
 
+      it('should reject without crypto instead of throwing', () => {
+        Object.defineProperty(win, 'crypto', {value: null});
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank');
+        expect(port.getSessionId()).to.be.a('string');
+        port.open();
+        expect(windowOpenStub).to.not.be.called;
+        return expect(port.acceptResult()).to.be.eventually
+            .rejectedWith(/crypto.getRandomValues is not supported/);
+      });
+
       it('should reject if all fallbacks fail', () => {
         openFunc = () => {
           throw new Error('intentional');
@@ -480,6 +681,177 @@ describes.realWin('ActivityWindowPort', {}, env => {
       });
     });
 
+    describe('timeouts', () => {
+      let timers;
+
+      beforeEach(() => {
+        win.setInterval = () => 1;
+        win.clearInterval = () => {};
+        timers = {};
+        let nextId = 1;
+        win.setTimeout = function(callback, timeout) {
+          const id = nextId++;
+          timers[id] = {callback, timeout};
+          return id;
+        };
+        win.clearTimeout = function(id) {
+          delete timers[id];
+        };
+      });
+
+      function open(options) {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            options);
+        port.open();
+        sandbox.stub(port.messenger_, 'sendCommand');
+        return port.messenger_;
+      }
+
+      function expire(timeout) {
+        for (const id in timers) {
+          if (timers[id].timeout == timeout) {
+            const callback = timers[id].callback;
+            delete timers[id];
+            callback();
+            return;
+          }
+        }
+        throw new Error('no timer for ' + timeout);
+      }
+
+      it('should not start timers by default', () => {
+        open({});
+        expect(Object.keys(timers)).to.be.empty;
+      });
+
+      it('should fail when the host does not connect', () => {
+        popup.close = sandbox.spy();
+        open({connectTimeout: 100});
+        expire(100);
+        expect(port.messenger_).to.be.null;
+        expect(popup.close).to.be.calledOnce;
+        return port.whenConnected().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('TimeoutError');
+          expect(reason.message).to.match(/did not connect within 100ms/);
+          return port.acceptResult();
+        }).then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('TimeoutError');
+        });
+      });
+
+      it('should fail when the host does not return the result', () => {
+        const messenger = open({connectTimeout: 100, resultTimeout: 300});
+        messenger.onCommand_('connect');
+        expire(300);
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('TimeoutError');
+          expect(reason.message)
+              .to.match(/did not return the result within 300ms/);
+        });
+      });
+
+      it('should not report unobserved timeouts as unhandled', () => {
+        const expectHandled = trackUnhandledRejections();
+        open({connectTimeout: 100});
+        expire(100);
+        const messenger = open({resultTimeout: 300});
+        messenger.onCommand_('connect');
+        expire(300);
+        return expectHandled();
+      });
+
+      it('should stop all timers on result', () => {
+        const messenger = open({connectTimeout: 100, resultTimeout: 300});
+        messenger.onCommand_('connect');
+        expect(Object.keys(timers)).to.have.length(1);
+        messenger.onCommand_('result', {code: 'ok', data: 'abc'});
+        expect(Object.keys(timers)).to.be.empty;
+        return port.acceptResult().then(result => {
+          expect(result.data).to.equal('abc');
+        });
+      });
+    });
+
+    describe('abort', () => {
+      let controller;
+
+      beforeEach(() => {
+        win.setInterval = () => 1;
+        win.clearInterval = () => {};
+        popup.close = sandbox.spy();
+        controller = new win.AbortController();
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_blank',
+            {a: 1},
+            {signal: controller.signal});
+      });
+
+      function expectAbort() {
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('AbortError');
+        });
+      }
+
+      it('should not open the window when already aborted', () => {
+        controller.abort();
+        port.open();
+        expect(windowOpenStub).to.not.be.called;
+        return expectAbort();
+      });
+
+      it('should ask the host to abort and close the popup', () => {
+        port.open();
+        const messenger = port.messenger_;
+        const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+        messenger.handleCommand_('connect', {}, {
+          data: {
+            handshake: {protocol: 2, version: '2.1', capabilities: ['abort']},
+          },
+        });
+        sendCommandStub.reset();
+        controller.abort();
+        expect(sendCommandStub).to.be.calledOnce.calledWith('abort');
+        expect(popup.close).to.be.calledOnce;
+        expect(port.messenger_).to.be.null;
+        expect(port.abortListener_).to.be.null;
+        return expectAbort();
+      });
+
+      it('should not report unobserved abort as unhandled', () => {
+        const expectHandled = trackUnhandledRejections();
+        port.open();
+        sandbox.stub(port.messenger_, 'sendCommand');
+        port.messenger_.onCommand_('connect');
+        controller.abort();
+        return expectHandled();
+      });
+
+      it('should close the popup before the host connects', () => {
+        port.open();
+        const sendCommandStub = sandbox.stub(port.messenger_, 'sendCommand');
+        controller.abort();
+        expect(sendCommandStub).to.not.be.called;
+        expect(popup.close).to.be.calledOnce;
+        return expectAbort();
+      });
+    });
+
     describe('popup opened', () => {
       let messenger;
       let heartbeatFunc;
@@ -519,7 +891,7 @@ describes.realWin('ActivityWindowPort', {}, env => {
       it('should create messenger', () => {
         expect(messenger).to.exist;
         expect(messenger.onCommand_).to.exist;
-        expect(messenger.requireTarget_).to.be.true;
+        expect(messenger.transport_.requireTarget_).to.be.true;
       });
 
       it('should not create messenger for redirect', () => {
@@ -532,6 +904,37 @@ describes.realWin('ActivityWindowPort', {}, env => {
         expect(port.messenger_).to.be.null;
       });
 
+      it('should delegate rpc to messenger', () => {
+        const handler = () => {};
+        const handleStub = sandbox.stub(messenger, 'handle');
+        const callStub = sandbox.stub(messenger, 'call', () => 'result');
+        port.handle('method1', handler);
+        expect(handleStub).to.be.calledOnce.calledWith('method1', handler);
+        expect(port.call('method2', {a: 1}, 100)).to.equal('result');
+        expect(callStub).to.be.calledOnce.calledWith('method2', {a: 1}, 100);
+      });
+
+      it('should fail rpc when not connected', () => {
+        port.disconnect();
+        expect(() => port.handle('method1', () => {}))
+            .to.throw(/not connected/);
+        return expect(port.call('method1')).to.be.eventually
+            .rejectedWith(/not connected/);
+      });
+
+      it('should fail rpc for redirect', () => {
+        port = new ActivityWindowPort(
+            win,
+            'request1',
+            'https://example-sp.com/popup',
+            '_top');
+        expect(() => port.handle('method1', () => {}))
+            .to.throw(/not connected/);
+        port.open();
+        return expect(port.call('method1')).to.be.eventually
+            .rejectedWith(/not connected/);
+      });
+
       it('should disconnect messenger', () => {
         messenger.onCommand_ = function() {};
         port.disconnect();
@@ -598,6 +1001,47 @@ describes.realWin('ActivityWindowPort', {}, env => {
         });
       });
 
+      it('should cancel the unconnected popup regardless of policy', () => {
+        port.options_.resultPolicy = {};
+        popup.closed = true;
+        heartbeatFunc();
+        flushTimeouts();
+        return port.acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('AbortError');
+          expect(reason.activityResult.code)
+              .to.equal(ActivityResultCode.CANCELED);
+        });
+      });
+
+      it('should fail to connect when host lacks capabilities', () => {
+        port.options_.requiredCapabilities = ['other'];
+        const sendCommandStub = sandbox.stub(messenger, 'sendCommand');
+        messenger.handleEvent_({
+          origin: 'https://example-sp.com',
+          source: popup,
+          data: {
+            sentinel: '__ACTIVITIES__',
+            cmd: 'connect',
+            handshake: {protocol: 2, capabilities: ['messaging']},
+          },
+        });
+        expect(sendCommandStub).to.not.be.calledWith('start');
+        expect(port.messenger_).to.be.null;
+        return port.whenConnected().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('ProtocolError');
+          return port.acceptResult();
+        }).then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('ProtocolError');
+          expect(port.getPeerCapabilities()).to.deep.equal([]);
+        });
+      });
+
       describe('connected', () => {
         let onCommand;
         let sendCommandStub;
@@ -626,10 +1070,28 @@ describes.realWin('ActivityWindowPort', {}, env => {
               .to.equal('https://example-sp.com');
         });
 
+        it('should restore the stashed state on reconnect', () => {
+          const setSessionSpy = sandbox.spy(messenger, 'setSession');
+          const reconnectSpy = sandbox.spy();
+          port.onReconnect(reconnectSpy);
+          onCommand('stash', {state: {step: 2}});
+          onCommand('connect');
+          expect(reconnectSpy).to.be.calledOnce;
+          expect(sendCommandStub).to.be.calledTwice;
+          expect(sendCommandStub.args[1]).to.deep.equal(['start', {a: 1}]);
+          expect(setSessionSpy).to.be.calledOnce
+              .calledWith(port.getSessionId(), {step: 2});
+        });
+
         it('should resolve connected promise', () => {
           return port.whenConnected();
         });
 
+        it('should return peer version and capabilities', () => {
+          expect(port.getPeerVersion()).to.be.null;
+          expect(port.getPeerCapabilities()).to.include('resize');
+        });
+
         it('should execute heartbeat when window is open/closed', () => {
           expect(heartbeatFunc).to.exist;
           heartbeatFunc();
@@ -696,6 +1158,52 @@ describes.realWin('ActivityWindowPort', {}, env => {
           });
         });
 
+        it('should discard the nonce of the delivered "result"', () => {
+          expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+              .to.be.a('string');
+          win.sessionStorage.setItem('__WA_KEY__:request1', '{}');
+          onCommand('result', {code: 'ok', data: 'success'});
+          expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+              .to.be.null;
+          expect(win.sessionStorage.getItem('__WA_KEY__:request1'))
+              .to.be.null;
+        });
+
+        it('should discard the nonce and the key on failure', () => {
+          win.sessionStorage.setItem('__WA_KEY__:request1', '{}');
+          port.disconnectWithError_(new Error('intentional'));
+          expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+              .to.be.null;
+          expect(win.sessionStorage.getItem('__WA_KEY__:request1'))
+              .to.be.null;
+          return expect(port.acceptResult()).to.be.eventually
+              .rejectedWith(/intentional/);
+        });
+
+        it('should fail "result" not matching the schema', () => {
+          port.options_.resultSchema = {type: 'object'};
+          onCommand('result', {code: 'ok', data: 'success'});
+          return port.acceptResult().then(() => {
+            throw new Error('must have failed');
+          }, reason => {
+            expect(reason.name).to.equal('ValidationError');
+            expect(reason.activityResult.code)
+                .to.equal(ActivityResultCode.FAILED);
+          });
+        });
+
+        it('should handle "progress"', () => {
+          const progressSpy = sandbox.spy();
+          port.onProgress(progressSpy);
+          onCommand('progress', {data: 'uploading 40%'});
+          expect(progressSpy).to.be.calledOnce;
+          expect(progressSpy).to.be.calledWith('uploading 40%');
+          onCommand('result', {code: 'ok', data: 'success'});
+          return port.acceptResult().then(result => {
+            expect(result.progress).to.equal('uploading 40%');
+          });
+        });
+
         it('should handle cancel "result"', () => {
           onCommand('result', {code: 'canceled', data: null});
           expect(sendCommandStub).to.be.calledWith('close');
@@ -794,6 +1302,10 @@ describes.realWin('ActivityWindowPort', {}, env => {
     });
 
     function discover(response, requestId, opt_setFragment) {
+      win.sessionStorage.setItem('__WA_NONCE__:' + requestId, 'nonce1');
+      if (response.nonce === undefined) {
+        response.nonce = 'nonce1';
+      }
       const fragment = '#__WA_RES__=' +
           encodeURIComponent(JSON.stringify(response));
       if (opt_setFragment) {
@@ -823,6 +1335,38 @@ describes.realWin('ActivityWindowPort', {}, env => {
       });
     });
 
+    it('should discover the compact response', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      const fragment = '#__WA_RES__=' + encodeURIComponent(encodeCompact(
+          JSON.stringify({
+            requestId: 'request1',
+            nonce: 'nonce1',
+            code: 'ok',
+            data: {a: 1},
+            origin: 'https://example-sp.com',
+          })));
+      const port = discoverRedirectPort(win, fragment, 'request1');
+      expect(port).to.exist;
+      return port.acceptResult().then(result => {
+        expect(result.ok).to.be.true;
+        expect(result.data).to.deep.equal({a: 1});
+      });
+    });
+
+    it('should discover the last progress', () => {
+      const port = discover({
+        requestId: 'request1',
+        code: 'ok',
+        data: {a: 1},
+        progress: {percent: 40},
+        origin: 'https://example-sp.com',
+      }, 'request1');
+      return port.acceptResult().then(result => {
+        expect(result.data).to.deep.equal({a: 1});
+        expect(result.progress).to.deep.equal({percent: 40});
+      });
+    });
+
     it('should correctly decode the response', () => {
       const port = discover({
         requestId: 'request1',
@@ -844,6 +1388,191 @@ describes.realWin('ActivityWindowPort', {}, env => {
       });
     });
 
+    it('should rebuild the failure from the response', () => {
+      const port = discover({
+        requestId: 'request1',
+        code: 'failed',
+        data: 'TypeError: broken',
+        error: {
+          name: 'TypeError',
+          message: 'broken',
+          code: 'E1',
+          details: {a: 1},
+        },
+        origin: 'https://example-sp.com',
+      }, 'request1');
+      return port.acceptResult().then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('TypeError');
+        expect(reason.message).to.equal('broken');
+        expect(reason.code).to.equal('E1');
+        expect(reason.details).to.deep.equal({a: 1});
+        const result = reason.activityResult;
+        expect(result.code).to.equal(ActivityResultCode.FAILED);
+        expect(result.error).to.equal(reason);
+        expect(result.data).to.be.null;
+      });
+    });
+
+    it('should rebuild the failure from the legacy response', () => {
+      const port = discover({
+        requestId: 'request1',
+        code: 'failed',
+        data: 'broken',
+        origin: 'https://example-sp.com',
+      }, 'request1');
+      return port.acceptResult().then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.name).to.equal('Error');
+        expect(reason.message).to.equal('broken');
+      });
+    });
+
+    it('should decrypt the response', () => {
+      win.sessionStorage.clear();
+      return createResultKey(win, 'request1').then(publicKey => {
+        return encryptResult(win, publicKey, 'request1', {
+          code: 'ok',
+          data: {a: 1},
+          progress: 2,
+        });
+      }).then(encrypted => {
+        const port = discover({
+          requestId: 'request1',
+          origin: 'https://example-sp.com',
+          encrypted,
+        }, 'request1');
+        return Promise.all([port.acceptResult(), port.acceptResult()]);
+      }).then(results => {
+        expect(results[0]).to.equal(results[1]);
+        expect(results[0].ok).to.be.true;
+        expect(results[0].data).to.deep.equal({a: 1});
+        expect(results[0].progress).to.equal(2);
+        expect(results[0].origin).to.equal('https://example-sp.com');
+        expect(results[0].secureChannel).to.be.false;
+      });
+    });
+
+    it('should fail the result that cannot be decrypted', () => {
+      win.sessionStorage.clear();
+      const port = discover({
+        requestId: 'request1',
+        origin: 'https://example-sp.com',
+        encrypted: {alg: 'ECDH-HKDF-SHA256+A256GCM'},
+      }, 'request1');
+      return port.acceptResult().then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason.message).to.match(/result key not found/);
+        expect(reason.activityResult.code)
+            .to.equal(ActivityResultCode.FAILED);
+      });
+    });
+
+    describe('signed', () => {
+      let keyPair;
+      let verificationKeys;
+      let response;
+
+      beforeEach(() => {
+        response = {
+          requestId: 'request1',
+          nonce: 'nonce1',
+          origin: 'https://example-sp.com',
+          code: 'ok',
+          data: {a: 1},
+          timestamp: Date.now(),
+        };
+        return win.crypto.subtle.generateKey(
+            {name: 'ECDSA', namedCurve: 'P-256'}, false, ['sign', 'verify'])
+            .then(result => {
+              keyPair = result;
+              verificationKeys = {'https://example-sp.com': keyPair.publicKey};
+            });
+      });
+
+      function discoverSigned(opt_policy) {
+        win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+        const fragment = '#__WA_RES__=' +
+            encodeURIComponent(JSON.stringify(response));
+        return discoverRedirectPort(
+            win, fragment, 'request1', verificationKeys, opt_policy);
+      }
+
+      it('should verify the origin with the signature', () => {
+        return signResult(win, keyPair.privateKey, response).then(sig => {
+          response.signature = sig;
+          return discoverSigned().acceptResult();
+        }).then(result => {
+          expect(result.data).to.deep.equal({a: 1});
+          expect(result.originVerified).to.be.true;
+        });
+      });
+
+      it('should fail the unsigned response', () => {
+        win.sessionStorage.setItem('__WA_KEY__:request1', '{}');
+        return discoverSigned().acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.match(/invalid result signature/);
+          expect(reason.activityResult.originVerified).to.be.false;
+          // The key is discarded even though the result is rejected.
+          expect(win.sessionStorage.getItem('__WA_KEY__:request1'))
+              .to.be.null;
+        });
+      });
+
+      it('should fail the expired response', () => {
+        response.timestamp = Date.now() - 600000;
+        return signResult(win, keyPair.privateKey, response).then(sig => {
+          response.signature = sig;
+          return discoverSigned().acceptResult();
+        }).then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.match(/result signature expired/);
+        });
+      });
+
+      it('should ignore the signature from other origins', () => {
+        verificationKeys = {'https://other.com': keyPair.publicKey};
+        return discoverSigned().acceptResult().then(result => {
+          expect(result.ok).to.be.true;
+          expect(result.originVerified).to.be.false;
+        });
+      });
+
+      it('should require the signature by policy', () => {
+        verificationKeys = {'https://other.com': keyPair.publicKey};
+        const policy = {
+          minVerification: 'none',
+          requireSignedRedirect: true,
+        };
+        return discoverSigned(policy).acceptResult().then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('PolicyViolationError');
+          expect(reason.message).to.match(
+              /"https:\/\/example-sp.com" is not signed/);
+        });
+      });
+
+      it('should accept the signed response required by policy', () => {
+        const policy = {
+          minVerification: 'origin-verified',
+          requireSignedRedirect: true,
+        };
+        return signResult(win, keyPair.privateKey, response).then(sig => {
+          response.signature = sig;
+          return discoverSigned(policy).acceptResult();
+        }).then(result => {
+          expect(result.originVerified).to.be.true;
+        });
+      });
+    });
+
     it('should try to verify the origin from referrer', () => {
       Object.defineProperty(win.document, 'referrer', {
         value: 'HTTPS://EXampLE-SP.COM/host',
@@ -908,6 +1637,83 @@ describes.realWin('ActivityWindowPort', {}, env => {
       expect(replaceStateSpy.args[0][2]).to.equal('#');
     });
 
+    it('should reject the response without a matching nonce', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      const fragment = '#__WA_RES__=' + encodeURIComponent(JSON.stringify({
+        requestId: 'request1',
+        nonce: 'other',
+        code: 'ok',
+        data: {a: 1},
+        origin: 'https://example-sp.com',
+      }));
+      expect(() => discoverRedirectPort(win, fragment, 'request1'))
+          .to.throw(/does not match any request/);
+      expect(win.sessionStorage.getItem('__WA_NONCE__:request1'))
+          .to.equal('nonce1');
+      win.sessionStorage.removeItem('__WA_NONCE__:request1');
+      expect(() => discoverRedirectPort(
+          win, fragment.replace('other', 'nonce1'), 'request1'))
+          .to.throw(/does not match any request/);
+    });
+
+    it('should reject the response when storage is not available', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      Object.defineProperty(win, 'sessionStorage', {value: null});
+      const fragment = '#__WA_RES__=' + encodeURIComponent(JSON.stringify({
+        requestId: 'request1',
+        nonce: 'nonce1',
+        code: 'ok',
+        origin: 'https://example-sp.com',
+      }));
+      expect(() => discoverRedirectPort(win, fragment, 'request1'))
+          .to.throw(/does not match any request/);
+    });
+
+    it('should not decode the response of a request not outstanding', () => {
+      const fragment = '#__WA_RES__=' + encodeURIComponent(
+          encodeCompact(JSON.stringify({
+            requestId: 'request1',
+            nonce: 'nonce1',
+            code: 'ok',
+            origin: 'https://example-sp.com',
+          })));
+      win.sessionStorage.removeItem('__WA_NONCE__:request1');
+      const hash = win.location.hash;
+      expect(discoverRedirectPort(win, fragment, 'request1')).to.be.null;
+      expect(win.location.hash).to.equal(hash);
+      win.sessionStorage.setItem('__WA_NONCE__:request1', 'nonce1');
+      expect(discoverRedirectPort(win, fragment, 'request1')).to.exist;
+    });
+
+    it('should accept the response for the request without a nonce', () => {
+      win.sessionStorage.setItem('__WA_NONCE__:request1', '');
+      const fragment = '#__WA_RES__=' + encodeURIComponent(JSON.stringify({
+        requestId: 'request1',
+        code: 'ok',
+        data: {a: 1},
+        origin: 'https://example-sp.com',
+      }));
+      expect(discoverRedirectPort(win, fragment, 'request1')).to.exist;
+      expect(win.sessionStorage.getItem('__WA_NONCE__:request1')).to.be.null;
+      expect(() => discoverRedirectPort(win, fragment, 'request1'))
+          .to.throw(/does not match any request/);
+    });
+
+    it('should consume the nonce', () => {
+      const response = {
+        requestId: 'request1',
+        code: 'ok',
+        data: {a: 1},
+        origin: 'https://example-sp.com',
+      };
+      expect(discover(response, 'request1')).to.exist;
+      expect(win.sessionStorage.getItem('__WA_NONCE__:request1')).to.be.null;
+      const fragment = '#__WA_RES__=' +
+          encodeURIComponent(JSON.stringify(response));
+      expect(() => discoverRedirectPort(win, fragment, 'request1'))
+          .to.throw(/does not match any request/);
+    });
+
     it('should ignore another response', () => {
       const port = discover({
         requestId: 'request1',
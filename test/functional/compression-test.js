@@ -0,0 +1,181 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  decodeCompact,
+  deflateRaw,
+  encodeCompact,
+  encodeCompactAsync,
+  inflateRaw,
+  isCompact,
+} from '../../src/compression';
+import {fromBase64Url, utf8Decode, utf8Encode} from '../../src/utils';
+
+
+describes.realWin('compression', {}, env => {
+  let win;
+
+  beforeEach(() => {
+    win = env.win;
+  });
+
+  function roundtrip(str) {
+    return utf8Decode(inflateRaw(deflateRaw(utf8Encode(str))));
+  }
+
+  it('should deflate and inflate', () => {
+    expect(roundtrip('')).to.equal('');
+    expect(roundtrip('a')).to.equal('a');
+    expect(roundtrip('abcabcabcabcabcabc')).to.equal('abcabcabcabcabcabc');
+    expect(roundtrip('тест ✓')).to.equal('тест ✓');
+  });
+
+  it('should compress repeated data', () => {
+    const items = [];
+    for (let i = 0; i < 200; i++) {
+      items.push({id: i, name: 'item' + (i % 7), selected: i % 2 == 0});
+    }
+    const str = JSON.stringify({requestId: 'request1', args: {items}});
+    const compressed = deflateRaw(utf8Encode(str));
+    expect(compressed.length).to.be.below(str.length / 4);
+    expect(utf8Decode(inflateRaw(compressed))).to.equal(str);
+  });
+
+  it('should handle long matches and distant repeats', () => {
+    let str = '';
+    for (let i = 0; i < 1000; i++) {
+      str += String.fromCharCode(97 + (i * 7) % 26);
+    }
+    str = str + 'x'.repeat(600) + str;
+    expect(roundtrip(str)).to.equal(str);
+  });
+
+  it('should inflate stored blocks', () => {
+    const data = fromBase64Url('AQYA-f9zdG9yZWQ');
+    expect(utf8Decode(inflateRaw(data))).to.equal('stored');
+  });
+
+  it('should inflate dynamic Huffman blocks', () => {
+    // Produced by zlib with the Huffman-only strategy.
+    const data = fromBase64Url(
+        'BcFJboQwEAXQq3x53ULKlhtk11K4gMHlgalw2QWGVt89732MUFYq9deZ3ghlpVJ_zMtY' +
+        'CcX0H1OpVdObIRKypmnBKHzt8Nww63YU8EmCGgmrfW44Dh2GSMiapgWj8LXDc8Os21HA' +
+        'JwlqJKz2ueE4dBgiIWuaFozC1w7PDbNuRwGfJKiRsNrnhuPQ4W2nBduNkRuuVCN8Ogm' +
+        'OH9qxpqwsmDWUDn9HTHsDe4yrnRZktVKfF2Z1gbDdOPnqzPf7Dw');
+    const str = utf8Decode(inflateRaw(data));
+    expect(JSON.parse(str).args.text).to.match(
+        /^The quick brown fox.*judge my vow\.$/);
+  });
+
+  it('should fail on truncated data', () => {
+    const data = deflateRaw(utf8Encode('abcdefghijklmnopqrstuvwxyz'));
+    expect(() => {
+      inflateRaw(data.subarray(0, data.length - 3));
+    }).to.throw(/unexpected end of data/);
+  });
+
+  it('should fail on invalid block type', () => {
+    expect(() => {
+      inflateRaw(new Uint8Array([0x07]));
+    }).to.throw(/invalid block type/);
+  });
+
+  it('should fail when the output exceeds the limit', () => {
+    const data = deflateRaw(utf8Encode('a'.repeat(1000)));
+    expect(inflateRaw(data, 1000)).to.have.length(1000);
+    expect(() => {
+      inflateRaw(data, 999);
+    }).to.throw(/output exceeds 999 bytes/);
+    expect(() => {
+      inflateRaw(fromBase64Url('AQYA-f9zdG9yZWQ'), 5);
+    }).to.throw(/output exceeds 5 bytes/);
+  });
+
+  describe('compact payloads', () => {
+    const json = '{"requestId":"request1","args":{"a":1}}';
+
+    it('should encode and decode', () => {
+      const compact = encodeCompact(json);
+      expect(compact).to.match(/^~[A-Za-z0-9_-]+$/);
+      expect(isCompact(compact)).to.be.true;
+      expect(decodeCompact(compact)).to.equal(json);
+    });
+
+    it('should pass through the plain JSON', () => {
+      expect(isCompact(json)).to.be.false;
+      expect(isCompact('')).to.be.false;
+      expect(isCompact(null)).to.be.false;
+      expect(decodeCompact(json)).to.equal(json);
+    });
+
+    it('should fail to decode an oversized payload', () => {
+      // Inflates to 5MB: a literal followed by the repeated matches.
+      const compact = encodeCompact('a'.repeat(5 * 1024 * 1024));
+      expect(compact.length).to.be.below(50000);
+      expect(() => {
+        decodeCompact(compact);
+      }).to.throw(/invalid compact payload: output exceeds/);
+    });
+
+    it('should fail to decode an invalid payload', () => {
+      expect(() => {
+        decodeCompact('~Bw');
+      }).to.throw(/invalid compact payload: invalid block type/);
+    });
+
+    it('should fallback to the built-in compressor', () => {
+      win.CompressionStream = undefined;
+      return encodeCompactAsync(win, json).then(compact => {
+        expect(compact).to.equal(encodeCompact(json));
+      });
+    });
+
+    it('should fallback when the native compression fails', () => {
+      win.CompressionStream = function() {
+        throw new Error('unsupported format');
+      };
+      win.Blob = function() {
+        this.stream = () => ({pipeThrough: (stream => stream)});
+      };
+      win.Response = function() {};
+      return encodeCompactAsync(win, json).then(compact => {
+        expect(compact).to.equal(encodeCompact(json));
+      });
+    });
+
+    it('should use the native compression', () => {
+      const compressed = deflateRaw(utf8Encode('{"native":true}'));
+      const formats = [];
+      win.CompressionStream = function(format) {
+        formats.push(format);
+      };
+      win.Blob = function() {
+        this.stream = () => ({pipeThrough: () => 'stream1'});
+      };
+      win.Response = function(stream) {
+        this.arrayBuffer = () => {
+          expect(stream).to.equal('stream1');
+          return Promise.resolve(compressed.buffer);
+        };
+      };
+      return encodeCompactAsync(win, json).then(compact => {
+        expect(formats).to.deep.equal(['deflate-raw']);
+        expect(decodeCompact(compact)).to.equal('{"native":true}');
+      });
+    });
+  });
+});
@@ -15,6 +15,10 @@
  * limitations under the License.
  */
 
+import {
+  ActivityCapability,
+  ActivityQueueOverflow,
+} from '../../src/activity-types';
 import {Messenger} from '../../src/messenger';
 
 const IE_USER_AGENT =
@@ -24,6 +28,22 @@ const EDGE_USER_AGENT =
     'Mozilla/5.0 (Windows NT 10.0)' +
     ' AppleWebKit/537.36 (KHTML, like Gecko) Chrome/42.0.2311.135' +
     ' Safari/537.36 Edge/12.10136';
+const HANDSHAKE = {
+  protocol: 2,
+  version: '$internalRuntimeVersion$',
+  capabilities: [
+    ActivityCapability.RESIZE,
+    ActivityCapability.MESSAGING,
+    ActivityCapability.NAMED_CHANNELS,
+    ActivityCapability.RPC,
+    ActivityCapability.STRUCTURED_ERRORS,
+    ActivityCapability.CHANNEL_UPGRADE,
+    ActivityCapability.PROGRESS,
+    ActivityCapability.HEARTBEAT,
+    ActivityCapability.SESSION,
+    ActivityCapability.ABORT,
+  ],
+};
 
 
 describes.realWin('Messenger', {}, env => {
@@ -130,6 +150,7 @@ describes.realWin('Messenger', {}, env => {
         sentinel: '__ACTIVITIES__',
         cmd: 'start',
         payload: {a: 1},
+        handshake: HANDSHAKE,
       });
       expect(source.postMessage.args[0][1]).to.equal('https://example-sp.com');
       expect(source.postMessage.args[0][2]).to.not.exist;
@@ -159,6 +180,7 @@ describes.realWin('Messenger', {}, env => {
         sentinel: '__ACTIVITIES__',
         cmd: 'start',
         payload: {a: 1},
+        handshake: HANDSHAKE,
       });
       expect(source.postMessage.args[0][1]).to.equal('https://example-sp.com');
       expect(source.postMessage.args[0][2]).to.deep.equal([channel.port2]);
@@ -219,6 +241,7 @@ describes.realWin('Messenger', {}, env => {
         sentinel: '__ACTIVITIES__',
         cmd: 'start',
         payload: {a: 1},
+        handshake: HANDSHAKE,
       });
       expect(source.postMessage.args[0][1]).to.equal('https://example-sp.com');
       expect(source.postMessage.args[0][2]).to.deep.equal([channels[0].port2]);
@@ -245,6 +268,7 @@ describes.realWin('Messenger', {}, env => {
         sentinel: '__ACTIVITIES__',
         cmd: 'start',
         payload: {c: 3},
+        handshake: HANDSHAKE,
       });
       expect(source.postMessage.args[1][1]).to.equal('https://example-sp.com');
       expect(source.postMessage.args[1][2]).to.deep.equal([channels[1].port2]);
@@ -435,16 +459,56 @@ describes.realWin('Messenger', {}, env => {
       expect(onCommand).to.not.be.called;
     });
 
-    it('should fail sending a message until connected', () => {
-      expect(() => {
-        messenger.customMessage({a: 1});
-      }).to.throw(/not connected/);
+    it('should queue a message until started', () => {
+      messenger.customMessage({a: 1});
+      messenger.customMessage({a: 2});
+      source = {
+        postMessage: sandbox.spy(),
+      };
+      messenger.sendStartCommand({});
+      expect(source.postMessage).to.be.calledThrice;
+      expect(source.postMessage.args[0][0].cmd).to.equal('start');
+      expect(source.postMessage.args[1][0]).to.deep.equal({
+        sentinel: '__ACTIVITIES__',
+        cmd: 'msg',
+        payload: {a: 1},
+      });
+      expect(source.postMessage.args[2][0].payload).to.deep.equal({a: 2});
+    });
+
+    it('should transfer objects with a queued message', () => {
+      const buffer = new ArrayBuffer(8);
+      messenger.customMessage({a: 1}, [buffer]);
+      source = {
+        postMessage: sandbox.spy(),
+      };
+      messenger.sendStartCommand({});
+      messenger.customMessage({a: 2}, [buffer]);
+      expect(source.postMessage).to.be.calledThrice;
+      expect(source.postMessage.args[1][0].payload).to.deep.equal({a: 1});
+      expect(source.postMessage.args[1][2]).to.deep.equal([buffer]);
+      expect(source.postMessage.args[2][0].payload).to.deep.equal({a: 2});
+      expect(source.postMessage.args[2][2]).to.deep.equal([buffer]);
+    });
+
+    it('should announce the session with "start"', () => {
+      source = {
+        postMessage: sandbox.spy(),
+      };
+      messenger.setSession('session1', {step: 2});
+      messenger.sendStartCommand({a: 1});
+      expect(source.postMessage.args[0][0].handshake.session).to.deep.equal({
+        id: 'session1',
+        state: {step: 2},
+      });
     });
 
     it('should send a message once connected', () => {
       source = {
         postMessage: sandbox.spy(),
       };
+      messenger.sendStartCommand({});
+      source.postMessage.reset();
       messenger.customMessage({a: 1});
       expect(source.postMessage).to.be.calledOnce;
       expect(source.postMessage.args[0][0]).to.deep.equal({
@@ -455,6 +519,258 @@ describes.realWin('Messenger', {}, env => {
       expect(source.postMessage.args[0][1]).to.equal('https://example-sp.com');
     });
 
+    describe('logger', () => {
+      let logger;
+
+      beforeEach(() => {
+        logger = sandbox.spy();
+        messenger.setLogger(logger);
+        source = {
+          postMessage: sandbox.spy(),
+        };
+      });
+
+      it('should log received and sent commands', () => {
+        sandbox.stub(Date, 'now', () => 1000);
+        const handler = addEventListenerSpy.args[0][1];
+        handler(msg({
+          origin: 'https://example-sp.com',
+          source,
+          data: {sentinel: '__ACTIVITIES__', cmd: 'connect', payload: {}},
+        }));
+        messenger.sendStartCommand({a: 1});
+        expect(logger).to.be.calledTwice;
+        expect(logger.args[0][0]).to.deep.equal({
+          direction: 'receive',
+          cmd: 'connect',
+          origin: 'https://example-sp.com',
+          transport: 'window',
+          timestamp: 1000,
+          size: 2,
+          payload: null,
+        });
+        expect(logger.args[1][0]).to.deep.equal({
+          direction: 'send',
+          cmd: 'start',
+          origin: 'https://example-sp.com',
+          transport: 'window',
+          timestamp: 1000,
+          size: 7,
+          payload: null,
+        });
+      });
+
+      it('should log the redacted payload', () => {
+        messenger.setLogger(logger, (cmd, payload) => {
+          return cmd == 'start' ? {a: 'redacted'} : payload;
+        });
+        messenger.sendStartCommand({a: 1});
+        messenger.sendCommand('ready');
+        expect(logger.args[0][0].payload).to.deep.equal({a: 'redacted'});
+        expect(logger.args[0][0].size).to.equal(7);
+        expect(logger.args[1][0].payload).to.be.null;
+        expect(logger.args[1][0].size).to.equal(0);
+      });
+
+      it('should log the channel transport', () => {
+        const port = {
+          postMessage: sandbox.spy(),
+          close: sandbox.spy(),
+        };
+        messenger.switchToChannel_(port);
+        port.onmessage({data: {cmd: 'ready', payload: null}});
+        expect(logger).to.be.calledOnce;
+        expect(logger.args[0][0].direction).to.equal('receive');
+        expect(logger.args[0][0].transport).to.equal('message-channel');
+        expect(logger.args[0][0].origin).to.equal('https://example-sp.com');
+      });
+
+      it('should tolerate logger failures', () => {
+        sandbox.useFakeTimers();
+        messenger.setLogger(() => {
+          throw new Error('intentional');
+        });
+        messenger.sendStartCommand({a: 1});
+        expect(source.postMessage).to.be.calledOnce;
+      });
+    });
+
+    describe('channel policy', () => {
+      let handler;
+      let channel;
+
+      beforeEach(() => {
+        handler = addEventListenerSpy.args[0][1];
+        channel = {
+          port1: {
+            postMessage: sandbox.spy(),
+            close: sandbox.spy(),
+          },
+          port2: {},
+        };
+        sandbox.stub(win, 'MessageChannel', () => channel);
+        source = {
+          postMessage: sandbox.spy(),
+        };
+      });
+
+      function connect(payload) {
+        handler(msg({
+          origin: 'https://example-sp.com',
+          source,
+          data: {
+            sentinel: '__ACTIVITIES__',
+            cmd: 'connect',
+            payload,
+            handshake: HANDSHAKE,
+          },
+        }));
+      }
+
+      it('should use channel with "always" policy', () => {
+        messenger.setChannelPolicy('always');
+        connect({acceptsChannel: false});
+        messenger.sendStartCommand({a: 1});
+        expect(source.postMessage.args[0][2]).to.deep.equal([channel.port2]);
+        expect(messenger.port_).to.equal(channel.port1);
+        expect(messenger.getTransportType()).to.equal('message-channel');
+      });
+
+      it('should not use channel with "never" policy', () => {
+        messenger.setChannelPolicy('never');
+        connect({acceptsChannel: true, channel: 'always'});
+        messenger.sendStartCommand({a: 1});
+        expect(source.postMessage.args[0][2]).to.not.exist;
+        expect(messenger.port_).to.be.null;
+        expect(messenger.getTransportType()).to.equal('window');
+      });
+
+      it('should respect host\'s "never" policy', () => {
+        messenger.setChannelPolicy('always');
+        connect({acceptsChannel: false, channel: 'never'});
+        messenger.sendStartCommand({a: 1});
+        expect(source.postMessage.args[0][2]).to.not.exist;
+        expect(messenger.port_).to.be.null;
+      });
+
+      it('should upgrade on "ready" with "after-ready" policy', () => {
+        messenger.setChannelPolicy('after-ready');
+        connect({acceptsChannel: true, channel: 'auto'});
+        messenger.sendStartCommand({a: 1});
+        expect(source.postMessage).to.be.calledOnce;
+        expect(source.postMessage.args[0][2]).to.not.exist;
+        expect(messenger.port_).to.be.null;
+
+        handler(msg({
+          origin: 'https://example-sp.com',
+          source,
+          data: {sentinel: '__ACTIVITIES__', cmd: 'ready', payload: null},
+        }));
+        expect(source.postMessage).to.be.calledTwice;
+        expect(source.postMessage.args[1][0]).to.deep.equal({
+          sentinel: '__ACTIVITIES__',
+          cmd: 'upgrade',
+          payload: null,
+        });
+        expect(source.postMessage.args[1][2]).to.deep.equal([channel.port2]);
+        expect(messenger.port_).to.equal(channel.port1);
+        expect(onCommand).to.be.calledWith('ready');
+      });
+
+      it('should not upgrade if host does not support upgrade', () => {
+        messenger.setChannelPolicy('after-ready');
+        handler(msg({
+          origin: 'https://example-sp.com',
+          source,
+          data: {sentinel: '__ACTIVITIES__', cmd: 'connect', payload: {}},
+        }));
+        messenger.sendStartCommand({a: 1});
+        handler(msg({
+          origin: 'https://example-sp.com',
+          source,
+          data: {sentinel: '__ACTIVITIES__', cmd: 'ready', payload: null},
+        }));
+        expect(source.postMessage).to.be.calledOnce;
+        expect(messenger.port_).to.be.null;
+      });
+
+      it('should never use channel with non-window transports', () => {
+        sandbox.stub(messenger.transport_, 'getType', () => 'in-memory');
+        messenger.setChannelPolicy('always');
+        connect({acceptsChannel: true, channel: 'always'});
+        expect(messenger.getEffectiveChannelPolicy_()).to.equal('never');
+        expect(messenger.getTransportType()).to.equal('in-memory');
+      });
+    });
+
+    describe('message queue', () => {
+      beforeEach(() => {
+        source = {
+          postMessage: sandbox.spy(),
+        };
+      });
+
+      function sentPayloads() {
+        return source.postMessage.args
+            .filter(args => args[0].cmd == 'msg')
+            .map(args => args[0].payload);
+      }
+
+      it('should fail on overflow by default', () => {
+        messenger.setQueueOptions(2);
+        messenger.customMessage({a: 1});
+        messenger.customMessage({a: 2});
+        expect(() => {
+          messenger.customMessage({a: 3});
+        }).to.throw(/message queue overflow/);
+        messenger.sendStartCommand({});
+        expect(sentPayloads()).to.deep.equal([{a: 1}, {a: 2}]);
+      });
+
+      it('should drop oldest messages on overflow', () => {
+        messenger.setQueueOptions(2, ActivityQueueOverflow.DROP_OLDEST);
+        messenger.customMessage({a: 1});
+        messenger.customMessage({a: 2});
+        messenger.customMessage({a: 3});
+        messenger.sendStartCommand({});
+        expect(sentPayloads()).to.deep.equal([{a: 2}, {a: 3}]);
+      });
+
+      it('should drop newest messages on overflow', () => {
+        messenger.setQueueOptions(2, ActivityQueueOverflow.DROP_NEWEST);
+        messenger.customMessage({a: 1});
+        messenger.customMessage({a: 2});
+        messenger.customMessage({a: 3});
+        messenger.sendStartCommand({});
+        expect(sentPayloads()).to.deep.equal([{a: 1}, {a: 2}]);
+      });
+
+      it('should hold messages until released', () => {
+        const onMessage = sandbox.spy();
+        messenger.onCustomMessage(onMessage);
+        messenger.holdMessages();
+        messenger.sendStartCommand({});
+        messenger.customMessage({a: 1});
+        addEventListenerSpy.args[0][1](msg({
+          data: {sentinel: '__ACTIVITIES__', cmd: 'msg', payload: {b: 1}},
+        }));
+        expect(sentPayloads()).to.deep.equal([]);
+        expect(onMessage).to.not.be.called;
+
+        messenger.releaseMessages();
+        expect(sentPayloads()).to.deep.equal([{a: 1}]);
+        expect(onMessage).to.be.calledOnce.calledWith({b: 1});
+      });
+
+      it('should discard the queue on disconnect', () => {
+        messenger.customMessage({a: 1});
+        messenger.disconnect();
+        messenger.connect(onCommand);
+        messenger.sendStartCommand({});
+        expect(sentPayloads()).to.deep.equal([]);
+      });
+    });
+
     it('should call an inbound custom message', () => {
       const onMessage = sandbox.spy();
       messenger.onCustomMessage(onMessage);
@@ -491,6 +807,64 @@ describes.realWin('Messenger', {}, env => {
       expect(onMessage).to.not.be.called;
     });
 
+    it('should call all inbound custom message listeners', () => {
+      const onMessage1 = sandbox.spy();
+      const onMessage2 = sandbox.spy();
+      messenger.onCustomMessage(onMessage1);
+      messenger.onCustomMessage(onMessage2);
+      messenger.handleCommand_('msg', {a: 1});
+      expect(onMessage1).to.be.calledOnce.calledWith({a: 1});
+      expect(onMessage2).to.be.calledOnce.calledWith({a: 1});
+    });
+
+    it('should filter inbound custom messages by type', () => {
+      const onAny = sandbox.spy();
+      const onA = sandbox.spy();
+      messenger.onCustomMessage(onAny);
+      messenger.onCustomMessage(onA, 'A');
+      messenger.handleCommand_('msg', {type: 'A'});
+      messenger.handleCommand_('msg', {type: 'B'});
+      messenger.handleCommand_('msg', {a: 1});
+      expect(onAny).to.be.calledThrice;
+      expect(onA).to.be.calledOnce.calledWith({type: 'A'});
+    });
+
+    it('should unsubscribe an inbound custom message listener', () => {
+      const onMessage1 = sandbox.spy();
+      const onMessage2 = sandbox.spy();
+      const unsubscribe = messenger.onCustomMessage(onMessage1);
+      messenger.onCustomMessage(onMessage2);
+      unsubscribe();
+      unsubscribe();
+      messenger.handleCommand_('msg', {a: 1});
+      expect(onMessage1).to.not.be.called;
+      expect(onMessage2).to.be.calledOnce;
+    });
+
+    it('should isolate failing custom message listeners', () => {
+      const clock = sandbox.useFakeTimers();
+      const onMessage = sandbox.spy();
+      messenger.onCustomMessage(() => {
+        throw new Error('intentional');
+      });
+      messenger.onCustomMessage(onMessage);
+      messenger.handleCommand_('msg', {a: 1});
+      expect(onMessage).to.be.calledOnce;
+      expect(() => clock.tick(1)).to.throw(/intentional/);
+    });
+
+    it('should drop custom messages not matching the schema', () => {
+      const clock = sandbox.useFakeTimers();
+      const onMessage = sandbox.spy();
+      messenger.setMessageSchema({type: 'object', required: ['type']});
+      messenger.onCustomMessage(onMessage);
+      messenger.handleCommand_('msg', {type: 'A'});
+      expect(onMessage).to.be.calledOnce.calledWith({type: 'A'});
+      messenger.handleCommand_('msg', {a: 1});
+      expect(onMessage).to.be.calledOnce;
+      expect(() => clock.tick(1)).to.throw(/invalid message: \$\.type/);
+    });
+
     describe('messaging channel', () => {
       it('should fail asking a channel until connected', () => {
         expect(() => {
@@ -664,7 +1038,9 @@ describes.realWin('Messenger', {}, env => {
         cmd: 'connect',
         payload: {
           acceptsChannel: false,
+          channel: 'auto',
         },
+        handshake: HANDSHAKE,
       });
       expect(target.postMessage.args[0][1]).to.equal('*');
     });
@@ -680,7 +1056,9 @@ describes.realWin('Messenger', {}, env => {
         cmd: 'connect',
         payload: {
           acceptsChannel: true,
+          channel: 'auto',
         },
+        handshake: HANDSHAKE,
       });
       expect(target.postMessage.args[0][1]).to.equal('*');
     });
@@ -696,11 +1074,90 @@ describes.realWin('Messenger', {}, env => {
         cmd: 'connect',
         payload: {
           acceptsChannel: true,
+          channel: 'auto',
         },
+        handshake: HANDSHAKE,
       });
       expect(target.postMessage.args[0][1]).to.equal('*');
     });
 
+    it('should announce the channel policy on connect', () => {
+      messenger.setChannelPolicy('after-ready');
+      messenger.sendConnectCommand();
+      expect(target.postMessage.args[0][0].payload).to.deep.equal({
+        acceptsChannel: false,
+        channel: 'after-ready',
+      });
+    });
+
+    it('should accept channel on connect with "always" policy', () => {
+      messenger.setChannelPolicy('always');
+      messenger.sendConnectCommand();
+      expect(target.postMessage.args[0][0].payload).to.deep.equal({
+        acceptsChannel: true,
+        channel: 'always',
+      });
+    });
+
+    it('should switch to channel on upgrade', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {}},
+      });
+      expect(messenger.getTransportType()).to.equal('window');
+      const port = {
+        postMessage: sandbox.spy(),
+        close: sandbox.spy(),
+      };
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'upgrade', payload: null},
+        ports: [port],
+      });
+      expect(messenger.port_).to.equal(port);
+      expect(messenger.getTransportType()).to.equal('message-channel');
+      messenger.customMessage({a: 1});
+      expect(port.postMessage).to.be.calledOnce;
+      expect(target.postMessage).to.not.be.called;
+    });
+
+    it('should receive the session with "start"', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {},
+          handshake: {protocol: 2, session: {id: 'session1'}},
+        },
+      });
+      expect(messenger.getPeerSession()).to.deep.equal({
+        id: 'session1',
+        state: null,
+      });
+    });
+
+    it('should respond to "ping" with "pong"', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {}},
+      });
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'ping', payload: null},
+      });
+      expect(target.postMessage).to.be.calledOnce;
+      expect(target.postMessage.args[0][0]).to.deep.equal({
+        sentinel: '__ACTIVITIES__',
+        cmd: 'pong',
+        payload: null,
+      });
+      expect(onCommand).to.not.be.calledWith('ping');
+    });
+
     it('should connect and initialize origin', () => {
       expect(messenger.isConnected()).to.be.false;
       const handler = addEventListenerSpy.args[0][1];
@@ -715,6 +1172,99 @@ describes.realWin('Messenger', {}, env => {
       expect(onCommand.args[0][1]).to.deep.equal({a: 1});
     });
 
+    it('should assume legacy peer without handshake', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {a: 1}},
+      });
+      expect(messenger.getPeerVersion()).to.be.null;
+      expect(messenger.getPeerCapabilities()).to.deep.equal([
+        ActivityCapability.RESIZE,
+        ActivityCapability.MESSAGING,
+        ActivityCapability.NAMED_CHANNELS,
+      ]);
+      expect(() => {
+        messenger.assertPeerCompatible([ActivityCapability.MESSAGING]);
+      }).to.not.throw();
+    });
+
+    it('should receive peer handshake', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      expect(messenger.getPeerVersion()).to.be.null;
+      expect(messenger.getPeerCapabilities()).to.deep.equal([]);
+      handler({
+        origin: 'https://example-sp.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+          handshake: {protocol: 2, version: '2.1', capabilities: ['a', 'b']},
+        },
+      });
+      expect(messenger.getPeerVersion()).to.equal('2.1');
+      expect(messenger.getPeerCapabilities()).to.deep.equal(['a', 'b']);
+      expect(onCommand).to.be.calledOnce;
+      expect(onCommand.args[0][1]).to.deep.equal({a: 1});
+    });
+
+    it('should fail compatibility for missing capabilities', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+          handshake: {protocol: 2, version: '2.1', capabilities: ['a']},
+        },
+      });
+      expect(() => {
+        messenger.assertPeerCompatible(['a']);
+      }).to.not.throw();
+      let error;
+      try {
+        messenger.assertPeerCompatible(['a', 'b', 'c']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.name).to.equal('ProtocolError');
+      expect(error.message).to.match(/peer v2\.1 does not support: b, c/);
+    });
+
+    it('should fail compatibility for an unsupported protocol', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {
+          sentinel: '__ACTIVITIES__',
+          cmd: 'start',
+          payload: {a: 1},
+          handshake: {protocol: 3, version: '3.0', capabilities: ['a']},
+        },
+      });
+      let error;
+      try {
+        messenger.assertPeerCompatible();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.name).to.equal('ProtocolError');
+      expect(error.message).to.match(
+          /peer v3\.0 uses protocol 3, but this library uses protocol 2/);
+    });
+
+    it('should fail compatibility for a legacy peer', () => {
+      const handler = addEventListenerSpy.args[0][1];
+      handler({
+        origin: 'https://example-sp.com',
+        data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {a: 1}},
+      });
+      expect(() => {
+        messenger.assertPeerCompatible([ActivityCapability.RPC]);
+      }).to.throw(/activities peer does not support: rpc/);
+    });
+
     it('should initialize origin when source matches', () => {
       expect(messenger.isConnected()).to.be.false;
       const handler = addEventListenerSpy.args[0][1];
@@ -917,5 +1467,260 @@ describes.realWin('Messenger', {}, env => {
         expect(channels[1].port2.close).to.not.be.called;
       });
     });
+
+    describe('rpc', () => {
+      let handler;
+      let timeoutCallback;
+
+      beforeEach(() => {
+        handler = addEventListenerSpy.args[0][1];
+        timeoutCallback = null;
+        sandbox.stub(win, 'setTimeout', callback => {
+          timeoutCallback = callback;
+          return 11;
+        });
+        sandbox.stub(win, 'clearTimeout');
+        handler({
+          origin: 'https://example-pub.com',
+          data: {
+            sentinel: '__ACTIVITIES__',
+            cmd: 'start',
+            payload: {a: 1},
+            handshake: HANDSHAKE,
+          },
+        });
+      });
+
+      function response(payload) {
+        handler({
+          origin: 'https://example-pub.com',
+          data: {sentinel: '__ACTIVITIES__', cmd: 'rpcr', payload},
+        });
+      }
+
+      it('should send a call and resolve with the result', () => {
+        const promise = messenger.call('m1', {b: 2});
+        expect(target.postMessage).to.be.calledOnce;
+        expect(target.postMessage.args[0][0]).to.deep.equal({
+          sentinel: '__ACTIVITIES__',
+          cmd: 'rpc',
+          payload: {id: '1', method: 'm1', params: {b: 2}},
+        });
+        expect(win.setTimeout.args[0][1]).to.equal(30000);
+        response({id: '1', result: {c: 3}});
+        expect(win.clearTimeout).to.be.calledWith(11);
+        return promise.then(result => {
+          expect(result).to.deep.equal({c: 3});
+        });
+      });
+
+      it('should correlate concurrent calls', () => {
+        const promise1 = messenger.call('m1');
+        const promise2 = messenger.call('m2');
+        expect(target.postMessage.args[1][0].payload.id).to.equal('2');
+        response({id: '2', result: 'r2'});
+        response({id: '1', result: 'r1'});
+        return Promise.all([promise1, promise2]).then(results => {
+          expect(results).to.deep.equal(['r1', 'r2']);
+        });
+      });
+
+      it('should reject with the propagated error', () => {
+        const promise = messenger.call('m1');
+        response({id: '1', error: {name: 'TypeError', message: 'broken'}});
+        return promise.then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('TypeError');
+          expect(reason.message).to.equal('broken');
+        });
+      });
+
+      it('should time out', () => {
+        const promise = messenger.call('m1', null, 500);
+        expect(win.setTimeout.args[0][1]).to.equal(500);
+        timeoutCallback();
+        // Late responses are ignored.
+        response({id: '1', result: 'late'});
+        return promise.then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('TimeoutError');
+          expect(reason.message).to.match(/"m1" timed out after 500ms/);
+        });
+      });
+
+      it('should allow disabling timeout', () => {
+        messenger.call('m1', null, 0);
+        expect(win.setTimeout).to.not.be.called;
+      });
+
+      it('should reject pending calls on disconnect', () => {
+        const promise = messenger.call('m1');
+        messenger.disconnect();
+        return promise.then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.equal('disconnected');
+        });
+      });
+
+      it('should reject calls for legacy peers', () => {
+        handler({
+          origin: 'https://example-pub.com',
+          data: {sentinel: '__ACTIVITIES__', cmd: 'start', payload: {a: 1}},
+        });
+        return messenger.call('m1').then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.name).to.equal('ProtocolError');
+          expect(target.postMessage).to.not.be.called;
+        });
+      });
+
+      function call(payload) {
+        handler({
+          origin: 'https://example-pub.com',
+          data: {sentinel: '__ACTIVITIES__', cmd: 'rpc', payload},
+        });
+        // Handlers are executed asynchronously.
+        return new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      it('should respond to a call', () => {
+        messenger.handle('m1', params => {
+          return {echo: params};
+        });
+        return call({id: '7', method: 'm1', params: {b: 2}}).then(() => {
+          expect(target.postMessage).to.be.calledOnce;
+          expect(target.postMessage.args[0][0]).to.deep.equal({
+            sentinel: '__ACTIVITIES__',
+            cmd: 'rpcr',
+            payload: {id: '7', result: {echo: {b: 2}}},
+          });
+        });
+      });
+
+      it('should respond to a call with a promise', () => {
+        messenger.handle('m1', () => Promise.resolve('async'));
+        return call({id: '7', method: 'm1'}).then(() => {
+          expect(target.postMessage.args[0][0].payload).to.deep.equal({
+            id: '7',
+            result: 'async',
+          });
+        });
+      });
+
+      it('should respond with a rejection', () => {
+        messenger.handle('m1', () => {
+          throw new TypeError('broken');
+        });
+        return call({id: '7', method: 'm1'}).then(() => {
+          expect(target.postMessage.args[0][0].payload).to.deep.equal({
+            id: '7',
+            error: {
+              name: 'TypeError',
+              message: 'broken',
+              code: null,
+              details: null,
+            },
+          });
+        });
+      });
+
+      it('should respond with an error for unknown methods', () => {
+        return call({id: '7', method: 'unknown'}).then(() => {
+          expect(target.postMessage.args[0][0].payload).to.deep.equal({
+            id: '7',
+            error: {
+              name: 'Error',
+              message: 'No handler for "unknown"',
+              code: null,
+              details: null,
+            },
+          });
+        });
+      });
+
+      it('should not respond after disconnect', () => {
+        messenger.handle('m1', () => 'result');
+        const promise = call({id: '7', method: 'm1'});
+        messenger.disconnect();
+        return promise.then(() => {
+          expect(target.postMessage).to.not.be.called;
+        });
+      });
+
+      it('should hold incoming calls until released', () => {
+        messenger.handle('m1', () => 'result');
+        messenger.holdMessages();
+        return call({id: '7', method: 'm1'}).then(() => {
+          expect(target.postMessage).to.not.be.called;
+          messenger.releaseMessages();
+          return new Promise(resolve => setTimeout(resolve, 0));
+        }).then(() => {
+          expect(target.postMessage).to.be.calledOnce;
+          expect(target.postMessage.args[0][0].payload).to.deep.equal({
+            id: '7',
+            result: 'result',
+          });
+        });
+      });
+
+      it('should queue outgoing calls until released', () => {
+        messenger.holdMessages();
+        const promise = messenger.call('m1');
+        expect(target.postMessage).to.not.be.called;
+        messenger.releaseMessages();
+        expect(target.postMessage).to.be.calledOnce;
+        expect(target.postMessage.args[0][0].cmd).to.equal('rpc');
+        response({id: '1', result: 'r1'});
+        return promise.then(result => {
+          expect(result).to.equal('r1');
+        });
+      });
+
+      it('should fail a call dropped from the queue', () => {
+        messenger.setQueueOptions(1, 'drop-oldest');
+        messenger.holdMessages();
+        const promise = messenger.call('m1');
+        messenger.customMessage({a: 1});
+        return promise.then(() => {
+          throw new Error('must have failed');
+        }, reason => {
+          expect(reason.message).to.match(/overflow.*"m1" has been dropped/);
+        });
+      });
+
+      it('should register a call before sending it', () => {
+        target.postMessage = () => {
+          expect(Object.keys(messenger.calls_)).to.deep.equal(['1']);
+          response({id: '1', result: 'sync'});
+        };
+        return messenger.call('m1').then(result => {
+          expect(result).to.equal('sync');
+        });
+      });
+
+      it('should ignore calls without a payload or ID', () => {
+        messenger.handle('m1', () => 'result');
+        return call(null).then(() => {
+          return call({method: 'm1'});
+        }).then(() => {
+          expect(target.postMessage).to.not.be.called;
+        });
+      });
+
+      it('should respond with an error for a missing method', () => {
+        return call({id: '7', method: {}}).then(() => {
+          expect(target.postMessage.args[0][0].payload.error.message)
+              .to.equal('invalid rpc: missing method');
+        });
+      });
+
+      it('should ignore invalid responses', () => {
+        expect(() => response(null)).to.not.throw();
+      });
+    });
   });
 });
@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+import {
+  createResultKey,
+  decryptResult,
+  encryptResult,
+  signResult,
+  verifyResult,
+} from '../../src/result-crypto';
+import {fromBase64Url, utf8Encode} from '../../src/utils';
+
+
+describes.realWin('result-crypto', {}, env => {
+  let win;
+
+  beforeEach(() => {
+    win = env.win;
+    win.sessionStorage.clear();
+  });
+
+  it('should store the private key', () => {
+    return createResultKey(win, 'request1').then(publicKey => {
+      expect(publicKey.kty).to.equal('EC');
+      expect(publicKey.crv).to.equal('P-256');
+      expect(publicKey.d).to.be.undefined;
+      const privateKey =
+          JSON.parse(win.sessionStorage.getItem('__WA_KEY__:request1'));
+      expect(privateKey.d).to.exist;
+      expect(privateKey.x).to.equal(publicKey.x);
+    });
+  });
+
+  it('should encrypt and decrypt the result', () => {
+    const result = {code: 'ok', data: {a: 'ünïcode'}};
+    return createResultKey(win, 'request1').then(publicKey => {
+      return encryptResult(win, publicKey, 'request1', result);
+    }).then(encrypted => {
+      expect(encrypted.alg).to.equal('ECDH-HKDF-SHA256+A256GCM');
+      expect(encrypted.epk.kty).to.equal('EC');
+      expect(encrypted.iv).to.match(/^[\w-]+$/);
+      expect(encrypted.ct).to.match(/^[\w-]+$/);
+      expect(JSON.stringify(encrypted)).to.not.contain('code');
+      return decryptResult(win, 'request1', encrypted);
+    }).then(decrypted => {
+      expect(decrypted).to.deep.equal(result);
+      // The key is discarded.
+      expect(win.sessionStorage.getItem('__WA_KEY__:request1')).to.be.null;
+    });
+  });
+
+  it('should not use the raw shared secret as the key', () => {
+    const subtle = win.crypto.subtle;
+    const params = {name: 'ECDH', namedCurve: 'P-256'};
+    let encrypted;
+    return createResultKey(win, 'request1').then(publicKey => {
+      return encryptResult(win, publicKey, 'request1', 'abc');
+    }).then(value => {
+      encrypted = value;
+      const privateKey = JSON.parse(
+          win.sessionStorage.getItem('__WA_KEY__:request1'));
+      privateKey.key_ops = ['deriveKey'];
+      return Promise.all([
+        subtle.importKey('jwk', privateKey, params, false, ['deriveKey']),
+        subtle.importKey('jwk', encrypted.epk, params, false, []),
+      ]);
+    }).then(keys => {
+      return subtle.deriveKey(
+          {name: 'ECDH', public: keys[1]}, keys[0],
+          {name: 'AES-GCM', length: 256}, false, ['decrypt']);
+    }).then(rawKey => {
+      return subtle.decrypt({
+        name: 'AES-GCM',
+        iv: fromBase64Url(encrypted.iv),
+        additionalData: utf8Encode('request1'),
+      }, rawKey, fromBase64Url(encrypted.ct));
+    }).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.name).to.equal('OperationError');
+    });
+  });
+
+  it('should fail to decrypt for another request', () => {
+    let encrypted;
+    return createResultKey(win, 'request1').then(publicKey => {
+      return encryptResult(win, publicKey, 'request1', 'abc');
+    }).then(value => {
+      encrypted = value;
+      win.sessionStorage.setItem('__WA_KEY__:request2',
+          win.sessionStorage.getItem('__WA_KEY__:request1'));
+      return decryptResult(win, 'request2', encrypted);
+    }).then(() => {
+      throw new Error('must have failed');
+    }, () => {
+      // The key is discarded: the decryption is only attempted once.
+      expect(win.sessionStorage.getItem('__WA_KEY__:request2')).to.be.null;
+    });
+  });
+
+  it('should fail to decrypt without the key', () => {
+    return createResultKey(win, 'request1').then(publicKey => {
+      win.sessionStorage.clear();
+      return encryptResult(win, publicKey, 'request1', 'abc');
+    }).then(encrypted => {
+      return decryptResult(win, 'request1', encrypted);
+    }).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.message).to.match(/result key not found/);
+    });
+  });
+
+  it('should fail to decrypt an unknown algorithm', () => {
+    return decryptResult(win, 'request1', {alg: 'other'}).then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.message).to.match(/unsupported result encryption/);
+    });
+  });
+
+  it('should fail when WebCrypto is not supported', () => {
+    const otherWin = {crypto: {}, sessionStorage: win.sessionStorage};
+    return createResultKey(otherWin, 'request1').then(() => {
+      throw new Error('must have failed');
+    }, reason => {
+      expect(reason.message).to.match(/not supported/);
+    });
+  });
+
+  describe('signatures', () => {
+    let keyPair;
+    let response;
+
+    beforeEach(() => {
+      response = {
+        requestId: 'request1',
+        origin: 'https://example-sp.com',
+        code: 'ok',
+        data: {a: 1},
+        timestamp: 1000,
+      };
+      return win.crypto.subtle.generateKey(
+          {name: 'ECDSA', namedCurve: 'P-256'}, true, ['sign', 'verify'])
+          .then(result => {
+            keyPair = result;
+          });
+    });
+
+    it('should sign and verify the response', () => {
+      return signResult(win, keyPair.privateKey, response).then(signature => {
+        expect(signature).to.match(/^[\w-]+$/);
+        response.signature = signature;
+        return verifyResult(win, keyPair.publicKey, response);
+      }).then(valid => {
+        expect(valid).to.be.true;
+      });
+    });
+
+    it('should accept the keys in the JWK format', () => {
+      const subtle = win.crypto.subtle;
+      return Promise.all([
+        subtle.exportKey('jwk', keyPair.privateKey),
+        subtle.exportKey('jwk', keyPair.publicKey),
+      ]).then(keys => {
+        return signResult(win, keys[0], response).then(signature => {
+          response.signature = signature;
+          return verifyResult(win, keys[1], response);
+        });
+      }).then(valid => {
+        expect(valid).to.be.true;
+      });
+    });
+
+    it('should reject the tampered response', () => {
+      return signResult(win, keyPair.privateKey, response).then(signature => {
+        response.signature = signature;
+        response.data = {a: 2};
+        return verifyResult(win, keyPair.publicKey, response);
+      }).then(valid => {
+        expect(valid).to.be.false;
+      });
+    });
+
+    it('should reject the unsigned response', () => {
+      return verifyResult(win, keyPair.publicKey, response).then(valid => {
+        expect(valid).to.be.false;
+      });
+    });
+  });
+});
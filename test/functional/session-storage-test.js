@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  getSessionItem,
+  isSessionStorageSupported,
+  removeSessionItem,
+  setSessionItem,
+} from '../../src/session-storage';
+
+
+describes.realWin('session-storage', {}, env => {
+  let win;
+
+  beforeEach(() => {
+    win = env.win;
+    win.sessionStorage.clear();
+  });
+
+  it('should set, get and remove items', () => {
+    expect(isSessionStorageSupported(win)).to.be.true;
+    expect(getSessionItem(win, 'a')).to.be.null;
+    setSessionItem(win, 'a', 'value');
+    expect(getSessionItem(win, 'a')).to.equal('value');
+    removeSessionItem(win, 'a');
+    expect(getSessionItem(win, 'a')).to.be.null;
+  });
+
+  it('should tolerate denied storage access', () => {
+    const otherWin = {};
+    Object.defineProperty(otherWin, 'sessionStorage', {
+      get: () => {
+        throw new Error('SecurityError');
+      },
+    });
+    expect(isSessionStorageSupported(otherWin)).to.be.false;
+    expect(getSessionItem(otherWin, 'a')).to.be.null;
+    expect(() => removeSessionItem(otherWin, 'a')).to.not.throw();
+    expect(() => setSessionItem(otherWin, 'a', 'value'))
+        .to.throw(/sessionStorage is not supported/);
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * @license
+ * Copyright 2017 The Web Activities Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  BroadcastChannelTransport,
+  InMemoryTransport,
+  MessagePortTransport,
+  WindowTransport,
+} from '../../src/transports';
+import {Messenger} from '../../src/messenger';
+import {getWindowOrigin} from '../../src/utils';
+
+
+describes.realWin('transports', {}, env => {
+  let win;
+
+  beforeEach(() => {
+    win = env.win;
+  });
+
+  describe('WindowTransport', () => {
+    let target;
+    let transport;
+    let callback;
+    let addEventListenerSpy, removeEventListenerSpy;
+
+    beforeEach(() => {
+      target = {
+        postMessage: sandbox.spy(),
+      };
+      callback = sandbox.spy();
+      addEventListenerSpy = sandbox.spy(win, 'addEventListener');
+      removeEventListenerSpy = sandbox.spy(win, 'removeEventListener');
+      transport = new WindowTransport(win, () => target, true);
+    });
+
+    it('should add and remove message listener', () => {
+      transport.connect(callback);
+      expect(addEventListenerSpy).to.be.calledOnce;
+      expect(addEventListenerSpy.args[0][0]).to.equal('message');
+      const handler = addEventListenerSpy.args[0][1];
+
+      transport.disconnect();
+      expect(removeEventListenerSpy).to.be.calledOnce;
+      expect(removeEventListenerSpy.args[0][1]).to.equal(handler);
+    });
+
+    it('should deliver events from the target', () => {
+      transport.connect(callback);
+      const handler = addEventListenerSpy.args[0][1];
+      const event = {source: target, origin: 'https://example.com', data: {}};
+      handler(event);
+      expect(callback).to.be.calledOnce.calledWith(event);
+    });
+
+    it('should ignore events from another source', () => {
+      transport.connect(callback);
+      const handler = addEventListenerSpy.args[0][1];
+      handler({source: {}, origin: 'https://example.com', data: {}});
+      expect(callback).to.not.be.called;
+    });
+
+    it('should deliver events from any source if not required', () => {
+      transport = new WindowTransport(win, () => target, false);
+      transport.connect(callback);
+      const handler = addEventListenerSpy.args[0][1];
+      handler({source: {}, origin: 'https://example.com', data: {}});
+      expect(callback).to.be.calledOnce;
+    });
+
+    it('should send to the target', () => {
+      const transfer = [{}];
+      transport.send({a: 1}, 'https://example.com', transfer);
+      expect(target.postMessage).to.be.calledOnce.calledWith(
+          {a: 1}, 'https://example.com', transfer);
+    });
+
+    it('should fail to send without target', () => {
+      target = null;
+      expect(() => {
+        transport.send({a: 1}, 'https://example.com');
+      }).to.throw(/not connected/);
+    });
+  });
+
+  describe('MessagePortTransport', () => {
+    let port;
+    let transport;
+
+    beforeEach(() => {
+      port = {
+        postMessage: sandbox.spy(),
+        start: sandbox.spy(),
+        close: sandbox.spy(),
+      };
+      transport = new MessagePortTransport(port, 'https://example.com');
+    });
+
+    it('should deliver messages with the known origin', () => {
+      const callback = sandbox.spy();
+      transport.connect(callback);
+      expect(port.start).to.be.calledOnce;
+      const otherPort = {};
+      port.onmessage({data: {a: 1}, ports: [otherPort]});
+      expect(callback).to.be.calledOnce;
+      expect(callback.args[0][0]).to.deep.equal({
+        data: {a: 1},
+        origin: 'https://example.com',
+        source: null,
+        ports: [otherPort],
+      });
+    });
+
+    it('should send messages', () => {
+      const transfer = [{}];
+      transport.send({a: 1}, '*', transfer);
+      expect(port.postMessage).to.be.calledOnce.calledWith({a: 1}, transfer);
+    });
+
+    it('should close the port on disconnect', () => {
+      transport.connect(() => {});
+      transport.disconnect();
+      expect(port.onmessage).to.be.null;
+      expect(port.close).to.be.calledOnce;
+    });
+  });
+
+  describe('BroadcastChannelTransport', () => {
+    let channel;
+    let transport;
+
+    beforeEach(() => {
+      channel = null;
+      win.BroadcastChannel = function(name) {
+        channel = this;
+        this.name = name;
+        this.postMessage = sandbox.spy();
+        this.close = sandbox.spy();
+      };
+      transport = new BroadcastChannelTransport(win, 'activity1');
+    });
+
+    it('should fail when not supported', () => {
+      win.BroadcastChannel = undefined;
+      expect(() => {
+        transport.connect(() => {});
+      }).to.throw(/not supported/);
+    });
+
+    it('should deliver messages with the own origin', () => {
+      const callback = sandbox.spy();
+      transport.connect(callback);
+      expect(channel.name).to.equal('activity1');
+      channel.onmessage({data: {a: 1}});
+      expect(callback).to.be.calledOnce;
+      expect(callback.args[0][0].data).to.deep.equal({a: 1});
+      expect(callback.args[0][0].origin).to.equal(getWindowOrigin(win));
+    });
+
+    it('should send messages', () => {
+      transport.connect(() => {});
+      transport.send({a: 1}, '*');
+      expect(channel.postMessage).to.be.calledOnce.calledWith({a: 1});
+    });
+
+    it('should not allow transfer', () => {
+      transport.connect(() => {});
+      expect(() => {
+        transport.send({a: 1}, '*', [{}]);
+      }).to.throw(/cannot transfer/);
+    });
+
+    it('should fail to send until connected', () => {
+      expect(() => {
+        transport.send({a: 1}, '*');
+      }).to.throw(/not connected/);
+    });
+
+    it('should close the channel on disconnect', () => {
+      transport.connect(() => {});
+      transport.disconnect();
+      expect(channel.close).to.be.calledOnce;
+    });
+  });
+
+  describe('InMemoryTransport', () => {
+    let transport1, transport2;
+
+    beforeEach(() => {
+      [transport1, transport2] = InMemoryTransport.createPair(
+          'https://example-pub.com', 'https://example-sp.com');
+    });
+
+    it('should deliver messages asynchronously', () => {
+      const callback = sandbox.spy();
+      transport2.connect(callback);
+      transport1.send({a: 1}, '*');
+      expect(callback).to.not.be.called;
+      return Promise.resolve().then(() => {
+        expect(callback).to.be.calledOnce;
+        expect(callback.args[0][0].data).to.deep.equal({a: 1});
+        expect(callback.args[0][0].origin).to.equal('https://example-pub.com');
+      });
+    });
+
+    it('should deliver a copy of the data', () => {
+      const callback = sandbox.spy();
+      transport2.connect(callback);
+      const data = {a: {b: 1}};
+      transport1.send(data, '*');
+      data.a.b = 2;
+      return Promise.resolve().then(() => {
+        expect(callback.args[0][0].data).to.deep.equal({a: {b: 1}});
+        expect(callback.args[0][0].data.a).to.not.equal(data.a);
+      });
+    });
+
+    it('should transfer the objects via structured clone', () => {
+      const structuredClone = self.structuredClone;
+      const port = {postMessage: () => {}};
+      const clone = {data: {b: 2}, ports: [{}]};
+      const cloneSpy = sandbox.spy(() => clone);
+      self.structuredClone = cloneSpy;
+      const callback = sandbox.spy();
+      transport2.connect(callback);
+      try {
+        transport1.send({a: 1, port}, '*', [port]);
+      } finally {
+        self.structuredClone = structuredClone;
+      }
+      expect(cloneSpy).to.be.calledOnce.calledWith(
+          {data: {a: 1, port}, ports: [port]}, {transfer: [port]});
+      return Promise.resolve().then(() => {
+        expect(callback.args[0][0].data).to.equal(clone.data);
+        expect(callback.args[0][0].ports).to.deep.equal(clone.ports);
+      });
+    });
+
+    describe('without structured clone', () => {
+      let structuredClone;
+
+      beforeEach(() => {
+        structuredClone = self.structuredClone;
+        self.structuredClone = undefined;
+      });
+
+      afterEach(() => {
+        self.structuredClone = structuredClone;
+      });
+
+      it('should copy the data via JSON', () => {
+        const callback = sandbox.spy();
+        transport2.connect(callback);
+        const data = {a: {b: 1}};
+        transport1.send(data, '*');
+        return Promise.resolve().then(() => {
+          expect(callback.args[0][0].data).to.deep.equal({a: {b: 1}});
+          expect(callback.args[0][0].data).to.not.equal(data);
+        });
+      });
+
+      it('should fail on binary data instead of corrupting it', () => {
+        transport2.connect(sandbox.spy());
+        expect(() => {
+          transport1.send({a: new Uint8Array(2)}, '*');
+        }).to.throw(/binary data cannot be sent/);
+      });
+    });
+
+    it('should not reject when the receiver fails', () => {
+      const clock = sandbox.useFakeTimers();
+      transport2.connect(() => {
+        throw new Error('intentional');
+      });
+      transport1.send({a: 1}, '*');
+      return Promise.resolve().then(() => {
+        expect(() => clock.tick(1)).to.throw(/intentional/);
+      });
+    });
+
+    it('should not deliver messages once disconnected', () => {
+      const callback = sandbox.spy();
+      transport2.connect(callback);
+      transport1.send({a: 1}, '*');
+      transport2.disconnect();
+      return Promise.resolve().then(() => {
+        expect(callback).to.not.be.called;
+      });
+    });
+
+    it('should connect messengers', () => {
+      const portOnCommand = sandbox.spy((cmd, payload) => {
+        if (cmd == 'connect') {
+          portMessenger.sendStartCommand({a: 1});
+        }
+      });
+      const hostOnCommand = sandbox.spy();
+      const hostOnMessage = sandbox.spy();
+      const portMessenger = new Messenger(
+          win, () => null, 'https://example-sp.com', true, transport1);
+      const hostMessenger = new Messenger(
+          win, () => null, null, false, transport2);
+      portMessenger.connect(portOnCommand);
+      hostMessenger.connect(hostOnCommand);
+      hostMessenger.onCustomMessage(hostOnMessage);
+      portMessenger.customMessage({b: 1});
+      hostMessenger.sendConnectCommand();
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+        expect(portOnCommand).to.be.calledWith('connect');
+        expect(hostOnCommand).to.be.calledOnce.calledWith('start', {a: 1});
+        expect(hostMessenger.getTargetOrigin())
+            .to.equal('https://example-pub.com');
+        expect(hostOnMessage).to.be.calledOnce.calledWith({b: 1});
+      });
+    });
+  });
+});
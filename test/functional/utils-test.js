@@ -16,7 +16,12 @@
  */
 /*eslint no-script-url: 0*/
 
-import {ActivityResult, ActivityResultCode} from '../../src/activity-types';
+import {
+  ActivityMode,
+  ActivityResult,
+  ActivityResultCode,
+  ActivityVerificationLevel,
+} from '../../src/activity-types';
 import * as utils from '../../src/utils';
 
 
@@ -319,6 +324,18 @@ describes.sandboxed('utils', {}, () => {
       expect(utils.parseRequest('')).to.be.null;
     });
 
+    it('should parse request with nonce and result key', () => {
+      const request = {
+        requestId: 'request1',
+        returnUrl: 'https://example.com/back',
+        args: {a: 1},
+        nonce: 'nonce1',
+        resultKey: {kty: 'EC', crv: 'P-256', x: 'X', y: 'Y'},
+      };
+      expect(utils.parseRequest(utils.serializeRequest(request)))
+          .to.deep.equal(request);
+    });
+
     it('should parse request with origin/verified', () => {
       const request = {
         requestId: 'request1',
@@ -420,6 +437,201 @@ describes.sandboxed('utils', {}, () => {
     });
   });
 
+  describe('serializeError/deserializeError', () => {
+    it('should serialize an error', () => {
+      const error = new TypeError('broken');
+      error.code = 'E1';
+      error.details = {a: 1};
+      expect(utils.serializeError(error)).to.deep.equal({
+        name: 'TypeError',
+        message: 'broken',
+        code: 'E1',
+        details: {a: 1},
+      });
+    });
+
+    it('should serialize a string', () => {
+      expect(utils.serializeError('broken')).to.deep.equal({
+        name: 'Error',
+        message: 'broken',
+        code: null,
+        details: null,
+      });
+    });
+
+    it('should not serialize a stack or non-primitive code', () => {
+      const error = new Error('broken');
+      error.code = {a: 1};
+      const data = utils.serializeError(error);
+      expect(data.code).to.be.null;
+      expect(data).to.not.have.property('stack');
+    });
+
+    it('should deserialize an error', () => {
+      const error = utils.deserializeError({
+        name: 'TypeError',
+        message: 'broken',
+        code: 'E1',
+        details: {a: 1},
+      });
+      expect(error).to.be.instanceof(Error);
+      expect(error.name).to.equal('TypeError');
+      expect(error.message).to.equal('broken');
+      expect(error.code).to.equal('E1');
+      expect(error.details).to.deep.equal({a: 1});
+    });
+
+    it('should deserialize a legacy string', () => {
+      const error = utils.deserializeError('Error: broken');
+      expect(error.name).to.equal('Error');
+      expect(error.message).to.equal('Error: broken');
+      expect(error.code).to.be.undefined;
+    });
+
+    it('should deserialize empty data', () => {
+      expect(utils.deserializeError(null).message).to.equal('');
+    });
+  });
+
+  describe('createSessionId', () => {
+    it('should create unique IDs', () => {
+      const id1 = utils.createSessionId(window);
+      const id2 = utils.createSessionId(window);
+      expect(id1).to.match(/^[0-9a-z]{4,}$/);
+      expect(id1).to.not.equal(id2);
+    });
+
+    it('should fall back without crypto.getRandomValues', () => {
+      const id1 = utils.createSessionId({});
+      const id2 = utils.createSessionId({crypto: {}});
+      expect(id1).to.match(/^[0-9a-z]{4,}$/);
+      expect(id1).to.not.equal(id2);
+    });
+  });
+
+  describe('createNonce', () => {
+    it('should require crypto.getRandomValues', () => {
+      expect(() => utils.createNonce({}))
+          .to.throw(/crypto.getRandomValues is not supported/);
+      expect(() => utils.createNonce({crypto: {}}))
+          .to.throw(/crypto.getRandomValues is not supported/);
+    });
+  });
+
+  describe('containsBinaryData', () => {
+    it('should ignore JSON data', () => {
+      expect(utils.containsBinaryData(null)).to.be.false;
+      expect(utils.containsBinaryData('abc')).to.be.false;
+      expect(utils.containsBinaryData(1)).to.be.false;
+      expect(utils.containsBinaryData({a: [1, {b: 'c'}]})).to.be.false;
+    });
+
+    it('should detect binary values', () => {
+      expect(utils.containsBinaryData(new ArrayBuffer(8))).to.be.true;
+      expect(utils.containsBinaryData(new Uint8Array(8))).to.be.true;
+      expect(utils.containsBinaryData(new Blob(['abc']))).to.be.true;
+    });
+
+    it('should detect nested binary values', () => {
+      expect(utils.containsBinaryData({a: [{b: new ArrayBuffer(8)}]}))
+          .to.be.true;
+    });
+
+    it('should tolerate cycles', () => {
+      const data = {a: 1};
+      data.self = data;
+      expect(utils.containsBinaryData(data)).to.be.false;
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['sku'],
+      additionalProperties: false,
+      properties: {
+        sku: {type: 'string', minLength: 2, maxLength: 8},
+        quantity: {type: 'integer', minimum: 1, maximum: 10},
+        price: {type: 'number'},
+        color: {enum: ['red', 'blue']},
+        tags: {type: 'array', items: {type: 'string'}},
+      },
+    };
+
+    it('should accept valid values', () => {
+      expect(utils.validateSchema({sku: 'sku1'}, schema)).to.deep.equal([]);
+      expect(utils.validateSchema({
+        sku: 'sku1',
+        quantity: 2,
+        price: 1.5,
+        color: 'red',
+        tags: ['a', 'b'],
+      }, schema)).to.deep.equal([]);
+    });
+
+    it('should report type mismatches', () => {
+      expect(utils.validateSchema(null, schema)).to.deep.equal([
+        '$: expected object, got null',
+      ]);
+      expect(utils.validateSchema([], schema)).to.deep.equal([
+        '$: expected object, got array',
+      ]);
+      expect(utils.validateSchema({sku: 'sku1', quantity: 1.5}, schema))
+          .to.deep.equal(['$.quantity: expected integer, got number']);
+      expect(utils.validateSchema(1, {type: ['string', 'null']}))
+          .to.deep.equal(['$: expected string or null, got integer']);
+    });
+
+    it('should report all violations', () => {
+      expect(utils.validateSchema({
+        quantity: 0,
+        color: 'green',
+        tags: ['a', 1],
+        other: true,
+      }, schema)).to.deep.equal([
+        '$.sku: required',
+        '$.quantity: less than 1',
+        '$.color: must be one of ["red","blue"]',
+        '$.tags[1]: expected string, got integer',
+        '$.other: not allowed',
+      ]);
+      expect(utils.validateSchema({sku: 'a'}, schema)).to.deep.equal([
+        '$.sku: shorter than 2',
+      ]);
+    });
+
+    it('should support function validators', () => {
+      const validator = value => value > 0 ? null : 'must be positive';
+      expect(utils.validateSchema(1, validator)).to.deep.equal([]);
+      expect(utils.validateSchema(-1, validator)).to.deep.equal([
+        '$: must be positive',
+      ]);
+      expect(utils.validateSchema(1, () => {
+        throw new Error('broken');
+      })).to.deep.equal(['$: broken']);
+    });
+  });
+
+  describe('assertValid', () => {
+    it('should skip validation without schema', () => {
+      expect(() => utils.assertValid(1, undefined, 'args')).to.not.throw();
+    });
+
+    it('should throw ValidationError', () => {
+      let error;
+      try {
+        utils.assertValid({}, {required: ['a']}, 'args');
+      } catch (e) {
+        error = e;
+      }
+      expect(utils.isValidationError(error)).to.be.true;
+      expect(error.message).to.equal('invalid args: $.a: required');
+      expect(error.details).to.deep.equal(['$.a: required']);
+      expect(utils.isValidationError(new Error())).to.be.false;
+      expect(utils.isValidationError(null)).to.be.false;
+    });
+  });
+
   describe('resolveResult', () => {
     function resolveResult(result) {
       return new Promise(resolve => {
@@ -454,6 +666,150 @@ describes.sandboxed('utils', {}, () => {
         expect(reason.activityResult).to.equal(result);
       });
     });
+
+    it('should resolve FAILED with a typed error', () => {
+      const error = new TypeError('broken');
+      const result = new ActivityResult(ActivityResultCode.FAILED, error);
+      return resolveResult(result).then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(reason).to.equal(error);
+        expect(reason.activityResult).to.equal(result);
+      });
+    });
+
+    it('should reject a result that violates the policy', () => {
+      const result = new ActivityResult(
+          ActivityResultCode.OK, 'A', ActivityMode.IFRAME,
+          'https://evil.com', true, true);
+      const resolver = sandbox.spy();
+      utils.resolveResult(window, result, resolver, {
+        allowedOrigins: ['https://example.com'],
+      });
+      return resolver.args[0][0].then(() => {
+        throw new Error('must have failed');
+      }, reason => {
+        expect(utils.isPolicyViolationError(reason)).to.be.true;
+        expect(reason.message).to.match(/origin "https:\/\/evil.com"/);
+        expect(reason.activityResult).to.be.undefined;
+        expect(reason.details).to.deep.equal({
+          origin: 'https://evil.com',
+          originVerified: true,
+          secureChannel: true,
+          mode: ActivityMode.IFRAME,
+        });
+      });
+    });
+
+    it('should resolve a result that satisfies the policy', () => {
+      const result = new ActivityResult(
+          ActivityResultCode.OK, 'A', ActivityMode.IFRAME,
+          'https://example.com', true, true);
+      return new Promise(resolve => {
+        utils.resolveResult(window, result, resolve, {
+          allowedOrigins: ['https://example.com'],
+        });
+      }).then(resolved => {
+        expect(resolved).to.equal(result);
+      });
+    });
+  });
+
+  describe('checkResultPolicy', () => {
+    function createResult(origin, originVerified, secureChannel, opt_mode) {
+      return new ActivityResult(
+          ActivityResultCode.OK, 'A', opt_mode || ActivityMode.POPUP,
+          origin, originVerified, secureChannel);
+    }
+
+    it('should check allowed origins', () => {
+      const policy = {
+        allowedOrigins: ['https://example.com', 'https://*.example.org'],
+      };
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, true), policy))
+          .to.be.null;
+      expect(utils.checkResultPolicy(
+          createResult('https://a.example.org', true, true), policy))
+          .to.be.null;
+      expect(utils.checkResultPolicy(
+          createResult('https://example.org', true, true), policy))
+          .to.equal('origin "https://example.org" is not allowed');
+    });
+
+    it('should require a secure channel by default', () => {
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, true), {})).to.be.null;
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', false, true), {}))
+          .to.equal('origin "https://example.com" is not verified');
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, false), {}))
+          .to.match(/not delivered over a secure channel/);
+    });
+
+    it('should check the minimum verification level', () => {
+      const verified = {
+        minVerification: ActivityVerificationLevel.ORIGIN_VERIFIED,
+      };
+      const none = {minVerification: ActivityVerificationLevel.NONE};
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, false), verified))
+          .to.be.null;
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', false, false), verified))
+          .to.match(/not verified/);
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', false, false), none))
+          .to.be.null;
+    });
+
+    it('should allow insecure redirect results if requested', () => {
+      const policy = {allowInsecureRedirect: true};
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, false,
+              ActivityMode.REDIRECT), policy)).to.be.null;
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', true, false), policy))
+          .to.match(/not delivered over a secure channel/);
+      expect(utils.checkResultPolicy(
+          createResult('https://example.com', false, false,
+              ActivityMode.REDIRECT), policy)).to.match(/not verified/);
+    });
+  });
+
+  describe('matchOrigin', () => {
+    it('should match exact origins', () => {
+      expect(utils.matchOrigin('https://example.com', 'https://example.com'))
+          .to.be.true;
+      expect(utils.matchOrigin('https://example.com', 'http://example.com'))
+          .to.be.false;
+      expect(utils.matchOrigin('https://example.com', 'https://a.example.com'))
+          .to.be.false;
+    });
+
+    it('should match wildcard subdomains', () => {
+      const pattern = 'https://*.example.com';
+      expect(utils.matchOrigin(pattern, 'https://a.example.com')).to.be.true;
+      expect(utils.matchOrigin(pattern, 'https://a.b.example.com')).to.be.true;
+      expect(utils.matchOrigin(pattern, 'https://example.com')).to.be.false;
+      expect(utils.matchOrigin(pattern, 'http://a.example.com')).to.be.false;
+      expect(utils.matchOrigin(pattern, 'https://aexample.com')).to.be.false;
+      expect(utils.matchOrigin(pattern, 'https://a.example.com.evil.com'))
+          .to.be.false;
+      expect(utils.matchOrigin(pattern, 'https://a/.example.com')).to.be.false;
+    });
+  });
+
+  describe('setStyle/setStyles', () => {
+    it('should set the inline styles', () => {
+      const element = document.createElement('div');
+      utils.setStyle(element, 'minHeight', '10px');
+      expect(element.style.minHeight).to.equal('10px');
+      utils.setStyles(element, {display: 'block', minHeight: ''});
+      expect(element.style.display).to.equal('block');
+      expect(element.style.minHeight).to.equal('');
+    });
   });
 
   describe('isConnected', () => {